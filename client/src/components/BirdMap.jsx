@@ -24,19 +24,24 @@
  * - Photos provided by BirdWeather
  */
 
-import React, { useState, useCallback, useRef, useEffect, memo } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo, memo } from 'react';
 import { MapContainer, TileLayer, useMapEvents, Marker, ZoomControl, Popup } from 'react-leaflet';
 import { MAP_CONTROL_STYLES } from '../styles/controls';
 import { LAYOUT_STYLES } from '../styles/layout';
-import { getClientId, resetClientId } from '../utils/clientTileOptimization';
+import { getClientId, resetClientId, releaseClientId, tilesOverlap, buildTileDigest, recordHeldTiles } from '../utils/clientTileOptimization';
 import { COLORS } from '../styles/colors';
 import { debug } from '../utils/debug';
 import {
   DefaultIcon,
   createMultiBirdIcon,
   createNotableBirdIcon,
+  createHotspotIcon,
   initializeMapIcons,
-  animateMapToLocation
+  animateMapToLocation,
+  wrapLongitude,
+  wrapLongitudeNear,
+  normalizeViewport,
+  splitViewportAtAntimeridian
 } from '../utils/mapUtils';
 import {
   getRegionForCoordinates
@@ -45,6 +50,12 @@ import { getMapParamsFromUrl, updateUrlParams } from '../utils/urlUtils';
 import { 
   processBirdSightings, 
   buildViewportApiUrl, 
+  buildExportUrl,
+  buildSpeciesLayerUrl,
+  buildHotspotsUrl,
+  buildTileUpdatesUrl,
+  fetchRegionNotable,
+  readNdjsonStream,
   fetchLocationDetails, 
   searchLocation,
   subscribeToPhotoUpdates 
@@ -63,11 +74,27 @@ import {
   DEFAULT_MAP_PARAMS,
   generateAttribution,
   MAP_ZOOM_CONSTRAINTS,
-  FETCH_DEBOUNCE_MS
+  FETCH_DEBOUNCE_MS,
+  STREAM_RENDER_INTERVAL_MS,
+  SPECIES_LAYER_MAX_VIEWPORT_DEG,
+  HOTSPOT_MIN_ZOOM,
+  HOTSPOT_MAX_VIEWPORT_DEG,
+  REGION_NOTABLE_MAX_FIT_ZOOM
 } from '../utils/mapconstants';
 import { BirdPopupContent, PopupInteractionHandler } from '../components/popups/BirdPopups';
+import { HotspotPopupContent } from '../components/popups/HotspotPopup';
 import { LocationControl } from '../components/location/LocationControls';
-import { LoadingOverlay, NavigationModeOverlay } from '../components/ui/Notifications';
+import { ExportControl } from '../components/ui/ExportControl';
+import { HotspotControl } from '../components/ui/HotspotControl';
+import { RegionNotableControl } from '../components/ui/RegionNotableControl';
+import {
+  LoadingOverlay,
+  NavigationModeOverlay,
+  DegradedDataNotice,
+  TruncatedDataNotice,
+  RegionNotableNotice,
+  NewNotableNotice
+} from '../components/ui/Notifications';
 import SpeciesSearch from '../components/ui/SpeciesSearch';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet.locatecontrol/dist/L.Control.Locate.min.css';
@@ -186,6 +213,55 @@ const BirdMarker = memo(({ location, icon, notableSpeciesCodes, onSpeciesSelect,
 
 BirdMarker.displayName = 'BirdMarker';
 
+/**
+ * Memoized marker component for an eBird hotspot
+ * @param {Object} props - Component props
+ * @param {Object} props.hotspot - Hotspot with locId, locName, lat and lng
+ * @param {string} props.back - Days to look back for the popup's recent species
+ * @param {Function} props.onSpeciesSelect - Called with a species selection from the popup
+ */
+const HotspotMarker = memo(({ hotspot, back, onSpeciesSelect }) => {
+  const [isPopupOpen, setIsPopupOpen] = useState(false);
+  const markerRef = useRef();
+
+  const eventHandlers = useMemo(() => ({
+    popupopen: () => setIsPopupOpen(true),
+    popupclose: () => setIsPopupOpen(false)
+  }), []);
+
+  const handleBirdSelect = useCallback((bird) => {
+    if (markerRef.current) {
+      markerRef.current.closePopup();
+    }
+    onSpeciesSelect({
+      speciesCode: bird.speciesCode,
+      commonName: bird.comName,
+      scientificName: bird.sciName
+    });
+  }, [onSpeciesSelect]);
+
+  return (
+    <Marker
+      ref={markerRef}
+      position={[hotspot.lat, hotspot.lng]}
+      icon={createHotspotIcon()}
+      eventHandlers={eventHandlers}
+    >
+      <Popup maxWidth={250} closeOnClick={true}>
+        {isPopupOpen && (
+          <HotspotPopupContent
+            hotspot={hotspot}
+            back={back}
+            onBirdSelect={handleBirdSelect}
+          />
+        )}
+      </Popup>
+    </Marker>
+  );
+});
+
+HotspotMarker.displayName = 'HotspotMarker';
+
 /**
  * Component that handles map events and updates
  * @param {Object} props - Component props
@@ -275,13 +351,67 @@ const BirdMap = () => {
   const [clientId, setClientId] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [isNavigationMode, setIsNavigationMode] = useState(false);
+  const [degradedTiles, setDegradedTiles] = useState([]);
+  const [truncatedTiles, setTruncatedTiles] = useState([]);
+  const [newNotableSightings, setNewNotableSightings] = useState([]);
+  const [speciesLayer, setSpeciesLayer] = useState({ speciesCode: null, sightings: [], degradedTiles: [] });
+  const [showHotspots, setShowHotspots] = useState(false);
+  const [hotspots, setHotspots] = useState([]);
+  // Region mode: the region and its notable sightings (null while off), and
+  // the markers shown for them with the current filters
+  const [regionNotable, setRegionNotable] = useState(null);
+  const [regionNotableDisplay, setRegionNotableDisplay] = useState({ sightings: [], count: 0 });
   
-  // Generate a new client ID after reset
+  // A single selected species is shown from its own wide-area layer instead of the tiles
+  const isSpeciesLayerActive = selectedSpecies !== SPECIES_CODES.ALL && selectedSpecies !== SPECIES_CODES.RARE;
+  
+  // Hotspots are too dense to show when zoomed far out
+  const isHotspotZoom = zoom !== null && zoom >= HOTSPOT_MIN_ZOOM;
+  
+  // Region mode shows the region's notable sightings instead of the viewport's
+  const isRegionMode = regionNotable !== null;
+  const regionSpeciesCode = isSpeciesLayerActive ? selectedSpecies : SPECIES_CODES.RARE;
+  
+  // Start a fresh client session on every page load. Resetting releases the
+  // previous page's session in case its unload beacon never arrived
   useEffect(() => {
+    resetClientId();
+    debug.info('Reset client ID on page load');
     setClientId(getClientId());
   }, []);
+  
+  // Release the client's server-side session when the page is closed
+  useEffect(() => {
+    if (!clientId) return;
+    
+    const handlePageHide = () => releaseClientId(clientId);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, [clientId]);
   const inputRef = useRef(null);
   const eventSourceRef = useRef(null);
+  // Live tile updates: tiles waiting to be refreshed, the timer that batches them,
+  // and the latest handlers for the long-lived event stream
+  const pendingTileUpdatesRef = useRef(new Set());
+  const tileUpdateTimerRef = useRef(null);
+  const tileUpdateHandlerRef = useRef(() => {});
+  const refreshUpdatedTilesRef = useRef(() => {});
+  // Tile ID -> version for every tile whose data is in allBirdData, sent to the
+  // server as a digest so it can work out exactly which tiles we still need
+  const heldTilesRef = useRef(new Map());
+  // Wide-area layer for a selected species: the sightings last received and the
+  // area they cover, the timer that debounces fetching them, and a counter that
+  // lets only the latest request update the map
+  const speciesLayerDataRef = useRef({ speciesCode: null, viewport: null, birds: [] });
+  const speciesLayerTimerRef = useRef(null);
+  const speciesLayerRequestRef = useRef(0);
+  // Hotspot layer: the hotspots last received and the area they cover, the
+  // debounce timer and the latest request, as for the species layer
+  const hotspotDataRef = useRef({ viewport: null, hotspots: [] });
+  const hotspotTimerRef = useRef(null);
+  const hotspotRequestRef = useRef(0);
+  // Region mode: counter that lets only the latest request update the map
+  const regionNotableRequestRef = useRef(0);
   
   // Loading state manager - use this to track multiple loading operations
   const loadingStateRef = useRef(0);
@@ -346,8 +476,13 @@ const BirdMap = () => {
   const processAndDisplayFilteredData = useCallback(async (filteredData) => {
     const startTime = Date.now();
     try {
-      // Process the filtered data
-      const processedSightings = await processBirdSightings(filteredData);
+      // Process the filtered data, placing each location on the copy of the world
+      // the map is showing so sightings across the antimeridian are drawn in view
+      const mapCenterLng = mapRef.getCenter().lng;
+      const processedSightings = (await processBirdSightings(filteredData)).map(location => ({
+        ...location,
+        lng: wrapLongitudeNear(location.lng, mapCenterLng)
+      }));
       
       // Get the current visible viewport bounds
       const bounds = mapRef.getBounds();
@@ -612,6 +747,7 @@ const BirdMap = () => {
   /**
    * Checks if the new viewport is contained within the old viewport
    * or if they're effectively the same.
+   * Viewports crossing the antimeridian are compared one side at a time.
    * @param {Object} oldViewport - Previously fetched viewport
    * @param {Object} newViewport - Current viewport
    * @returns {boolean} True if new viewport is contained within old or they're the same
@@ -626,11 +762,15 @@ const BirdMap = () => {
     // Add a small buffer (0.001 degrees) to account for floating point precision
     const buffer = 0.001;
     
-    const isContained = 
-      newViewport.minLat >= (oldViewport.minLat - buffer) &&
-      newViewport.maxLat <= (oldViewport.maxLat + buffer) &&
-      newViewport.minLng >= (oldViewport.minLng - buffer) &&
-      newViewport.maxLng <= (oldViewport.maxLng + buffer);
+    const oldParts = splitViewportAtAntimeridian(oldViewport);
+    const isContained = splitViewportAtAntimeridian(newViewport).every(newPart =>
+      oldParts.some(oldPart =>
+        newPart.minLat >= (oldPart.minLat - buffer) &&
+        newPart.maxLat <= (oldPart.maxLat + buffer) &&
+        newPart.minLng >= (oldPart.minLng - buffer) &&
+        newPart.maxLng <= (oldPart.maxLng + buffer)
+      )
+    );
     
     if (isContained) {
       debug.info('🔍 New viewport is contained within old viewport, using cached data');
@@ -647,6 +787,8 @@ const BirdMap = () => {
 
   /**
    * Calculates the viewport areas that need to be fetched by comparing with lastFetchViewport
+   * Viewports crossing the antimeridian are split at ±180° and each side is compared
+   * separately, so every returned segment has minLng <= maxLng.
    * @param {Object} newViewport - New viewport bounds
    * @param {Object} lastViewport - Previously fetched viewport
    * @returns {Array} Array of viewport segments that need to be fetched, or null if complete refetch needed
@@ -657,6 +799,23 @@ const BirdMap = () => {
       return null;
     }
     
+    const newParts = splitViewportAtAntimeridian(newViewport);
+    const lastParts = splitViewportAtAntimeridian(lastViewport);
+    if (newParts.length > 1 || lastParts.length > 1) {
+      const segments = [];
+      for (const newPart of newParts) {
+        const lastPart = lastParts.find(part =>
+          newPart.minLat <= part.maxLat && newPart.maxLat >= part.minLat &&
+          newPart.minLng <= part.maxLng && newPart.maxLng >= part.minLng
+        );
+        // A side with no previous data is fetched whole; for an overlapping side
+        // a null result means nothing new is needed
+        const partSegments = lastPart ? getViewportSegmentsToFetch(newPart, lastPart) : [newPart];
+        if (partSegments) segments.push(...partSegments);
+      }
+      return segments.length > 0 ? segments : null;
+    }
+    
     // Check if there's any overlap between viewports
     const hasOverlap = 
       newViewport.minLat <= lastViewport.maxLat &&
@@ -789,6 +948,41 @@ const BirdMap = () => {
    * Handles zoom level changes and updates navigation mode
    * @param {number} newZoom - New zoom level
    */
+  /**
+   * Downloads the sightings in the current view in the chosen format
+   * The species and days filters in effect on the map are applied server-side.
+   * @param {string} format - Export format ('csv', 'gpx' or 'kml')
+   */
+  const handleExport = useCallback((format) => {
+    if (!mapRef) return;
+
+    const bounds = mapRef.getBounds();
+    const viewport = normalizeViewport({
+      minLat: bounds.getSouth(),
+      maxLat: bounds.getNorth(),
+      minLng: bounds.getWest(),
+      maxLng: bounds.getEast()
+    });
+
+    const filters = { back };
+    if (selectedSpecies === SPECIES_CODES.RARE) {
+      filters.notableOnly = true;
+    } else if (selectedSpecies !== SPECIES_CODES.ALL) {
+      filters.species = selectedSpecies;
+    }
+
+    const url = buildExportUrl(viewport, format, filters);
+    debug.info('Exporting sightings:', url);
+
+    // The server names the file through Content-Disposition
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }, [mapRef, back, selectedSpecies]);
+
   const handleZoomChange = useCallback((newZoom) => {
     setZoom(newZoom);
     
@@ -838,7 +1032,7 @@ const BirdMap = () => {
     const updateRegion = async () => {
       try {
         // Get region info for current coordinates
-        const regionInfo = await getRegionForCoordinates(center.lat, center.lng);
+        const regionInfo = await getRegionForCoordinates(center.lat, wrapLongitude(center.lng));
         
         if (!regionInfo) {
           debug.warn('Could not determine region for coordinates');
@@ -923,7 +1117,8 @@ const BirdMap = () => {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     
-    return await response.json();
+    const { birds } = await response.json();
+    return birds;
   }, [clientId]);
 
   /**
@@ -934,23 +1129,25 @@ const BirdMap = () => {
    * @returns {Array} Combined bird data with updates applied
    */
   const addNewBirdData = useCallback((existingData, newData, updatedTileIds) => {
-    // If either array is empty, handle the simple cases
-    if (!existingData || existingData.length === 0) return newData;
-    if (!newData || newData.length === 0) return existingData;
+    // Nothing held yet, or no tiles updated (tiles that are now empty still count)
+    if (!existingData || existingData.length === 0) return newData || [];
+    if (!updatedTileIds || updatedTileIds.length === 0) return existingData;
     
-    debug.info(`Processing ${newData.length} birds for ${updatedTileIds?.length || 0} updated tiles`);
+    debug.info(`Processing ${newData?.length || 0} birds for ${updatedTileIds.length} updated tiles`);
     
     // Create a set of tile IDs for efficient lookup
     const tileSet = new Set(updatedTileIds);
     
-    // Remove existing birds that belong to updated tiles
+    // Remove existing birds that belong to updated tiles, or to their parent or
+    // child tiles when the server has changed how finely an area is split
     const filteredExisting = existingData.filter(bird => {
-      // If the bird has a tileId and that tile was updated, remove it
-      return !(bird._tileId && tileSet.has(bird._tileId));
+      if (!bird._tileId) return true;
+      if (tileSet.has(bird._tileId)) return false;
+      return !updatedTileIds.some(tileId => tilesOverlap(tileId, bird._tileId));
     });
     
     // Combine filtered existing with new data
-    const result = [...filteredExisting, ...newData];
+    const result = [...filteredExisting, ...(newData || [])];
     
     debug.info(`Replaced data for ${updatedTileIds.length} tiles, collection now has ${result.length} birds`);
     
@@ -969,14 +1166,14 @@ const BirdMap = () => {
     const ne = bounds.getNorthEast();
     const sw = bounds.getSouthWest();
     
-    // Create new viewport parameters
-    const currentViewport = {
+    // Create new viewport parameters (wrapped so viewports across ±180° are sent as minLng > maxLng)
+    const currentViewport = normalizeViewport({
       minLat: sw.lat,
       maxLat: ne.lat,
       minLng: sw.lng,
       maxLng: ne.lng,
       back
-    };
+    });
     
     // Check if we already have data for this viewport (or if it's zoomed in)
     if (isViewportContained(lastFetchViewport, currentViewport) && allBirdData) {
@@ -1020,16 +1217,20 @@ const BirdMap = () => {
     startLoading();
     
     try {
-      let data;
+      // Collection the streamed tiles are merged into
+      let data = allBirdData || [];
       
       // With server-side client tile tracking, we just need a simple fetch that always
       // sends the clientId. The server will only return tiles we don't have.
       debug.info('Fetching bird data for viewport');
       
-      // Create the viewport API URL with clientId
+      // Create the viewport API URL with clientId and the tiles we already hold.
+      // The response streams in one tile at a time so markers appear as tiles are ready
       const apiParams = {
         ...currentViewport,
-        clientId: clientId
+        clientId: clientId,
+        have: buildTileDigest(heldTilesRef.current, currentViewport),
+        format: 'ndjson'
       };
       const apiUrl = buildViewportApiUrl(apiParams);
       
@@ -1043,21 +1244,61 @@ const BirdMap = () => {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      // Get new bird data from server
-      const newData = await response.json();
-      debug.info(`Received ${newData.length} new birds from server`);
+      let metadata = null;
+      let receivedBirdCount = 0;
+      let lastRenderTime = Date.now();
       
-      // Extract unique tile IDs from the new data for replacement
-      const updatedTileIds = Array.from(new Set(
-        newData
-          .filter(bird => bird._tileId) // Only include birds with tile IDs
-          .map(bird => bird._tileId)    // Extract the tile IDs
-      ));
+      // Tiles received since the collection was last updated
+      let pendingBirds = [];
+      let pendingTileVersions = {};
       
-      debug.info(`Received data for ${updatedTileIds.length} unique tiles`);
+      // Merges pending tiles into the collection, replacing any data held for them
+      // (tiles that are now empty still count)
+      const mergePendingTiles = () => {
+        const updatedTileIds = Object.keys(pendingTileVersions);
+        if (updatedTileIds.length === 0) return false;
+        
+        data = addNewBirdData(data, pendingBirds, updatedTileIds);
+        recordHeldTiles(heldTilesRef.current, pendingTileVersions);
+        pendingBirds = [];
+        pendingTileVersions = {};
+        return true;
+      };
       
-      // Add new data to existing collection, replacing any data for updated tiles
-      data = addNewBirdData(allBirdData || [], newData, updatedTileIds);
+      await readNdjsonStream(response, async (line) => {
+        if (line.error) {
+          throw new Error(line.error);
+        }
+        if (line.metadata) {
+          metadata = line.metadata;
+          return;
+        }
+        
+        pendingBirds.push(...line.birds);
+        pendingTileVersions[line.tileId] = line.version;
+        receivedBirdCount += line.birds.length;
+        
+        // Show what has arrived so far, at most once per interval
+        if (Date.now() - lastRenderTime >= STREAM_RENDER_INTERVAL_MS && mergePendingTiles()) {
+          debug.debug(`Rendering ${data.length} birds while the response streams in`);
+          setAllBirdData(data);
+          startLoading();
+          await processAndDisplayFilteredData(filterAllBirdData(data, back, selectedSpecies));
+          lastRenderTime = Date.now();
+        }
+      });
+      
+      // Every complete response ends with its metadata
+      if (!metadata) {
+        throw new Error('Bird data stream ended early');
+      }
+      
+      mergePendingTiles();
+      debug.info(`Received ${receivedBirdCount} new birds for ${metadata.returnedTileCount} tiles from server`);
+      
+      // Track areas where eBird failed or cut off results so the user knows data may be missing
+      setDegradedTiles(metadata.degradedTiles || []);
+      setTruncatedTiles(metadata.truncatedTiles || []);
       
       debug.info(`Bird collection now contains ${data.length} total birds`); 
       
@@ -1164,118 +1405,433 @@ const BirdMap = () => {
   // directly in the main fetch effect above to avoid duplicate handling
   // If we still need this for other cases, we can reimplement it
 
-  // Set up SSE for tile update notifications - DISABLED FOR CLIENT TILE OPTIMIZATION
-  useEffect(() => {
-    // SSE connection is disabled because we now use client-side tile tracking
-    // This eliminates the need for real-time server notifications
-    debug.info('SSE connection disabled - using client-side tile tracking instead');
+  /**
+   * Fetches the tiles the server reported as updated and merges them in
+   * The request covers the area we last fetched and sends our tile digest, so the
+   * server returns just the tiles whose versions changed.
+   */
+  const refreshUpdatedTiles = useCallback(async () => {
+    tileUpdateTimerRef.current = null;
+    const updatedTileIds = Array.from(pendingTileUpdatesRef.current);
+    if (updatedTileIds.length === 0 || !mapRef || !lastFetchViewport || isNavigationMode) return;
+    
+    // Wait for a fetch in progress to finish so the two don't overwrite each other's data
+    if (loadingStateRef.current > 0) {
+      tileUpdateTimerRef.current = setTimeout(() => refreshUpdatedTilesRef.current(), FETCH_DEBOUNCE_MS);
+      return;
+    }
     
-    // No cleanup needed since we're not setting up anything
-    return () => {};
-  }, [clientId]);
+    pendingTileUpdatesRef.current.clear();
+    debug.info(`Refreshing ${updatedTileIds.length} updated tiles`);
+    startLoading();
+    
+    try {
+      const apiUrl = buildViewportApiUrl({
+        ...lastFetchViewport,
+        clientId,
+        have: buildTileDigest(heldTilesRef.current, lastFetchViewport)
+      });
+      
+      const response = await fetch(apiUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const { birds: newData, metadata } = await response.json();
+      setDegradedTiles(metadata?.degradedTiles || []);
+      setTruncatedTiles(metadata?.truncatedTiles || []);
+      
+      const receivedTileIds = Object.keys(metadata?.tileVersions || {});
+      if (receivedTileIds.length === 0) {
+        debug.debug('Updated tiles were already current');
+        return;
+      }
+      
+      const data = addNewBirdData(allBirdData || [], newData, receivedTileIds);
+      recordHeldTiles(heldTilesRef.current, metadata.tileVersions);
+      setAllBirdData(data);
+      debug.info(`Merged ${newData.length} birds from ${receivedTileIds.length} updated tiles`);
+      
+      startLoading(); // Processing ends its own loading operation
+      await processAndDisplayFilteredData(filterAllBirdData(data, back, selectedSpecies));
+    } catch (error) {
+      debug.error('Error refreshing updated tiles:', error);
+    } finally {
+      endLoading();
+    }
+  }, [mapRef, lastFetchViewport, isNavigationMode, clientId, allBirdData, back, selectedSpecies, 
+      addNewBirdData, filterAllBirdData, processAndDisplayFilteredData, startLoading, endLoading]);
   
   /**
    * Handles tile update notifications from the server via SSE
-   * Refreshes the map with new data from background-loaded tiles
-   * @param {Object} updateData - Data about the tile update
+   * Updated tiles are collected briefly and then refreshed together; new
+   * notable sightings are announced to the user.
+   * @param {Object} updateData - Event from the update stream
    */
   const handleTileUpdate = useCallback((updateData) => {
-    debug.info('Received tile update:', { 
-      completedTiles: updateData.completedTileIds.length,
-      isComplete: updateData.isComplete || false
+    switch (updateData.type) {
+      case 'connected':
+        debug.info('Tile update stream connected');
+        return;
+      case 'tileUpdate':
+        debug.debug(`Tile ${updateData.tileId} updated (${updateData.reason})`);
+        pendingTileUpdatesRef.current.add(updateData.tileId);
+        break;
+      case 'newNotable':
+        debug.info(`${updateData.sightings.length} new notable sightings in tile ${updateData.tileId}`);
+        setNewNotableSightings(current => [...updateData.sightings, ...current]);
+        return;
+      default:
+        debug.debug('Ignoring unknown tile update event:', updateData.type);
+        return;
+    }
+    
+    if (!tileUpdateTimerRef.current) {
+      tileUpdateTimerRef.current = setTimeout(() => refreshUpdatedTilesRef.current(), FETCH_DEBOUNCE_MS);
+    }
+  }, []);
+  
+  const dismissNewNotable = useCallback(() => setNewNotableSightings([]), []);
+  
+  // The stream outlives renders, so it calls the latest handlers through refs
+  useEffect(() => {
+    tileUpdateHandlerRef.current = handleTileUpdate;
+    refreshUpdatedTilesRef.current = refreshUpdatedTiles;
+  }, [handleTileUpdate, refreshUpdatedTiles]);
+  
+  // Listen for updates to the tiles we hold, so the map stays current without panning
+  useEffect(() => {
+    if (!clientId || typeof EventSource === 'undefined') return;
+    
+    const eventSource = new EventSource(buildTileUpdatesUrl(clientId));
+    eventSourceRef.current = eventSource;
+    const pendingTileUpdates = pendingTileUpdatesRef.current;
+    
+    eventSource.onmessage = (event) => {
+      try {
+        tileUpdateHandlerRef.current(JSON.parse(event.data));
+      } catch (error) {
+        debug.error('Error handling tile update event:', error);
+      }
+    };
+    
+    // EventSource reconnects by itself after errors
+    eventSource.onerror = () => {
+      debug.warn('Tile update stream interrupted, reconnecting');
+    };
+    
+    return () => {
+      eventSource.close();
+      eventSourceRef.current = null;
+      pendingTileUpdates.clear();
+      if (tileUpdateTimerRef.current) {
+        clearTimeout(tileUpdateTimerRef.current);
+        tileUpdateTimerRef.current = null;
+      }
+    };
+  }, [clientId]);
+  
+  /**
+   * Shows the selected species' wide-area sightings with the current days filter
+   * eBird's per-species query doesn't report notability, so sightings the tiles
+   * mark as notable are marked here too.
+   * @param {Array} birds - Species layer sightings
+   * @param {Array} degradedTiles - Species layer cells affected by eBird failures
+   * @returns {Promise<void>} Promise that resolves when the layer is updated
+   */
+  const displaySpeciesLayer = useCallback(async (birds, degradedTiles) => {
+    const notableKeys = new Set(
+      (allBirdData || [])
+        .filter(bird => bird.isNotable)
+        .map(bird => `${bird.speciesCode}-${bird.lat}-${bird.lng}`)
+    );
+    const markedBirds = birds.map(bird => ({
+      ...bird,
+      isNotable: notableKeys.has(`${bird.speciesCode}-${bird.lat}-${bird.lng}`)
+    }));
+    
+    const mapCenterLng = mapRef.getCenter().lng;
+    const sightings = (await processBirdSightings(filterAllBirdData(markedBirds, back, selectedSpecies))).map(location => ({
+      ...location,
+      lng: wrapLongitudeNear(location.lng, mapCenterLng)
+    }));
+    
+    setSpeciesLayer({ speciesCode: selectedSpecies, sightings, degradedTiles });
+  }, [mapRef, allBirdData, back, selectedSpecies, filterAllBirdData]);
+  
+  /**
+   * Fetches the selected species' sightings across the whole view, at any zoom level
+   * The server queries eBird for the species alone, so the layer covers a far
+   * larger area than the tiles. Views wider than SPECIES_LAYER_MAX_VIEWPORT_DEG
+   * are trimmed around their center.
+   */
+  const fetchSpeciesLayer = useCallback(async () => {
+    speciesLayerTimerRef.current = null;
+    if (!mapRef || !isSpeciesLayerActive) return;
+    
+    const bounds = mapRef.getBounds();
+    const center = bounds.getCenter();
+    const halfSpan = SPECIES_LAYER_MAX_VIEWPORT_DEG / 2;
+    const viewport = normalizeViewport({
+      minLat: Math.max(bounds.getSouth(), center.lat - halfSpan),
+      maxLat: Math.min(bounds.getNorth(), center.lat + halfSpan),
+      minLng: Math.max(bounds.getWest(), center.lng - halfSpan),
+      maxLng: Math.min(bounds.getEast(), center.lng + halfSpan)
     });
     
-    // If this update doesn't match our current viewport, ignore it
-    if (lastFetchViewport && updateData.viewport) {
-      const viewportChanged = 
-        Math.abs(lastFetchViewport.minLat - updateData.viewport.minLat) > 0.001 ||
-        Math.abs(lastFetchViewport.maxLat - updateData.viewport.maxLat) > 0.001 ||
-        Math.abs(lastFetchViewport.minLng - updateData.viewport.minLng) > 0.001 ||
-        Math.abs(lastFetchViewport.maxLng - updateData.viewport.maxLng) > 0.001;
+    const requestId = ++speciesLayerRequestRef.current;
+    const layerData = speciesLayerDataRef.current;
+    
+    // Already have this species for the whole view - just redraw it
+    if (layerData.speciesCode === selectedSpecies && isViewportContained(layerData.viewport, viewport)) {
+      await displaySpeciesLayer(layerData.birds, layerData.degradedTiles);
+      return;
+    }
+    
+    debug.info(`Fetching species layer for ${selectedSpecies}:`, viewport);
+    startLoading();
+    
+    try {
+      const response = await fetch(buildSpeciesLayerUrl(selectedSpecies, viewport));
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
       
-      if (viewportChanged) {
-        debug.debug('Ignoring tile update for different viewport');
+      const { birds, metadata } = await response.json();
+      if (requestId !== speciesLayerRequestRef.current) {
+        debug.debug('Discarding species layer response superseded by a newer request');
         return;
       }
+      
+      const degradedTiles = metadata?.degradedTiles || [];
+      speciesLayerDataRef.current = { speciesCode: selectedSpecies, viewport, birds, degradedTiles };
+      debug.info(`Received ${birds.length} sightings of ${selectedSpecies} for the species layer`);
+      await displaySpeciesLayer(birds, degradedTiles);
+    } catch (error) {
+      debug.error('Error fetching species layer:', error);
+    } finally {
+      endLoading();
     }
-    
-    // Check if our map is ready
-    if (!mapRef) {
-      debug.debug('Map not ready, ignoring tile update');
+  }, [mapRef, isSpeciesLayerActive, selectedSpecies, displaySpeciesLayer, startLoading, endLoading]);
+  
+  // Keep the species layer in step with the map while a single species is selected
+  useEffect(() => {
+    if (!isSpeciesLayerActive) {
+      speciesLayerRequestRef.current++;
+      setSpeciesLayer(current => (current.speciesCode ? { speciesCode: null, sightings: [], degradedTiles: [] } : current));
       return;
     }
+    if (!mapRef || !mapCenter) return;
+    
+    speciesLayerTimerRef.current = setTimeout(fetchSpeciesLayer, FETCH_DEBOUNCE_MS);
     
-    // Force a re-fetch by creating a simulated map center change
-    debug.info('Background tiles loaded, refreshing map data');
+    return () => {
+      if (speciesLayerTimerRef.current) {
+        clearTimeout(speciesLayerTimerRef.current);
+        speciesLayerTimerRef.current = null;
+      }
+    };
+  }, [isSpeciesLayerActive, mapRef, mapCenter, zoom, fetchSpeciesLayer]);
+  
+  /**
+   * Shows hotspots, with longitudes wrapped to the copy of the world in view
+   * @param {Array} hotspotList - Hotspots from the server
+   */
+  const displayHotspots = useCallback((hotspotList) => {
+    const mapCenterLng = mapRef.getCenter().lng;
+    setHotspots(hotspotList.map(hotspot => ({
+      ...hotspot,
+      lng: wrapLongitudeNear(hotspot.lng, mapCenterLng)
+    })));
+  }, [mapRef]);
+  
+  /**
+   * Fetches the eBird hotspots in view
+   * Views wider than HOTSPOT_MAX_VIEWPORT_DEG are trimmed around their center.
+   */
+  const fetchHotspots = useCallback(async () => {
+    hotspotTimerRef.current = null;
+    if (!mapRef) return;
     
-    // Get current bounds
     const bounds = mapRef.getBounds();
-    const ne = bounds.getNorthEast();
-    const sw = bounds.getSouthWest();
+    const center = bounds.getCenter();
+    const halfSpan = HOTSPOT_MAX_VIEWPORT_DEG / 2;
+    const viewport = normalizeViewport({
+      minLat: Math.max(bounds.getSouth(), center.lat - halfSpan),
+      maxLat: Math.min(bounds.getNorth(), center.lat + halfSpan),
+      minLng: Math.max(bounds.getWest(), center.lng - halfSpan),
+      maxLng: Math.min(bounds.getEast(), center.lng + halfSpan)
+    });
     
-    // Create new viewport parameters
-    const currentViewport = {
-      minLat: sw.lat,
-      maxLat: ne.lat,
-      minLng: sw.lng,
-      maxLng: ne.lng,
-      back
+    const requestId = ++hotspotRequestRef.current;
+    const hotspotData = hotspotDataRef.current;
+    
+    // Already have the hotspots for the whole view - just redraw them
+    if (isViewportContained(hotspotData.viewport, viewport)) {
+      displayHotspots(hotspotData.hotspots);
+      return;
+    }
+    
+    debug.info('Fetching hotspots:', viewport);
+    
+    try {
+      const response = await fetch(buildHotspotsUrl(viewport));
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      if (requestId !== hotspotRequestRef.current) {
+        debug.debug('Discarding hotspot response superseded by a newer request');
+        return;
+      }
+      
+      // Keep only a complete answer for reuse, so failed cells are asked for again
+      const isComplete = !data.metadata?.degradedTiles?.length;
+      hotspotDataRef.current = { viewport: isComplete ? viewport : null, hotspots: data.hotspots };
+      debug.info(`Received ${data.hotspots.length} hotspots`);
+      displayHotspots(data.hotspots);
+    } catch (error) {
+      debug.error('Error fetching hotspots:', error);
+    }
+  }, [mapRef, displayHotspots]);
+  
+  // Keep the hotspot layer in step with the map while it is turned on
+  useEffect(() => {
+    if (!showHotspots || !isHotspotZoom) {
+      hotspotRequestRef.current++;
+      setHotspots(current => (current.length ? [] : current));
+      return;
+    }
+    if (!mapRef || !mapCenter) return;
+    
+    hotspotTimerRef.current = setTimeout(fetchHotspots, FETCH_DEBOUNCE_MS);
+    
+    return () => {
+      if (hotspotTimerRef.current) {
+        clearTimeout(hotspotTimerRef.current);
+        hotspotTimerRef.current = null;
+      }
     };
+  }, [showHotspots, isHotspotZoom, mapRef, mapCenter, zoom, fetchHotspots]);
+  
+  const toggleHotspots = useCallback(() => {
+    setShowHotspots(current => !current);
+  }, []);
+  
+  const handleHotspotSpeciesSelect = useCallback((selection) => {
+    handleFilterChange('species', selection);
+  }, [handleFilterChange]);
+  
+  /**
+   * Turns region mode on or off
+   * Turning it on fetches every recent notable sighting in the region at the
+   * map's center and fits the map to them. The region stays the same while
+   * the map is moved; turn the mode off and on again to switch regions.
+   */
+  const toggleRegionNotable = useCallback(async () => {
+    const requestId = ++regionNotableRequestRef.current;
     
-    // Reset the last fetch viewport to force a fresh data fetch
-    setLastFetchViewport(null);
+    if (regionNotable || !mapRef) {
+      setRegionNotable(null);
+      return;
+    }
     
-    // Use a small timeout to ensure the state update happens
-    setTimeout(() => {
-      // Get bird data for the current viewport
-      const apiParams = {
-        ...currentViewport,
-        clientId: clientId
-      };
+    const center = mapRef.getCenter();
+    const regionInfo = await getRegionForCoordinates(center.lat, wrapLongitude(center.lng));
+    if (requestId !== regionNotableRequestRef.current) return;
+    
+    if (!regionInfo) {
+      debug.warn('Could not determine region for region notable mode');
+      return;
+    }
+    
+    const regionCode = regionInfo.subregion?.code || regionInfo.country.code;
+    const regionName = regionInfo.subregion?.name || regionInfo.country.name;
+    debug.info('Showing notable sightings for region:', regionCode);
+    
+    setRegionNotable({ regionCode, regionName, birds: [], loading: true });
+    startLoading();
+    
+    try {
+      const { birds, metadata } = await fetchRegionNotable(regionCode);
+      if (requestId !== regionNotableRequestRef.current) {
+        debug.debug('Discarding region notable response superseded by a newer request');
+        return;
+      }
       
-      const apiUrl = buildViewportApiUrl(apiParams);
+      setRegionNotable({
+        regionCode,
+        regionName,
+        birds,
+        loading: false,
+        truncated: metadata.truncated,
+        degraded: metadata.degraded,
+        unavailable: metadata.unavailable
+      });
       
-      // Manual fetch to bypass caching
-      debug.info('Manually refreshing data with background tiles');
-      fetch(apiUrl)
-        .then(response => {
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          return response.json();
-        })
-        .then(data => {
-          // Clear previous data completely before setting new data
-          // This ensures we don't accumulate duplicates
-          debug.info(`Replacing data with ${data.length} birds from updated tiles`);
-          
-          // Important: Directly set the new data instead of merging with old data
-          setAllBirdData(data);
-          setLastFetchViewport(currentViewport);
-          
-          // Filter by current species
-          const filteredData = filterAllBirdData(data, back, selectedSpecies);
-          
-          // Process and display
-          processAndDisplayFilteredData(filteredData);
-          
-          debug.info('Map refreshed with background tile data:', {
-            birds: data.length,
-            filtered: filteredData.length
-          });
-        })
-        .catch(error => {
-          debug.error('Error refreshing map with background tiles:', error);
-        });
-    }, 100);
-  }, [mapRef, lastFetchViewport, fetchBirdData, clientId, back, setLastFetchViewport, filterAllBirdData, processAndDisplayFilteredData, buildViewportApiUrl]);
+      // Fit to the sightings the current filters show, on the copy of the world in view
+      const mapCenterLng = mapRef.getCenter().lng;
+      const points = filterAllBirdData(birds, back, regionSpeciesCode)
+        .map(bird => [bird.lat, wrapLongitudeNear(bird.lng, mapCenterLng)]);
+      if (points.length > 0) {
+        mapRef.closePopup();
+        mapRef.fitBounds(points, { padding: [30, 30], maxZoom: REGION_NOTABLE_MAX_FIT_ZOOM });
+      }
+    } catch (error) {
+      debug.error('Error fetching region notable sightings:', error);
+      if (requestId === regionNotableRequestRef.current) {
+        setRegionNotable({ regionCode, regionName, birds: [], loading: false, failed: true });
+      }
+    } finally {
+      endLoading();
+    }
+  }, [regionNotable, mapRef, back, regionSpeciesCode, filterAllBirdData, startLoading, endLoading]);
   
-  // Load URL parameters on component mount and reset client tracking
+  // Keep region mode's markers in step with the filters, and with the copy of
+  // the world in view
   useEffect(() => {
-    // Reset client ID on page reload to force a fresh state
-    resetClientId();
-    debug.info('Reset client ID on page load');
+    if (!regionNotable || !mapRef) {
+      setRegionNotableDisplay(current => (current.sightings.length ? { sightings: [], count: 0 } : current));
+      return;
+    }
+    
+    let isCurrent = true;
     
+    const displayRegionNotable = async () => {
+      const filteredBirds = filterAllBirdData(regionNotable.birds, back, regionSpeciesCode);
+      const mapCenterLng = mapRef.getCenter().lng;
+      const sightings = (await processBirdSightings(filteredBirds)).map(location => ({
+        ...location,
+        lng: wrapLongitudeNear(location.lng, mapCenterLng)
+      }));
+      
+      if (isCurrent) {
+        setRegionNotableDisplay({ sightings, count: filteredBirds.length });
+      }
+    };
+    displayRegionNotable();
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [regionNotable, mapRef, mapCenter, back, regionSpeciesCode, filterAllBirdData]);
+  
+  // Region mode replaces every other set of markers. Otherwise, while the
+  // species layer for the selected species is loaded it replaces the tile
+  // markers; below the fetch threshold it is the only thing shown
+  const showSpeciesLayer = isSpeciesLayerActive && speciesLayer.speciesCode === selectedSpecies;
+  let displayedSightings;
+  if (isRegionMode) {
+    displayedSightings = regionNotableDisplay.sightings;
+  } else if (showSpeciesLayer) {
+    displayedSightings = speciesLayer.sightings;
+  } else {
+    displayedSightings = isNavigationMode ? [] : birdSightings;
+  }
+  
+  // Load URL parameters on component mount
+  useEffect(() => {
     const loadUrlParams = async () => {
       try {
         debug.debug('Loading URL parameters');
@@ -1435,7 +1991,29 @@ const BirdMap = () => {
               setIsMapAnimating={setIsMapAnimating} 
               onAnimationComplete={handleMoveEnd} 
             />
-            {!isNavigationMode && birdSightings.map((location) => (
+            <ExportControl
+              onExport={handleExport}
+              disabled={isNavigationMode || loading}
+            />
+            <HotspotControl
+              active={showHotspots}
+              onToggle={toggleHotspots}
+              hidden={!isHotspotZoom}
+            />
+            <RegionNotableControl
+              active={isRegionMode}
+              onToggle={toggleRegionNotable}
+              regionName={regionNotable?.regionName}
+            />
+            {hotspots.map((hotspot) => (
+              <HotspotMarker
+                key={hotspot.locId}
+                hotspot={hotspot}
+                back={back}
+                onSpeciesSelect={handleHotspotSpeciesSelect}
+              />
+            ))}
+            {displayedSightings.map((location) => (
               <BirdMarker
                 key={`${location.lat}-${location.lng}`}
                 location={location}
@@ -1453,7 +2031,24 @@ const BirdMap = () => {
               />
             ))}
             {loading && <LoadingOverlay />}
-            {isNavigationMode && <NavigationModeOverlay />}
+            {isNavigationMode && !isSpeciesLayerActive && !isRegionMode && <NavigationModeOverlay />}
+            {!isRegionMode && (!isNavigationMode || showSpeciesLayer) && (
+              <DegradedDataNotice
+                degradedTiles={showSpeciesLayer ? speciesLayer.degradedTiles : degradedTiles}
+              />
+            )}
+            {!isNavigationMode && !isRegionMode && <TruncatedDataNotice truncatedTiles={truncatedTiles} />}
+            {isRegionMode && (
+              <RegionNotableNotice
+                regionNotable={regionNotable}
+                count={regionNotableDisplay.count}
+                back={back}
+              />
+            )}
+            <NewNotableNotice
+              sightings={newNotableSightings}
+              onDismiss={dismissNewNotable}
+            />
           </MapContainer>
         )}
       </div>
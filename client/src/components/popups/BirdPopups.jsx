@@ -20,7 +20,7 @@
 * smooth map interactions.
 * 
 * Dependencies: react, react-leaflet, utils/debug, styles/layout,
-* styles/typography, styles/colors
+* styles/typography, styles/colors, popups/ChecklistViewer
 */
 
 import React, { useState, memo, useEffect } from 'react';
@@ -29,6 +29,7 @@ import { debug } from '../../utils/debug';
 import { LAYOUT_STYLES, POPUP_LAYOUT_STYLES } from '../../styles/layout';
 import { TYPOGRAPHY_STYLES } from '../../styles/typography';
 import { COLORS } from '../../styles/colors';
+import { ChecklistViewer } from './ChecklistViewer';
 
 /**
 * Main popup content component for bird sightings
@@ -149,24 +150,99 @@ const BirdThumbnail = ({ bird, onClick }) => (
 
 /**
 * Component displaying observation date and checklist links
+* Sightings with a checklist history show every report as a timeline instead
+* of a plain list of checklist links. Clicking a checklist opens it inline.
 * @component
 */
-const ObservationDetails = ({ bird }) => (
+const ObservationDetails = ({ bird }) => {
+ const [viewedSubId, setViewedSubId] = useState(null);
+ const toggleChecklist = (subId) => setViewedSubId(current => (current === subId ? null : subId));
+
+ return (
+   <>
+     <p style={TYPOGRAPHY_STYLES.observationDate}>
+       Last Observed: {new Date(bird.obsDt).toLocaleDateString()}
+     </p>
+     {bird.checklists && bird.checklists.length > 0
+       ? <ChecklistTimeline checklists={bird.checklists} onView={toggleChecklist} />
+       : <ChecklistLinks bird={bird} onView={toggleChecklist} />}
+     {viewedSubId && (
+       <ChecklistViewer subId={viewedSubId} onClose={() => setViewedSubId(null)} />
+     )}
+   </>
+ );
+};
+
+/**
+* Link to a checklist that opens the inline checklist viewer
+* Modified clicks (new tab or window) still go to eBird.
+* @component
+*/
+const ChecklistLink = ({ subId, onView }) => (
+ <a
+   href={`https://ebird.org/checklist/${subId}`}
+   target="_blank"
+   rel="noopener noreferrer"
+   style={TYPOGRAPHY_STYLES.checklistLink}
+   title="Show this checklist"
+   onClick={(e) => {
+     if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+     e.preventDefault();
+     onView(subId);
+   }}
+ >
+   {subId}
+ </a>
+);
+
+/**
+* Formats a reported count for the timeline
+* @param {number|string|null} howMany - eBird count, or null when only presence was noted
+* @returns {string} Count text
+*/
+const formatCount = (howMany) => (
+ howMany === null || howMany === undefined ? 'Present' : `${howMany} seen`
+);
+
+/**
+* Timeline of every report of a species at a location, latest first
+* @component
+*/
+const ChecklistTimeline = ({ checklists, onView }) => (
+ <ul style={POPUP_LAYOUT_STYLES.checklistTimeline}>
+   {checklists.map(entry => (
+     <li key={entry.subId} style={POPUP_LAYOUT_STYLES.checklistTimelineEntry}>
+       <div style={TYPOGRAPHY_STYLES.timelineHeading}>
+         {new Date(entry.obsDt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+         {' · '}
+         {formatCount(entry.howMany)}
+         {entry.obsReviewed && entry.obsValid && (
+           <span style={POPUP_LAYOUT_STYLES.reviewedBadge} title="Accepted by an eBird reviewer">
+             reviewed
+           </span>
+         )}
+       </div>
+       <div style={TYPOGRAPHY_STYLES.checklistText}>
+         {entry.locName}
+         {entry.userDisplayName && ` · ${entry.userDisplayName}`}
+         {' · '}
+         <ChecklistLink subId={entry.subId} onView={onView} />
+       </div>
+     </li>
+   ))}
+ </ul>
+);
+
+/**
+* Plain list of checklist links, for sightings without a checklist history
+* @component
+*/
+const ChecklistLinks = ({ bird, onView }) => (
  <>
-   <p style={TYPOGRAPHY_STYLES.observationDate}>
-     Last Observed: {new Date(bird.obsDt).toLocaleDateString()}
-   </p>
    <p style={TYPOGRAPHY_STYLES.checklistText}>
      Checklists: {bird.subIds.map((subId, index) => (
        <React.Fragment key={subId}>
-         <a
-           href={`https://ebird.org/checklist/${subId}`}
-           target="_blank"
-           rel="noopener noreferrer"
-           style={TYPOGRAPHY_STYLES.checklistLink}
-         >
-           {subId}
-         </a>
+         <ChecklistLink subId={subId} onView={onView} />
          {index < bird.subIds.length - 1 ? ', ' : ''}
        </React.Fragment>
      ))}
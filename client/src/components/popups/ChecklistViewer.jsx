@@ -0,0 +1,165 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Inline viewer for an eBird checklist inside a bird popup,
+* showing its species list, counts, effort and comments so a report can be
+* judged without leaving the map.
+* 
+* Dependencies: react, utils/debug, utils/dataUtils, utils/taxonomyUtils,
+* styles/layout, styles/typography
+*/
+
+import { useState, useEffect } from 'react';
+import { debug } from '../../utils/debug';
+import { fetchChecklist } from '../../utils/dataUtils';
+import { getSpeciesByCode } from '../../utils/taxonomyUtils';
+import { POPUP_LAYOUT_STYLES } from '../../styles/layout';
+import { TYPOGRAPHY_STYLES } from '../../styles/typography';
+
+/**
+* Formats a checklist's duration
+* @param {number|null} durationHrs - Duration in hours
+* @returns {string|null} Duration text such as "1 h 30 min", or null if not recorded
+*/
+const formatDuration = (durationHrs) => {
+ if (!durationHrs) return null;
+ const totalMinutes = Math.round(durationHrs * 60);
+ const hours = Math.floor(totalMinutes / 60);
+ const minutes = totalMinutes % 60;
+ if (hours === 0) return `${minutes} min`;
+ return minutes === 0 ? `${hours} h` : `${hours} h ${minutes} min`;
+};
+
+/**
+* Builds the effort summary line of a checklist
+* @param {Object} checklist - Checklist from the server
+* @returns {string} Duration, distance, observers and completeness, where recorded
+*/
+const describeEffort = (checklist) => [
+ formatDuration(checklist.durationHrs),
+ checklist.effortDistanceKm ? `${Number(checklist.effortDistanceKm).toFixed(1)} km` : null,
+ checklist.numObservers ? `${checklist.numObservers} ${checklist.numObservers === 1 ? 'observer' : 'observers'}` : null,
+ checklist.allObsReported ? 'complete checklist' : 'incomplete checklist'
+].filter(Boolean).join(' · ');
+
+/**
+* Inline viewer for an eBird checklist
+* @component
+* @param {Object} props
+* @param {string} props.subId - eBird checklist ID
+* @param {Function} props.onClose - Called when the viewer is closed
+*/
+export const ChecklistViewer = ({ subId, onClose }) => {
+ const [checklist, setChecklist] = useState(null);
+ const [error, setError] = useState(false);
+
+ useEffect(() => {
+   let cancelled = false;
+   setChecklist(null);
+   setError(false);
+
+   fetchChecklist(subId)
+     .then(result => {
+       if (!cancelled) setChecklist(result);
+     })
+     .catch(() => {
+       if (!cancelled) setError(true);
+     });
+
+   return () => {
+     cancelled = true;
+   };
+ }, [subId]);
+
+ debug.debug('Rendering checklist viewer:', subId);
+
+ return (
+   <div style={POPUP_LAYOUT_STYLES.checklistViewer}>
+     <div style={POPUP_LAYOUT_STYLES.checklistSpeciesRow}>
+       <strong>Checklist {subId}</strong>
+       <a
+         role="button"
+         tabIndex={0}
+         style={{ ...TYPOGRAPHY_STYLES.checklistLink, cursor: 'pointer' }}
+         onClick={onClose}
+         onKeyDown={(e) => {
+           if (e.key === 'Enter' || e.key === ' ') onClose();
+         }}
+       >
+         Hide
+       </a>
+     </div>
+     {error && (
+       <p style={TYPOGRAPHY_STYLES.checklistText}>This checklist is unavailable right now.</p>
+     )}
+     {!error && !checklist && (
+       <p style={TYPOGRAPHY_STYLES.checklistText}>Loading checklist...</p>
+     )}
+     {checklist && <ChecklistDetails checklist={checklist} />}
+     <p style={TYPOGRAPHY_STYLES.checklistText}>
+       <a
+         href={`https://ebird.org/checklist/${subId}`}
+         target="_blank"
+         rel="noopener noreferrer"
+         style={TYPOGRAPHY_STYLES.checklistLink}
+       >
+         Open on eBird
+       </a>
+     </p>
+   </div>
+ );
+};
+
+/**
+* Effort, comments and species list of a loaded checklist
+* Species are listed in taxonomic order.
+* @component
+*/
+const ChecklistDetails = ({ checklist }) => {
+ const observations = checklist.obs
+   .map(observation => ({ ...observation, taxonomy: getSpeciesByCode(observation.speciesCode) }))
+   .sort((a, b) => (a.taxonomy?.taxonOrder ?? Infinity) - (b.taxonomy?.taxonOrder ?? Infinity));
+
+ return (
+   <>
+     <p style={TYPOGRAPHY_STYLES.checklistText}>
+       {new Date(checklist.obsDt).toLocaleString([], checklist.obsTimeValid
+         ? { dateStyle: 'medium', timeStyle: 'short' }
+         : { dateStyle: 'medium' })}
+       {checklist.userDisplayName && ` · ${checklist.userDisplayName}`}
+     </p>
+     <p style={TYPOGRAPHY_STYLES.checklistText}>{describeEffort(checklist)}</p>
+     {checklist.comments && (
+       <p style={TYPOGRAPHY_STYLES.checklistComment}>{checklist.comments}</p>
+     )}
+     <p style={TYPOGRAPHY_STYLES.checklistText}>
+       {observations.length} species
+     </p>
+     {observations.map(observation => (
+       <div key={observation.speciesCode}>
+         <div style={POPUP_LAYOUT_STYLES.checklistSpeciesRow}>
+           <span>{observation.taxonomy?.commonName || observation.speciesCode}</span>
+           <span>{observation.present ? 'X' : observation.howManyStr}</span>
+         </div>
+         {observation.comments && (
+           <p style={TYPOGRAPHY_STYLES.checklistComment}>{observation.comments}</p>
+         )}
+       </div>
+     ))}
+   </>
+ );
+};
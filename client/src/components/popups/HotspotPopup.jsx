@@ -0,0 +1,128 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Popup content for eBird hotspot markers, listing the species
+* recently reported at the hotspot with a link to its eBird page.
+* 
+* Dependencies: react, utils/debug, utils/dataUtils, styles/layout,
+* styles/typography, styles/colors
+*/
+
+import { useState, useEffect, memo } from 'react';
+import { debug } from '../../utils/debug';
+import { fetchHotspotSightings } from '../../utils/dataUtils';
+import { POPUP_LAYOUT_STYLES } from '../../styles/layout';
+import { TYPOGRAPHY_STYLES } from '../../styles/typography';
+import { COLORS } from '../../styles/colors';
+
+/**
+* Popup content for an eBird hotspot
+* Recent species are fetched when the popup opens.
+* @component
+* @param {Object} props
+* @param {Object} props.hotspot - Hotspot with locId, locName and numSpeciesAllTime
+* @param {string} props.back - Days to look back for recent species
+* @param {Function} props.onBirdSelect - Callback when a species name is clicked for filtering
+*/
+export const HotspotPopupContent = memo(({ hotspot, back, onBirdSelect }) => {
+ const [birds, setBirds] = useState(null);
+ const [error, setError] = useState(false);
+
+ useEffect(() => {
+   let cancelled = false;
+   setBirds(null);
+   setError(false);
+
+   fetchHotspotSightings(hotspot.locId, back)
+     .then(result => {
+       if (!cancelled) setBirds(result);
+     })
+     .catch(() => {
+       if (!cancelled) setError(true);
+     });
+
+   return () => {
+     cancelled = true;
+   };
+ }, [hotspot.locId, back]);
+
+ debug.debug('Rendering hotspot popup:', hotspot.locId);
+
+ return (
+   <div style={POPUP_LAYOUT_STYLES.contentContainer}>
+     <h3 style={TYPOGRAPHY_STYLES.popupHeader}>{hotspot.locName}</h3>
+     <p style={TYPOGRAPHY_STYLES.observationDate}>
+       {hotspot.numSpeciesAllTime} species reported all time
+     </p>
+     <RecentSpecies birds={birds} error={error} back={back} onBirdSelect={onBirdSelect} />
+     <p style={{ ...TYPOGRAPHY_STYLES.checklistText, ...POPUP_LAYOUT_STYLES.hotspotFooter }}>
+       <a
+         href={`https://ebird.org/hotspot/${hotspot.locId}`}
+         target="_blank"
+         rel="noopener noreferrer"
+         style={TYPOGRAPHY_STYLES.checklistLink}
+       >
+         View hotspot on eBird
+       </a>
+     </p>
+   </div>
+ );
+});
+
+HotspotPopupContent.displayName = 'HotspotPopupContent';
+
+/**
+* List of species recently reported at a hotspot
+* @component
+*/
+const RecentSpecies = ({ birds, error, back, onBirdSelect }) => {
+ if (error) {
+   return <p style={TYPOGRAPHY_STYLES.checklistText}>Recent sightings are unavailable right now.</p>;
+ }
+ if (!birds) {
+   return <p style={TYPOGRAPHY_STYLES.checklistText}>Loading recent sightings...</p>;
+ }
+ if (birds.length === 0) {
+   return <p style={TYPOGRAPHY_STYLES.checklistText}>No species reported in the last {back} days.</p>;
+ }
+
+ return (
+   <>
+     <h4 style={TYPOGRAPHY_STYLES.birdName}>
+       {birds.length} species in the last {back} days
+     </h4>
+     {birds.map(bird => (
+       <div key={bird.speciesCode} style={POPUP_LAYOUT_STYLES.hotspotSpeciesRow}>
+         <span
+           style={{
+             textDecoration: 'underline',
+             cursor: 'pointer',
+             color: COLORS.link
+           }}
+           onClick={() => onBirdSelect && onBirdSelect(bird)}
+           title="Click to filter for this species"
+         >
+           {bird.comName}
+         </span>
+         <span style={TYPOGRAPHY_STYLES.checklistText}>
+           {new Date(bird.obsDt).toLocaleDateString()}
+         </span>
+       </div>
+     ))}
+   </>
+ );
+};
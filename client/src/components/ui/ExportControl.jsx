@@ -0,0 +1,188 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Map control for downloading the sightings in view as CSV,
+ * GPX waypoints or KML. A download button opens a small menu of formats.
+ *
+ * Dependencies: react, react-leaflet, leaflet, styles/controls, utils/debug
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { CONTROL_BUTTON_STYLES, EXPORT_MENU_STYLES } from '../../styles/controls';
+import { debug } from '../../utils/debug';
+
+/**
+ * Formats offered in the export menu
+ * @constant
+ */
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV', title: 'Spreadsheet with one row per species and location' },
+  { format: 'gpx', label: 'GPX', title: 'GPS waypoints, one per location' },
+  { format: 'kml', label: 'KML', title: 'Placemarks for Google Earth' }
+];
+
+/**
+ * Custom Leaflet control component for exporting sightings
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onExport - Called with the chosen format ('csv', 'gpx' or 'kml')
+ * @param {boolean} props.disabled - Whether exporting is currently unavailable
+ * @returns {null} - Renders no DOM elements directly
+ */
+export const ExportControl = ({ onExport, disabled }) => {
+  const map = useMap();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handlers = useMemo(() => ({
+    onToggle: () => setIsOpen(open => !open),
+    onSelect: (format) => {
+      debug.info('Export requested:', format);
+      setIsOpen(false);
+      onExport(format);
+    }
+  }), [onExport]);
+
+  useEffect(() => {
+    const ExportControlClass = createExportControl(handlers, isOpen, disabled);
+    const exportControl = new ExportControlClass();
+    map.addControl(exportControl);
+
+    // Close the menu when the user goes back to the map
+    const closeMenu = () => setIsOpen(false);
+    if (isOpen) {
+      map.on('click movestart', closeMenu);
+    }
+
+    return () => {
+      map.removeControl(exportControl);
+      map.off('click movestart', closeMenu);
+    };
+  }, [map, handlers, isOpen, disabled]);
+
+  return null;
+};
+
+/**
+ * Creates a custom Leaflet control class
+ * @param {Object} handlers - onToggle and onSelect handlers
+ * @param {boolean} isOpen - Whether the format menu is showing
+ * @param {boolean} disabled - Whether exporting is currently unavailable
+ * @returns {L.Control} Extended Leaflet control
+ */
+const createExportControl = (handlers, isOpen, disabled) => {
+  return L.Control.extend({
+    options: {
+      position: 'topright'
+    },
+
+    onAdd: function () {
+      const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control');
+      L.DomEvent.disableClickPropagation(container);
+
+      createControlButton(container, handlers.onToggle, isOpen);
+      if (isOpen) {
+        createFormatMenu(container, handlers.onSelect, disabled);
+      }
+      return container;
+    }
+  });
+};
+
+/**
+ * Attaches click and keyboard activation to an element
+ * @param {HTMLElement} element - Element to activate
+ * @param {Function} handler - Called on click, Enter or Space
+ */
+const onActivate = (element, handler) => {
+  element.setAttribute('tabindex', '0');
+  L.DomEvent.on(element, 'click keydown', function (e) {
+    if (e.type === 'click' || e.key === 'Enter' || e.key === ' ') {
+      L.DomEvent.stopPropagation(e);
+      L.DomEvent.preventDefault(e);
+      handler();
+    }
+  });
+};
+
+/**
+ * Creates the accessible download button that opens the format menu
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onToggle - Click handler for the button
+ * @param {boolean} isOpen - Whether the format menu is showing
+ * @returns {HTMLElement} The created button element
+ */
+const createControlButton = (container, onToggle, isOpen) => {
+  const button = L.DomUtil.create('a', 'leaflet-control-export', container);
+
+  Object.assign(
+    button.style,
+    CONTROL_BUTTON_STYLES.base,
+    isOpen ? CONTROL_BUTTON_STYLES.active : CONTROL_BUTTON_STYLES.inactive
+  );
+
+  button.title = 'Export sightings in view';
+  button.setAttribute('role', 'button');
+  button.setAttribute('aria-label', 'Export sightings in view');
+  button.setAttribute('aria-haspopup', 'menu');
+  button.setAttribute('aria-expanded', String(isOpen));
+
+  button.innerHTML = `
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      height="20"
+      width="20"
+      viewBox="0 -960 960 960"
+      fill="white"
+      aria-hidden="true"
+    >
+      <path d="M480-320 280-520l56-58 104 104v-326h80v326l104-104 56 58-200 200ZM240-160q-33 0-56.5-23.5T160-240v-120h80v120h480v-120h80v120q0 33-23.5 56.5T720-160H240Z"/>
+    </svg>
+  `;
+
+  onActivate(button, onToggle);
+  return button;
+};
+
+/**
+ * Creates the menu of export formats
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onSelect - Called with the chosen format
+ * @param {boolean} disabled - Whether exporting is currently unavailable
+ * @returns {HTMLElement} The created menu element
+ */
+const createFormatMenu = (container, onSelect, disabled) => {
+  const menu = L.DomUtil.create('div', 'leaflet-control-export-menu', container);
+  Object.assign(menu.style, EXPORT_MENU_STYLES.menu);
+  menu.setAttribute('role', 'menu');
+
+  EXPORT_OPTIONS.forEach(option => {
+    const item = L.DomUtil.create('a', '', menu);
+    Object.assign(item.style, EXPORT_MENU_STYLES.item, disabled ? EXPORT_MENU_STYLES.itemDisabled : {});
+    item.textContent = option.label;
+    item.title = disabled ? 'Zoom in to export sightings' : option.title;
+    item.setAttribute('role', 'menuitem');
+    item.setAttribute('aria-disabled', String(disabled));
+
+    onActivate(item, () => {
+      if (!disabled) onSelect(option.format);
+    });
+  });
+
+  return menu;
+};
@@ -0,0 +1,127 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Map control that shows or hides the eBird hotspot layer.
+ *
+ * Dependencies: react, react-leaflet, leaflet, styles/controls, utils/debug
+ */
+
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { CONTROL_BUTTON_STYLES } from '../../styles/controls';
+import { debug } from '../../utils/debug';
+
+/**
+ * Custom Leaflet control component for toggling the hotspot layer
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.active - Whether the hotspot layer is turned on
+ * @param {Function} props.onToggle - Called when the button is pressed
+ * @param {boolean} props.hidden - Whether hotspots are turned on but hidden at this zoom level
+ * @returns {null} - Renders no DOM elements directly
+ */
+export const HotspotControl = ({ active, onToggle, hidden }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const HotspotControlClass = createHotspotControl(active, onToggle, hidden);
+    const hotspotControl = new HotspotControlClass();
+    map.addControl(hotspotControl);
+
+    return () => {
+      map.removeControl(hotspotControl);
+    };
+  }, [map, active, onToggle, hidden]);
+
+  return null;
+};
+
+/**
+ * Creates a custom Leaflet control class
+ * @param {boolean} active - Whether the hotspot layer is turned on
+ * @param {Function} onToggle - Click handler for the button
+ * @param {boolean} hidden - Whether hotspots are hidden at this zoom level
+ * @returns {L.Control} Extended Leaflet control
+ */
+const createHotspotControl = (active, onToggle, hidden) => {
+  return L.Control.extend({
+    options: {
+      position: 'topright'
+    },
+
+    onAdd: function () {
+      const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control');
+      L.DomEvent.disableClickPropagation(container);
+      createControlButton(container, active, onToggle, hidden);
+      return container;
+    }
+  });
+};
+
+/**
+ * Creates the accessible toggle button
+ * @param {HTMLElement} container - Parent container element
+ * @param {boolean} active - Whether the hotspot layer is turned on
+ * @param {Function} onToggle - Click handler for the button
+ * @param {boolean} hidden - Whether hotspots are hidden at this zoom level
+ * @returns {HTMLElement} The created button element
+ */
+const createControlButton = (container, active, onToggle, hidden) => {
+  const button = L.DomUtil.create('a', 'leaflet-control-hotspots', container);
+
+  Object.assign(
+    button.style,
+    CONTROL_BUTTON_STYLES.base,
+    active ? CONTROL_BUTTON_STYLES.active : CONTROL_BUTTON_STYLES.inactive
+  );
+
+  let title = active ? 'Hide eBird hotspots' : 'Show eBird hotspots';
+  if (active && hidden) {
+    title += ' (zoom in to see them)';
+  }
+
+  button.title = title;
+  button.setAttribute('role', 'button');
+  button.setAttribute('tabindex', '0');
+  button.setAttribute('aria-label', 'eBird hotspots');
+  button.setAttribute('aria-pressed', String(active));
+
+  button.innerHTML = `
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      height="20"
+      width="20"
+      viewBox="0 -960 960 960"
+      fill="white"
+      aria-hidden="true"
+    >
+      <path d="M480-480q33 0 56.5-23.5T560-560q0-33-23.5-56.5T480-640q-33 0-56.5 23.5T400-560q0 33 23.5 56.5T480-480Zm0 294q122-112 181-203.5T720-552q0-109-69.5-178.5T480-800q-101 0-170.5 69.5T240-552q0 71 59 162.5T480-186Zm0 106Q319-217 239.5-334.5T160-552q0-150 96.5-239T480-880q127 0 223.5 89T800-552q0 100-79.5 217.5T480-80Zm0-480Z"/>
+    </svg>
+  `;
+
+  L.DomEvent.on(button, 'click keydown', function (e) {
+    if (e.type === 'click' || e.key === 'Enter' || e.key === ' ') {
+      L.DomEvent.stopPropagation(e);
+      L.DomEvent.preventDefault(e);
+      debug.info(`${active ? 'Hiding' : 'Showing'} hotspot layer`);
+      onToggle();
+    }
+  });
+
+  return button;
+};
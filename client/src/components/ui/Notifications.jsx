@@ -115,6 +115,132 @@ export const NavigationModeOverlay = () => (
   </div>
 );
 
+/**
+ * Displays a notice while part of the viewport is affected by eBird failures
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.degradedTiles - Degraded tiles reported by the server
+ * @returns {React.ReactElement|null}
+ */
+export const DegradedDataNotice = ({ degradedTiles }) => {
+  if (!degradedTiles || degradedTiles.length === 0) return null;
+
+  const staleCount = degradedTiles.filter(tile => tile.status === 'stale').length;
+  const unavailableCount = degradedTiles.length - staleCount;
+
+  const details = [];
+  if (staleCount > 0) {
+    details.push(`showing older sightings for ${staleCount} ${staleCount === 1 ? 'area' : 'areas'}`);
+  }
+  if (unavailableCount > 0) {
+    details.push(`${unavailableCount} ${unavailableCount === 1 ? 'area' : 'areas'} could not be loaded`);
+  }
+
+  return (
+    <div style={NOTIFICATION_LAYOUT_STYLES.degradedNotice}>
+      eBird is not responding for part of this map: {details.join(', ')}. Retrying automatically.
+    </div>
+  );
+};
+
+/**
+ * Displays a notice when eBird's record limit cut off sightings in the viewport
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string[]} props.truncatedTiles - Truncated tile IDs reported by the server
+ * @returns {React.ReactElement|null}
+ */
+export const TruncatedDataNotice = ({ truncatedTiles }) => {
+  if (!truncatedTiles || truncatedTiles.length === 0) return null;
+
+  const areas = `${truncatedTiles.length} ${truncatedTiles.length === 1 ? 'area' : 'areas'}`;
+
+  return (
+    <div style={NOTIFICATION_LAYOUT_STYLES.truncatedNotice}>
+      eBird limits the number of records returned, so some sightings in {areas} of this map may be missing.
+    </div>
+  );
+};
+
+/**
+ * Describes what region mode is showing
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.regionNotable - Region mode state: the region's name,
+ *   and whether its list is still loading, truncated, degraded, unavailable
+ *   or failed to load
+ * @param {number} props.count - Number of sightings shown
+ * @param {string} props.back - Days back the sightings are filtered to
+ * @returns {React.ReactElement|null}
+ */
+export const RegionNotableNotice = ({ regionNotable, count, back }) => {
+  if (!regionNotable || regionNotable.loading) return null;
+
+  const { regionName, truncated, degraded, unavailable, failed } = regionNotable;
+
+  let message;
+  if (failed || unavailable) {
+    message = `Notable sightings in ${regionName} could not be loaded from eBird.`;
+  } else if (count === 0) {
+    message = `No notable sightings reported in ${regionName} in the last ${back} days.`;
+  } else {
+    message = `${count} notable ${count === 1 ? 'sighting' : 'sightings'} in ${regionName} in the last ${back} days.`;
+    if (truncated) {
+      message += ' eBird limits the number of records returned, so some may be missing.';
+    }
+    if (degraded) {
+      message += ' eBird is not responding, so these may be out of date.';
+    }
+  }
+
+  return (
+    <div style={NOTIFICATION_LAYOUT_STYLES.regionNotableNotice} role="status">
+      {message}
+    </div>
+  );
+};
+
+/**
+ * Announces notable sightings that arrived through live tile updates
+ * Dismisses itself after a few seconds; newer sightings restart the timer.
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.sightings - New notable sightings, newest first
+ * @param {Function} props.onDismiss - Called when the notice should be cleared
+ * @returns {React.ReactElement|null}
+ */
+export const NewNotableNotice = ({ sightings, onDismiss }) => {
+  useEffect(() => {
+    if (!sightings || sightings.length === 0) return;
+
+    const timer = setTimeout(onDismiss, 10000);
+    return () => clearTimeout(timer);
+  }, [sightings, onDismiss]);
+
+  if (!sightings || sightings.length === 0) return null;
+
+  let message;
+  if (sightings.length === 1) {
+    const [sighting] = sightings;
+    message = `New notable sighting: ${sighting.comName}${sighting.locName ? ` at ${sighting.locName}` : ''}`;
+  } else {
+    const names = Array.from(new Set(sightings.map(sighting => sighting.comName)));
+    const shownNames = names.slice(0, 3).join(', ');
+    const moreNames = names.length > 3 ? ` and ${names.length - 3} more` : '';
+    message = `${sightings.length} new notable sightings: ${shownNames}${moreNames}`;
+  }
+
+  return (
+    <div style={NOTIFICATION_LAYOUT_STYLES.newNotableNotice} role="status">
+      {message}
+    </div>
+  );
+};
+
 LoadingOverlay.displayName = 'LoadingOverlay';
 FadeNotification.displayName = 'FadeNotification';
-NavigationModeOverlay.displayName = 'NavigationModeOverlay';
\ No newline at end of file
+NavigationModeOverlay.displayName = 'NavigationModeOverlay';
+DegradedDataNotice.displayName = 'DegradedDataNotice';
+TruncatedDataNotice.displayName = 'TruncatedDataNotice';
+RegionNotableNotice.displayName = 'RegionNotableNotice';
+NewNotableNotice.displayName = 'NewNotableNotice';
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Map control that switches region mode on or off. Region mode
+ * shows every recent notable sighting in the region at the map's center.
+ *
+ * Dependencies: react, react-leaflet, leaflet, styles/controls, utils/debug
+ */
+
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { CONTROL_BUTTON_STYLES } from '../../styles/controls';
+import { debug } from '../../utils/debug';
+
+/**
+ * Custom Leaflet control component for toggling region mode
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.active - Whether region mode is on
+ * @param {Function} props.onToggle - Called when the button is pressed
+ * @param {string} [props.regionName] - Name of the region shown while region mode is on
+ * @returns {null} - Renders no DOM elements directly
+ */
+export const RegionNotableControl = ({ active, onToggle, regionName }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const RegionNotableControlClass = createRegionNotableControl(active, onToggle, regionName);
+    const regionNotableControl = new RegionNotableControlClass();
+    map.addControl(regionNotableControl);
+
+    return () => {
+      map.removeControl(regionNotableControl);
+    };
+  }, [map, active, onToggle, regionName]);
+
+  return null;
+};
+
+/**
+ * Creates a custom Leaflet control class
+ * @param {boolean} active - Whether region mode is on
+ * @param {Function} onToggle - Click handler for the button
+ * @param {string} [regionName] - Name of the region shown
+ * @returns {L.Control} Extended Leaflet control
+ */
+const createRegionNotableControl = (active, onToggle, regionName) => {
+  return L.Control.extend({
+    options: {
+      position: 'topright'
+    },
+
+    onAdd: function () {
+      const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control');
+      L.DomEvent.disableClickPropagation(container);
+      createControlButton(container, active, onToggle, regionName);
+      return container;
+    }
+  });
+};
+
+/**
+ * Creates the accessible toggle button
+ * @param {HTMLElement} container - Parent container element
+ * @param {boolean} active - Whether region mode is on
+ * @param {Function} onToggle - Click handler for the button
+ * @param {string} [regionName] - Name of the region shown
+ * @returns {HTMLElement} The created button element
+ */
+const createControlButton = (container, active, onToggle, regionName) => {
+  const button = L.DomUtil.create('a', 'leaflet-control-region-notable', container);
+
+  Object.assign(
+    button.style,
+    CONTROL_BUTTON_STYLES.base,
+    active ? CONTROL_BUTTON_STYLES.active : CONTROL_BUTTON_STYLES.inactive
+  );
+
+  button.title = active
+    ? `Stop showing notable sightings${regionName ? ` in ${regionName}` : ''}`
+    : 'Show all notable sightings in this region';
+  button.setAttribute('role', 'button');
+  button.setAttribute('tabindex', '0');
+  button.setAttribute('aria-label', 'Notable sightings in this region');
+  button.setAttribute('aria-pressed', String(active));
+
+  button.innerHTML = `
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      height="20"
+      width="20"
+      viewBox="0 -960 960 960"
+      fill="white"
+      aria-hidden="true"
+    >
+      <path d="m354-287 126-76 126 77-33-144 111-96-146-13-58-136-58 135-146 13 111 97-33 143ZM233-120l65-281L80-590l288-25 112-265 112 265 288 25-218 189 65 281-247-149-247 149Zm247-350Z"/>
+    </svg>
+  `;
+
+  L.DomEvent.on(button, 'click keydown', function (e) {
+    if (e.type === 'click' || e.key === 'Enter' || e.key === ' ') {
+      L.DomEvent.stopPropagation(e);
+      L.DomEvent.preventDefault(e);
+      debug.info(`${active ? 'Leaving' : 'Entering'} region notable mode`);
+      onToggle();
+    }
+  });
+
+  return button;
+};
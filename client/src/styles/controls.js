@@ -16,7 +16,7 @@
  *
  * Project: bird-sightings-map
  * Description: Defines styles for map control elements including buttons,
- * selects, inputs, and species search components. Handles both active and 
+ * selects, inputs, species search and export menu components. Handles both active and 
  * inactive states.
  * 
  * Dependencies: colors.js
@@ -290,4 +290,28 @@ export const SPECIES_SEARCH_STYLES = {
         textAlign: 'center',
         fontSize: BASE_STYLES.fontSize.small
     }
-};
\ No newline at end of file
+};
+/**
+ * Styles for the export control's format menu
+ * @constant
+ */
+export const EXPORT_MENU_STYLES = {
+    menu: {
+        display: 'flex',
+        flexDirection: 'column',
+        backgroundColor: 'white',
+        borderTop: BASE_STYLES.border
+    },
+    item: {
+        padding: BASE_STYLES.padding.compact,
+        color: COLORS.text.primary,
+        fontSize: BASE_STYLES.fontSize.small,
+        textAlign: 'center',
+        whiteSpace: 'nowrap',
+        cursor: 'pointer'
+    },
+    itemDisabled: {
+        color: COLORS.text.tertiary,
+        cursor: 'not-allowed'
+    }
+};
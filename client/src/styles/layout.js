@@ -153,6 +153,57 @@ export const POPUP_LAYOUT_STYLES = {
         cursor: 'pointer',
         marginBottom: '0.25rem',
         borderRadius: '4px'
+    },
+    // One species in a hotspot's recent list
+    hotspotSpeciesRow: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'baseline',
+        gap: '0.5rem',
+        padding: '0.15rem 0',
+        borderBottom: '1px solid ' + COLORS.border
+    },
+    // Footer with the link to the hotspot's eBird page
+    hotspotFooter: {
+        marginTop: '0.5rem'
+    },
+    // List of every report of a species at a location
+    checklistTimeline: {
+        listStyle: 'none',
+        margin: '0.25rem 0 0 0.25rem',
+        padding: 0
+    },
+    // One report in the timeline, marked with a line down the left side
+    checklistTimelineEntry: {
+        borderLeft: '2px solid ' + COLORS.border,
+        paddingLeft: '0.5rem',
+        paddingBottom: '0.25rem'
+    },
+    // Checklist viewer shown inside a bird popup
+    checklistViewer: {
+        marginTop: '0.25rem',
+        padding: '0.5rem',
+        backgroundColor: COLORS.speciesSearch.visibleSpeciesBackground,
+        borderRadius: '4px'
+    },
+    // One species in the checklist viewer
+    checklistSpeciesRow: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        gap: '0.5rem',
+        padding: '0.1rem 0',
+        fontSize: '0.85em'
+    },
+    // Badge for reports accepted by an eBird reviewer
+    reviewedBadge: {
+        marginLeft: '4px',
+        border: '1px solid ' + COLORS.text.tertiary,
+        color: COLORS.text.tertiary,
+        fontSize: '0.6rem',
+        padding: '0 4px',
+        borderRadius: '10px',
+        display: 'inline-block',
+        lineHeight: 1.4
     }
 };
 
@@ -176,6 +227,72 @@ export const NOTIFICATION_LAYOUT_STYLES = {
         textAlign: 'center',
         animation: 'fadeInOut 8s ease-in-out forwards'
     },
+    // Persistent notice while eBird data is degraded
+    degradedNotice: {
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        backgroundColor: COLORS.overlay.background,
+        color: COLORS.text.light,
+        padding: '8px 16px',
+        borderRadius: '8px',
+        zIndex: 1000,
+        maxWidth: '80%',
+        textAlign: 'center',
+        fontSize: '14px',
+        pointerEvents: 'none'
+    },
+    // Notice shown when eBird's record limit cut off part of the map
+    // (sits above the degraded data notice when both are shown)
+    truncatedNotice: {
+        position: 'absolute',
+        bottom: '64px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        backgroundColor: COLORS.overlay.background,
+        color: COLORS.text.light,
+        padding: '8px 16px',
+        borderRadius: '8px',
+        zIndex: 1000,
+        maxWidth: '80%',
+        textAlign: 'center',
+        fontSize: '14px',
+        pointerEvents: 'none'
+    },
+    // Summary of what region mode is showing (takes the place of the tile
+    // notices, which are hidden in region mode)
+    regionNotableNotice: {
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        backgroundColor: COLORS.overlay.background,
+        color: COLORS.text.light,
+        padding: '8px 16px',
+        borderRadius: '8px',
+        zIndex: 1000,
+        maxWidth: '80%',
+        textAlign: 'center',
+        fontSize: '14px',
+        pointerEvents: 'none'
+    },
+    // Announcement of notable sightings pushed by live tile updates
+    newNotableNotice: {
+        position: 'absolute',
+        top: '10px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        backgroundColor: COLORS.overlay.background,
+        color: COLORS.text.light,
+        padding: '8px 16px',
+        borderRadius: '8px',
+        zIndex: 1000,
+        maxWidth: '80%',
+        textAlign: 'center',
+        fontSize: '14px',
+        pointerEvents: 'none'
+    },
     // Full-screen loading overlay
     loadingOverlay: {
         position: 'absolute',
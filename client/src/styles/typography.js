@@ -54,5 +54,17 @@ export const TYPOGRAPHY_STYLES = {
    checklistLink: {
      color: COLORS.link,
      textDecoration: 'underline'
+   },
+   // Observer and checklist comments in the checklist viewer
+   checklistComment: {
+     fontSize: '0.8em',
+     fontStyle: 'italic',
+     color: COLORS.text.secondary,
+     margin: '0.25rem 0'
+   },
+   // Date and count line of a checklist timeline entry
+   timelineHeading: {
+     fontSize: '0.85em',
+     color: COLORS.text.secondary
    }
 };
\ No newline at end of file
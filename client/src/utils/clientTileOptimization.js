@@ -4,6 +4,12 @@
  * by tracking which tiles the client has already seen.
  */
 
+import { splitViewportAtAntimeridian } from './mapUtils';
+
+// Longest digest sent, in URL-encoded characters. It travels in the query string,
+// and servers and proxies reject request lines much over 8 KB
+const MAX_DIGEST_LENGTH = 6000;
+
 /**
  * Generates or retrieves a persistent client ID for tile tracking
  * @returns {string} Unique client identifier
@@ -32,11 +38,132 @@ export function appendClientId(baseUrl) {
   return `${baseUrl}${separator}clientId=${clientId}`;
 }
 
+/**
+ * Tells the server it can forget a client's tile tracking session
+ * Uses sendBeacon so the request survives the page being closed.
+ * @param {string} [clientId] - Client ID to release (defaults to the stored one)
+ */
+export function releaseClientId(clientId = localStorage.getItem('birdMapClientId')) {
+  if (!clientId) return;
+  
+  const url = `${import.meta.env.VITE_API_URL}/api/client/release?clientId=${encodeURIComponent(clientId)}`;
+  if (navigator.sendBeacon) {
+    navigator.sendBeacon(url);
+  } else {
+    fetch(url, { method: 'POST', keepalive: true }).catch(() => {});
+  }
+}
+
 /**
  * Resets the client ID (useful for debugging)
- * This will cause the server to send all tiles on the next request
+ * The old session is released on the server, and the server will send all
+ * tiles on the next request
  */
 export function resetClientId() {
+  releaseClientId();
   localStorage.removeItem('birdMapClientId');
   console.log('Client ID reset. Will generate new ID on next fetch.');
-}
\ No newline at end of file
+}
+
+/**
+ * Checks whether two server tile IDs ("z/x/y") cover overlapping areas
+ * Dense tiles are split into children on the server, so data tagged with a
+ * parent tile has to be replaced when its children arrive, and vice versa.
+ * @param {string} tileIdA - First tile ID
+ * @param {string} tileIdB - Second tile ID
+ * @returns {boolean} True if one tile is the same as or contains the other
+ */
+export function tilesOverlap(tileIdA, tileIdB) {
+  if (tileIdA === tileIdB) return true;
+  
+  const a = tileIdA.split('/').map(Number);
+  const b = tileIdB.split('/').map(Number);
+  if (a.length !== 3 || b.length !== 3) return false;
+  
+  // Scale the finer tile up to the coarser tile's zoom level and compare
+  const [coarse, fine] = a[0] <= b[0] ? [a, b] : [b, a];
+  const scale = Math.pow(2, fine[0] - coarse[0]);
+  return Math.floor(fine[1] / scale) === coarse[1] && Math.floor(fine[2] / scale) === coarse[2];
+}
+
+/**
+ * Gets the bounds of a server tile ID ("z/x/y")
+ * @param {string} tileId - Tile ID
+ * @returns {Object|null} Bounds {minLat, maxLat, minLng, maxLng}, or null if malformed
+ */
+export function getTileBounds(tileId) {
+  const [z, x, y] = tileId.split('/').map(Number);
+  if ([z, x, y].some(Number.isNaN)) return null;
+  
+  const tileCount = Math.pow(2, z);
+  const tileYToLat = row => Math.atan(Math.sinh(Math.PI * (1 - 2 * row / tileCount))) * 180 / Math.PI;
+  
+  return {
+    minLat: tileYToLat(y + 1),
+    maxLat: tileYToLat(y),
+    minLng: x / tileCount * 360 - 180,
+    maxLng: (x + 1) / tileCount * 360 - 180
+  };
+}
+
+/**
+ * Builds the digest of held tiles sent with a viewport request
+ * Lists the tiles in the viewport as "z/x/y@version" so the server can send
+ * exactly the tiles that are missing or have been refreshed since. Only the
+ * first tiles that fit in MAX_DIGEST_LENGTH are listed; the server sends the
+ * rest again, which costs bandwidth but keeps the request URL short enough.
+ * @param {Map<string, string>} heldTiles - Tile ID to version for every tile the client holds
+ * @param {Object} viewport - Normalized viewport (minLng > maxLng when crossing ±180°)
+ * @returns {string} Comma-separated digest (empty when nothing in view is held)
+ */
+export function buildTileDigest(heldTiles, viewport) {
+  const areas = splitViewportAtAntimeridian(viewport);
+  
+  const entries = [];
+  let encodedLength = 0;
+  for (const [tileId, version] of heldTiles) {
+    const bounds = getTileBounds(tileId);
+    if (!bounds) continue;
+    
+    const isInView = areas.some(area => 
+      bounds.minLat <= area.maxLat && bounds.maxLat >= area.minLat &&
+      bounds.minLng <= area.maxLng && bounds.maxLng >= area.minLng
+    );
+    if (!isInView) continue;
+    
+    // Each entry also needs an encoded comma (3 characters) in front of it
+    const entry = `${tileId}@${version}`;
+    const entryLength = encodeURIComponent(entry).length + (entries.length > 0 ? 3 : 0);
+    if (encodedLength + entryLength > MAX_DIGEST_LENGTH) {
+      console.warn(`Tile digest is full at ${entries.length} tiles, the server will resend the other tiles in view`);
+      break;
+    }
+    
+    entries.push(entry);
+    encodedLength += entryLength;
+  }
+  
+  return entries.join(',');
+}
+
+/**
+ * Records tiles received from the server in the set of held tiles
+ * Tiles they replace (the same tile, or its parent or children after the
+ * server changed how finely the area is split) are dropped first.
+ * @param {Map<string, string>} heldTiles - Tile ID to version, updated in place
+ * @param {Object} tileVersions - Tile ID to version from the response metadata
+ */
+export function recordHeldTiles(heldTiles, tileVersions) {
+  const receivedTileIds = Object.keys(tileVersions || {});
+  if (receivedTileIds.length === 0) return;
+  
+  for (const tileId of heldTiles.keys()) {
+    if (receivedTileIds.some(receivedTileId => tilesOverlap(receivedTileId, tileId))) {
+      heldTiles.delete(tileId);
+    }
+  }
+  
+  for (const tileId of receivedTileIds) {
+    heldTiles.set(tileId, tileVersions[tileId]);
+  }
+}
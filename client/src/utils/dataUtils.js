@@ -390,6 +390,81 @@ export const fetchRegionSpecies = async (regionCode) => {
 };
 
 
+/**
+ * Fetches the species recently reported at an eBird hotspot
+ * @param {string} locId - eBird location ID
+ * @param {string|number} [back] - Days to look back
+ * @returns {Promise<Array>} Latest sighting of each species, most recent first
+ */
+export const fetchHotspotSightings = async (locId, back) => {
+  debug.debug('Fetching recent sightings for hotspot:', locId);
+
+  try {
+    const response = await fetch(buildHotspotSightingsUrl(locId, back));
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    debug.debug('Received hotspot sightings:', { locId, count: data.birds.length });
+    return data.birds;
+  } catch (error) {
+    debug.error('Error fetching hotspot sightings:', error);
+    throw error;
+  }
+};
+
+
+/**
+ * Fetches an eBird checklist with its full species list
+ * @param {string} subId - eBird checklist ID
+ * @returns {Promise<Object>} Checklist with effort details, comments and observations
+ */
+export const fetchChecklist = async (subId) => {
+  debug.debug('Fetching checklist:', subId);
+
+  try {
+    const response = await fetch(buildChecklistUrl(subId));
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    debug.debug('Received checklist:', { subId, species: data.checklist.obs.length });
+    return data.checklist;
+  } catch (error) {
+    debug.error('Error fetching checklist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches every recent notable sighting in an eBird region
+ * @param {string} regionCode - eBird region code (e.g., "US-CA")
+ * @returns {Promise<{birds: Array, metadata: Object}>} Sightings, plus metadata
+ *   saying whether eBird's record limit cut the list short
+ */
+export const fetchRegionNotable = async (regionCode) => {
+  debug.debug('Fetching region notable sightings:', regionCode);
+
+  try {
+    const response = await fetch(buildRegionNotableUrl(regionCode));
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    debug.debug('Received region notable sightings:', { regionCode, count: data.birds.length });
+    return data;
+  } catch (error) {
+    debug.error('Error fetching region notable sightings:', error);
+    throw error;
+  }
+};
+
 /**
  * Builds the API URL for fetching bird sightings based on viewport coordinates
  * @param {Object} viewport - Viewport parameters
@@ -399,6 +474,8 @@ export const fetchRegionSpecies = async (regionCode) => {
  * @param {number} viewport.maxLng - Maximum longitude
  * @param {string} viewport.back - Number of days to look back
  * @param {string} [viewport.clientId] - Optional client ID for SSE notifications
+ * @param {string} [viewport.have] - Optional digest of the tiles the client holds
+ *   (see buildTileDigest); when present the server sends exactly the tiles missing from it
  * @returns {string} Formatted API URL with query parameters
  */
 export const buildViewportApiUrl = (viewport) => {
@@ -415,10 +492,163 @@ export const buildViewportApiUrl = (viewport) => {
   if (viewport.clientId) {
     searchParams.append('clientId', viewport.clientId);
   }
+  
+  // An empty digest is still sent: it means the client holds nothing here
+  if (viewport.have !== undefined) {
+    searchParams.append('have', viewport.have);
+  }
+  
+  // 'ndjson' streams the response one tile at a time (see readNdjsonStream)
+  if (viewport.format) {
+    searchParams.append('format', viewport.format);
+  }
 
   return `${import.meta.env.VITE_API_URL}/api/birds/viewport?${searchParams}`;
 };
 
+/**
+ * Builds URL for the live tile update stream (Server-Sent Events)
+ * @param {string} clientId - Client ID sent with viewport requests
+ * @returns {string} Formatted API URL
+ */
+export const buildTileUpdatesUrl = (clientId) => {
+  const searchParams = new URLSearchParams({ clientId });
+  return `${import.meta.env.VITE_API_URL}/api/birds/updates?${searchParams}`;
+};
+
+/**
+ * Reads a newline-delimited JSON response line by line as it arrives
+ * Each line is handled (and awaited) before the next is read, so a slow
+ * handler holds back the rest of the stream rather than piling up work.
+ * @async
+ * @param {Response} response - Fetch response with an NDJSON body
+ * @param {Function} onLine - Called with each parsed line, may return a promise
+ * @returns {Promise<void>} Resolves once the whole body has been handled
+ */
+export const readNdjsonStream = async (response, onLine) => {
+  // Browsers without streaming response bodies get the lines all at once
+  if (!response.body || !response.body.getReader) {
+    const text = await response.text();
+    for (const line of text.split('\n')) {
+      if (line.trim()) await onLine(JSON.parse(line));
+    }
+    return;
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    
+    // Keep any partial last line until the rest of it arrives
+    const lines = buffered.split('\n');
+    buffered = done ? '' : lines.pop();
+    
+    for (const line of lines) {
+      if (line.trim()) await onLine(JSON.parse(line));
+    }
+    
+    if (done) return;
+  }
+};
+
+/**
+ * Builds API URL for downloading the sightings in a viewport
+ * @param {Object} viewport - Viewport parameters (minLat, maxLat, minLng, maxLng)
+ * @param {string} format - Export format ('csv', 'gpx' or 'kml')
+ * @param {Object} [filters] - Optional server-side filters
+ * @param {string} [filters.species] - Species code to export
+ * @param {boolean} [filters.notableOnly] - Export only notable sightings
+ * @param {string} [filters.back] - Number of days to look back
+ * @returns {string} Formatted API URL with query parameters
+ */
+export const buildExportUrl = (viewport, format, filters = {}) => {
+  const searchParams = new URLSearchParams({
+    minLat: viewport.minLat.toString(),
+    maxLat: viewport.maxLat.toString(),
+    minLng: viewport.minLng.toString(),
+    maxLng: viewport.maxLng.toString(),
+    format
+  });
+  
+  if (filters.species) {
+    searchParams.append('species', filters.species);
+  }
+  if (filters.notableOnly) {
+    searchParams.append('notableOnly', 'true');
+  }
+  if (filters.back) {
+    searchParams.append('back', filters.back);
+  }
+
+  return `${import.meta.env.VITE_API_URL}/api/birds/export?${searchParams}`;
+};
+
+/**
+ * Builds API URL for the wide-area sightings of a single species
+ * @param {string} speciesCode - eBird species code
+ * @param {Object} viewport - Viewport parameters (minLat, maxLat, minLng, maxLng)
+ * @returns {string} Formatted API URL with query parameters
+ */
+export const buildSpeciesLayerUrl = (speciesCode, viewport) => {
+  const searchParams = new URLSearchParams({
+    minLat: viewport.minLat.toString(),
+    maxLat: viewport.maxLat.toString(),
+    minLng: viewport.minLng.toString(),
+    maxLng: viewport.maxLng.toString()
+  });
+
+  return `${import.meta.env.VITE_API_URL}/api/birds/species/${encodeURIComponent(speciesCode)}?${searchParams}`;
+};
+
+/**
+ * Builds API URL for the eBird hotspots in a viewport
+ * @param {Object} viewport - Viewport parameters (minLat, maxLat, minLng, maxLng)
+ * @returns {string} Formatted API URL with query parameters
+ */
+export const buildHotspotsUrl = (viewport) => {
+  const searchParams = new URLSearchParams({
+    minLat: viewport.minLat.toString(),
+    maxLat: viewport.maxLat.toString(),
+    minLng: viewport.minLng.toString(),
+    maxLng: viewport.maxLng.toString()
+  });
+
+  return `${import.meta.env.VITE_API_URL}/api/hotspots?${searchParams}`;
+};
+
+/**
+ * Builds API URL for the species recently reported at a hotspot
+ * @param {string} locId - eBird location ID
+ * @param {string|number} [back] - Days to look back
+ * @returns {string} Formatted API URL
+ */
+export const buildHotspotSightingsUrl = (locId, back) => {
+  const query = back ? `?back=${encodeURIComponent(back)}` : '';
+  return `${import.meta.env.VITE_API_URL}/api/hotspots/${encodeURIComponent(locId)}/recent${query}`;
+};
+
+/**
+ * Builds API URL for an eBird checklist
+ * @param {string} subId - eBird checklist ID
+ * @returns {string} Formatted API URL
+ */
+export const buildChecklistUrl = (subId) => {
+  return `${import.meta.env.VITE_API_URL}/api/checklist/${encodeURIComponent(subId)}`;
+};
+
+/**
+ * Builds API URL for every recent notable sighting in a region
+ * @param {string} regionCode - eBird region code
+ * @returns {string} Formatted API URL
+ */
+export const buildRegionNotableUrl = (regionCode) => {
+  return `${import.meta.env.VITE_API_URL}/api/region-notable/${encodeURIComponent(regionCode)}`;
+};
+
 /**
  * Builds API URL for forward geocoding
  * @param {string} query - Search query for location
@@ -99,6 +99,29 @@ export const createMultiBirdIcon = (birdCount, hasNotableBirds = false) => {
   return newIcon;
 };
 
+/**
+ * Creates the icon for eBird hotspot markers
+ * A small round marker, so hotspots stay distinguishable from sighting pins
+ * @returns {L.DivIcon} Custom Leaflet divIcon for hotspots
+ */
+export const createHotspotIcon = () => {
+  const cacheKey = 'hotspot';
+  if (birdIconCache.has(cacheKey)) {
+    return birdIconCache.get(cacheKey);
+  }
+
+  const newIcon = L.divIcon({
+    className: 'hotspot-icon',
+    html: '<div class="hotspot-dot"></div>',
+    iconSize: [16, 16],
+    iconAnchor: [8, 8],
+    popupAnchor: [0, -8]
+  });
+
+  birdIconCache.set(cacheKey, newIcon);
+  return newIcon;
+};
+
 /**
  * Legacy variable kept for backward compatibility
  * @deprecated Use createMultiBirdIcon instead
@@ -234,6 +257,61 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c;
 };
 
+/**
+ * Wraps a longitude into the range [-180, 180)
+ * Leaflet reports longitudes past ±180 once the map is panned across the antimeridian
+ * @param {number} lng - Longitude, possibly outside the normal range
+ * @returns {number} Equivalent longitude
+ */
+export const wrapLongitude = (lng) => ((lng + 180) % 360 + 360) % 360 - 180;
+
+/**
+ * Normalizes viewport longitudes into [-180, 180]
+ * A viewport crossing the antimeridian comes back with minLng greater than maxLng,
+ * which is the form the server expects for such viewports.
+ * @param {Object} viewport - Viewport with minLat, maxLat, minLng, maxLng
+ * @returns {Object} Viewport with wrapped longitudes (other properties are kept)
+ */
+export const normalizeViewport = (viewport) => {
+  if (viewport.maxLng - viewport.minLng >= 360) {
+    return { ...viewport, minLng: -180, maxLng: 180 };
+  }
+  
+  const minLng = wrapLongitude(viewport.minLng);
+  const maxLng = wrapLongitude(viewport.maxLng);
+  
+  return {
+    ...viewport,
+    minLng,
+    // Keep a viewport ending exactly on the antimeridian from wrapping to -180
+    maxLng: maxLng === -180 && viewport.maxLng > viewport.minLng ? 180 : maxLng
+  };
+};
+
+/**
+ * Splits a normalized viewport that crosses the antimeridian into two that don't
+ * @param {Object} viewport - Normalized viewport (minLng > maxLng when crossing)
+ * @returns {Object[]} One or two viewports with minLng <= maxLng
+ */
+export const splitViewportAtAntimeridian = (viewport) => {
+  if (viewport.minLng <= viewport.maxLng) return [viewport];
+  
+  return [
+    { ...viewport, maxLng: 180 },
+    { ...viewport, minLng: -180 }
+  ];
+};
+
+/**
+ * Shifts a longitude by whole turns so it lies within 180° of a reference longitude
+ * Used to draw sightings on the copy of the world the map is currently showing.
+ * @param {number} lng - Longitude to shift
+ * @param {number} referenceLng - Longitude to stay close to (e.g. the map center)
+ * @returns {number} Shifted longitude
+ */
+export const wrapLongitudeNear = (lng, referenceLng) => 
+  referenceLng + wrapLongitude(lng - referenceLng);
+
 /**
  * Animate the map to a new location with consistent behavior
  * Sets animation flag to prevent region checks during animation,
@@ -90,6 +90,41 @@ export const MAP_ZOOM_CONSTRAINTS = {
 */
 export const FETCH_DEBOUNCE_MS = 500;
 
+/**
+* Shortest time in milliseconds between marker updates while a viewport response streams in
+* @type {number}
+*/
+export const STREAM_RENDER_INTERVAL_MS = 250;
+
+/**
+* Largest area in degrees (lat/lng) requested for a selected species' wide-area layer.
+* Must not exceed the server's SPECIES_LAYER_MAX_VIEWPORT_SIZE_DEG; wider views are
+* trimmed around their center
+* @type {number}
+*/
+export const SPECIES_LAYER_MAX_VIEWPORT_DEG = 12;
+
+/**
+* Lowest zoom level at which the hotspot layer is shown
+* @type {number}
+*/
+export const HOTSPOT_MIN_ZOOM = 10;
+
+/**
+* Largest area in degrees (lat/lng) requested for the hotspot layer.
+* Must not exceed the server's HOTSPOTS_MAX_VIEWPORT_SIZE_DEG; wider views are
+* trimmed around their center
+* @type {number}
+*/
+export const HOTSPOT_MAX_VIEWPORT_DEG = 3;
+
+/**
+* Closest zoom level region mode fits the map to, so a region with a single
+* notable sighting isn't shown at street level
+* @type {number}
+*/
+export const REGION_NOTABLE_MAX_FIT_ZOOM = 13;
+
 /**
 * Configuration object defining attribution links and metadata
 * @type {Object.<string, {url: string, text: string, internal?: boolean}>}
@@ -197,6 +197,13 @@ export const clearRegionCache = (regionCode) => {
     delete regionSpeciesCache[regionCode];
 };
 
+/**
+ * Looks up a species in the taxonomy by its eBird code
+ * @param {string} speciesCode - eBird species code
+ * @returns {TaxonomyEntry|null} Taxonomy entry, or null if the code is unknown
+ */
+export const getSpeciesByCode = (speciesCode) => taxonomyMap.get(speciesCode) || null;
+
 /**
  * Checks if species data is cached and valid for a region
  * @param {string} regionCode - Region code to check
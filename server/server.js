@@ -31,8 +31,39 @@ const express = require('express');
 const cors = require('cors');
 const { debug } = require('./utils/debug');
 const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
-const { getBirdDataForViewport } = require('./services/birdDataService');
-const { isValidViewport } = require('./utils/viewportUtils');
+const { getBirdDataForViewport, streamBirdDataForViewport, markViewportTilesSent, getFetchStats } = require('./services/birdDataService');
+const { openUpdateStream, getUpdateStreamStats } = require('./services/tileUpdateService');
+const { getSpeciesSightings, getSpeciesLayerStats } = require('./services/speciesLayerService');
+const {
+  isValidLocationId,
+  getHotspotsForViewport,
+  getHotspotRecentSightings,
+  getHotspotStats
+} = require('./services/hotspotService');
+const { isValidChecklistId, getChecklist, getChecklistStats } = require('./services/checklistService');
+const {
+  isValidRegionCode,
+  getRegionNotableSightings,
+  getRegionNotableStats
+} = require('./services/regionNotableService');
+const {
+  createAlert,
+  getAlert,
+  deleteAlert,
+  listAlerts,
+  checkAllAlerts,
+  getAlertStats
+} = require('./services/alertService');
+const { 
+  fetchRegionSpecies, 
+  fetchSubregions, 
+  fetchRegionInfo, 
+  getEbirdStats 
+} = require('./services/ebirdClient');
+const { isValidViewport, calculateRadiusViewport, haversineDistance } = require('./utils/viewportUtils');
+const { parseSightingFilters, filterSightings } = require('./utils/sightingFilters');
+const { VIEWPORT_FORMATS, EXPORT_FORMATS, toGeoJson, toAtom, escapeXml } = require('./utils/outputFormats');
+const constants = require('./utils/serverConstants');
 const { 
   getStats, 
   clearExpired,
@@ -41,7 +72,11 @@ const {
   getTileId,
   getTileCache,
   tileCache,
-  activeClientTiles
+  activeClientTiles,
+  releaseClient,
+  getClientStats,
+  computeContentVersion,
+  closeCacheStore
 } = require('./utils/cacheManager');
 
 // Initialize Express app
@@ -57,7 +92,9 @@ debug.info('Server initializing with config:', {
   apiKey: process.env.EBIRD_API_KEY ? 'Present' : 'Missing',
   origins: process.env.ALLOWED_ORIGINS,
   port: port,
-  cacheTtl: process.env.CACHE_TTL_MINUTES || '240 (default)'
+  cacheTtl: process.env.CACHE_TTL_MINUTES || '240 (default)',
+  cacheHardTtl: process.env.CACHE_HARD_TTL_MINUTES || '1440 (default)',
+  cacheStore: process.env.CACHE_STORE || 'memory (default)'
 });
 
 // CORS configuration
@@ -66,7 +103,7 @@ debug.debug('Configuring CORS with origins:', allowedOrigins);
 
 app.use(cors({
   origin: allowedOrigins,
-  methods: ['GET'],
+  methods: ['GET', 'POST', 'DELETE'],
   credentials: true
 }));
 
@@ -86,6 +123,15 @@ const geocodeLimiter = rateLimit({
   message: { error: 'Too many location searches, please wait a moment' }
 });
 
+// Alert creation, limited per client address since alerts cost ongoing checks
+const alertLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: constants.ALERTS.CREATE_LIMIT_PER_HOUR,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many alerts created, please try again later' }
+});
+
 // Simple admin endpoint authentication middleware
 const adminAuth = (req, res, next) => {
   const apiKey = req.query.key || req.headers['x-api-key'];
@@ -208,135 +254,6 @@ const fetchReverseGeocoding = async (lat, lon) => {
 };
 
 
-/**
- * Fetches region species list from eBird API
- * @param {string} regionCode - eBird region code (e.g., "US-CA")
- * @returns {Promise<Object[]>} Region species data
- * @throws {Error} If API request fails
- */
-const fetchRegionSpecies = async (regionCode) => {
-  const baseUrl = 'https://api.ebird.org/v2/product/spplist';
-  const url = `${baseUrl}/${regionCode}`;
-
-  debug.debug('Constructing region species request:', {
-    endpoint: baseUrl,
-    region: regionCode
-  });
-
-  const response = await fetch(url, {
-    headers: {
-      'x-ebirdapitoken': process.env.EBIRD_API_KEY
-    }
-  });
-
-  debug.info('eBird API response status:', response.status);
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    debug.error('eBird API error:', errorText);
-    throw new Error('eBird API request failed');
-  }
-
-  const responseText = await response.text();
-  debug.debug('eBird raw response:', responseText);
-
-  try {
-    const data = JSON.parse(responseText);
-    debug.info('Successfully parsed species records:', data.length);
-    return data;
-  } catch (error) {
-    debug.error('Failed to parse eBird response:', error);
-    throw new Error('Invalid response format from eBird API');
-  }
-};
-
-/**
- * Fetches subregions for a parent region from eBird API
- * @param {string} parentRegionCode - Parent eBird region code (e.g., "US")
- * @param {string} regionType - Type of subregion (e.g., "subnational1")
- * @returns {Promise<Object[]>} Subregion data with codes and names
- * @throws {Error} If API request fails
- */
-const fetchSubregions = async (parentRegionCode, regionType = 'subnational1') => {
-  const baseUrl = 'https://api.ebird.org/v2/ref/region/list';
-  const url = `${baseUrl}/${regionType}/${parentRegionCode}`;
-
-  debug.debug('Constructing subregion request:', {
-    endpoint: baseUrl,
-    parentRegion: parentRegionCode,
-    regionType: regionType
-  });
-
-  const response = await fetch(url, {
-    headers: {
-      'x-ebirdapitoken': process.env.EBIRD_API_KEY
-    }
-  });
-
-  debug.info('eBird API response status:', response.status);
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    debug.error('eBird API error:', errorText);
-    throw new Error('eBird API request failed');
-  }
-
-  const responseText = await response.text();
-  debug.debug('eBird raw response:', responseText);
-
-  try {
-    const data = JSON.parse(responseText);
-    debug.info('Successfully parsed subregion records:', data.length);
-    return data;
-  } catch (error) {
-    debug.error('Failed to parse eBird response:', error);
-    throw new Error('Invalid response format from eBird API');
-  }
-};
-
-/**
- * Fetches region information including boundaries from eBird API
- * @param {string} regionCode - eBird region code
- * @returns {Promise<Object>} Region information with name and boundaries
- * @throws {Error} If API request fails
- */
-const fetchRegionInfo = async (regionCode) => {
-  const baseUrl = 'https://api.ebird.org/v2/ref/region/info';
-  const url = `${baseUrl}/${regionCode}`;
-
-  debug.debug('Constructing region info request:', {
-    endpoint: baseUrl,
-    region: regionCode
-  });
-
-  const response = await fetch(url, {
-    headers: {
-      'x-ebirdapitoken': process.env.EBIRD_API_KEY
-    }
-  });
-
-  debug.info('eBird API response status:', response.status);
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    debug.error('eBird API error:', errorText);
-    throw new Error('eBird API request failed');
-  }
-
-  const responseText = await response.text();
-  debug.debug('eBird raw response:', responseText);
-
-  try {
-    const data = JSON.parse(responseText);
-    debug.info('Successfully parsed region info');
-    return data;
-  } catch (error) {
-    debug.error('Failed to parse eBird response:', error);
-    throw new Error('Invalid response format from eBird API');
-  }
-};
-
-
 // API Routes
 
 app.get('/api/region-species/:regionCode', async (req, res) => {
@@ -379,6 +296,43 @@ app.get('/api/region-info/:regionCode', async (req, res) => {
   }
 });
 
+/**
+ * Every recent notable sighting in an eBird region
+ * Backs the map's region mode. Cached per region code apart from the tile
+ * cache. Takes optional back or since filters.
+ * @route GET /api/region-notable/:regionCode
+ */
+app.get('/api/region-notable/:regionCode', async (req, res) => {
+  const { regionCode } = req.params;
+  debug.info('Received region notable request:', { regionCode, ...req.query });
+
+  try {
+    const { back, since } = req.query;
+    const filters = parseSightingFilters({ back, since });
+
+    if (!isValidRegionCode(regionCode)) {
+      return res.status(400).json({ error: 'Invalid region code' });
+    }
+    if (!filters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+
+    const data = await getRegionNotableSightings(regionCode);
+    data.birds = filterSightings(data.birds, filters);
+
+    res.set('ETag', `"${computeContentVersion(data)}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json(data);
+  } catch (error) {
+    debug.error('Error handling region notable request:', error.message);
+    res.status(500).json({ error: 'Failed to fetch region notable sightings' });
+  }
+});
+
 app.get('/api/forward-geocode', geocodeLimiter, async (req, res) => {
   const { q } = req.query;
   debug.info('Received forward geocoding request:', { query: q });
@@ -429,17 +383,38 @@ app.get('/api/reverse-geocode', geocodeLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Computes the ETag for a viewport response
+ * The returned tiles' versions pin down the birds. Degraded and truncated tiles
+ * are identified by ID and status only, leaving out details such as data age
+ * that change between otherwise identical responses.
+ * @param {string} format - Response format
+ * @param {Object} metadata - Viewport response metadata
+ * @returns {string} Response version
+ */
+function getViewportEtag(format, metadata) {
+  return computeContentVersion({
+    format,
+    tileVersions: Object.entries(metadata.tileVersions).sort(([a], [b]) => a.localeCompare(b)),
+    degradedTiles: metadata.degradedTiles.map(tile => `${tile.tileId}:${tile.status}`).sort(),
+    truncatedTiles: [...metadata.truncatedTiles].sort()
+  });
+}
+
 /**
  * Handles bird sighting requests based on viewport coordinates
  * Calculates appropriate radius and uses caching for efficiency
- * Returns both regular and rare birds to allow client-side filtering
+ * Returns both regular and rare birds to allow client-side filtering, unless the
+ * optional species, notableOnly, back or since filters narrow the response.
+ * format=geojson returns a FeatureCollection with one point per location, and
+ * format=ndjson streams one line per tile as each becomes available
  * @route GET /api/birds/viewport
  */
 app.get('/api/birds/viewport', async (req, res) => {
   debug.info('Received viewport-based bird sighting request:', req.query);
   
   try {
-    const { minLat, maxLat, minLng, maxLng, back = '7', clientId } = req.query;
+    const { minLat, maxLat, minLng, maxLng, back, clientId, have, format = 'json' } = req.query;
     
     // Create viewport object
     const viewport = {
@@ -448,29 +423,430 @@ app.get('/api/birds/viewport', async (req, res) => {
       minLng,
       maxLng,
       back,
-      clientId // Include clientId in the viewport object
+      clientId, // Include clientId in the viewport object
+      have, // Digest of the tiles the client already holds
+      filters: parseSightingFilters(req.query) // Optional species, notableOnly, back and since
     };
     
     // Validate viewport parameters
     if (!isValidViewport(viewport)) {
       return res.status(400).json({ error: 'Invalid viewport parameters' });
     }
+    if (!viewport.filters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+    if (!VIEWPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format, expected one of: ${VIEWPORT_FORMATS.join(', ')}` });
+    }
+    
+    if (format === 'ndjson') {
+      return streamViewportResponse(res, viewport);
+    }
     
     // Get bird data for this viewport (both regular and rare)
     const data = await getBirdDataForViewport(viewport);
-    res.json(data);
+    
+    // Browsers revalidate with If-None-Match and get an empty 304 when nothing changed
+    res.set('ETag', `"${getViewportEtag(format, data.metadata)}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    if (format === 'geojson') {
+      res.type('application/geo+json');
+      res.send(JSON.stringify(toGeoJson(data.birds, data.metadata)));
+    } else {
+      res.json(data);
+    }
+    
+    // Only a response with a body hands the client its tiles
+    markViewportTilesSent(viewport, data.metadata);
   } catch (error) {
     debug.error('Error handling viewport bird request:', error.message);
     res.status(500).json({ error: 'Failed to fetch bird data' });
   }
 });
 
+/**
+ * Streams a viewport response as newline-delimited JSON
+ * Each tile the client needs is written as {"tileId", "version", "birds"} as soon
+ * as it is ready, and the last line is {"metadata"}. The content isn't known up
+ * front, so streamed responses carry no ETag.
+ * @param {Object} res - Express response
+ * @param {Object} viewport - Validated viewport parameters
+ * @returns {Promise<void>} Resolves once the response has ended
+ */
+async function streamViewportResponse(res, viewport) {
+  res.type('application/x-ndjson');
+  res.set('Cache-Control', 'no-cache');
+  // Ask proxies such as nginx not to buffer the stream
+  res.set('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  
+  // Tiles fetched after the client has gone are still cached for the next request
+  const writeLine = (line) => {
+    if (!res.destroyed) {
+      res.write(JSON.stringify(line) + '\n');
+    }
+  };
+  
+  try {
+    const metadata = await streamBirdDataForViewport(viewport, writeLine);
+    writeLine({ metadata });
+  } catch (error) {
+    debug.error('Error streaming viewport bird request:', error.message);
+    writeLine({ error: 'Failed to fetch bird data' });
+  }
+  res.end();
+}
+
+/**
+ * Sightings of one species over a wide area
+ * Uses eBird's per-species query, cached separately from the general tiles, so
+ * the map can show a selected species far beyond the area it loads tiles for.
+ * Takes viewports up to SPECIES_LAYER.MAX_VIEWPORT_SIZE_DEG and optional back
+ * or since filters.
+ * @route GET /api/birds/species/:speciesCode
+ */
+app.get('/api/birds/species/:speciesCode', async (req, res) => {
+  debug.info('Received species layer request:', { speciesCode: req.params.speciesCode, ...req.query });
+  
+  try {
+    const { minLat, maxLat, minLng, maxLng, back, since } = req.query;
+    const species = parseSightingFilters({ species: req.params.speciesCode });
+    const filters = parseSightingFilters({ back, since });
+    const viewport = { minLat, maxLat, minLng, maxLng };
+    
+    if (!species || !species.species || species.species.length !== 1) {
+      return res.status(400).json({ error: 'Invalid species code' });
+    }
+    if (!isValidViewport(viewport, constants.SPECIES_LAYER.MAX_VIEWPORT_SIZE_DEG)) {
+      return res.status(400).json({ error: 'Invalid viewport parameters' });
+    }
+    if (!filters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+    
+    const data = await getSpeciesSightings(species.species[0], viewport);
+    data.birds = filterSightings(data.birds, filters);
+    
+    res.set('ETag', `"${computeContentVersion(data)}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.json(data);
+  } catch (error) {
+    debug.error('Error handling species layer request:', error.message);
+    res.status(500).json({ error: 'Failed to fetch species sightings' });
+  }
+});
+
+/**
+ * eBird hotspots in a viewport
+ * Cached per cell of the tile grid. Takes viewports up to
+ * HOTSPOTS.MAX_VIEWPORT_SIZE_DEG.
+ * @route GET /api/hotspots
+ */
+app.get('/api/hotspots', async (req, res) => {
+  debug.info('Received hotspots request:', req.query);
+  
+  try {
+    const { minLat, maxLat, minLng, maxLng } = req.query;
+    const viewport = { minLat, maxLat, minLng, maxLng };
+    
+    if (!isValidViewport(viewport, constants.HOTSPOTS.MAX_VIEWPORT_SIZE_DEG)) {
+      return res.status(400).json({ error: 'Invalid viewport parameters' });
+    }
+    
+    const data = await getHotspotsForViewport(viewport);
+    
+    res.set('ETag', `"${computeContentVersion(data)}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.json(data);
+  } catch (error) {
+    debug.error('Error handling hotspots request:', error.message);
+    res.status(500).json({ error: 'Failed to fetch hotspots' });
+  }
+});
+
+/**
+ * Species recently reported at a hotspot, latest first
+ * Takes optional back or since filters.
+ * @route GET /api/hotspots/:locId/recent
+ */
+app.get('/api/hotspots/:locId/recent', async (req, res) => {
+  debug.info('Received hotspot sightings request:', { locId: req.params.locId, ...req.query });
+  
+  try {
+    const { locId } = req.params;
+    const { back, since } = req.query;
+    const filters = parseSightingFilters({ back, since });
+    
+    if (!isValidLocationId(locId)) {
+      return res.status(400).json({ error: 'Invalid location ID' });
+    }
+    if (!filters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+    
+    const { birds, degraded } = await getHotspotRecentSightings(locId);
+    const data = {
+      locId,
+      birds: filterSightings(birds, filters),
+      degraded
+    };
+    
+    res.set('ETag', `"${computeContentVersion(data)}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.json(data);
+  } catch (error) {
+    debug.error('Error handling hotspot sightings request:', error.message);
+    res.status(500).json({ error: 'Failed to fetch hotspot sightings' });
+  }
+});
+
+/**
+ * A checklist with its species list, counts, effort and comments
+ * Proxies eBird's checklist view endpoint for the popup's checklist viewer,
+ * with responses cached per checklist.
+ * @route GET /api/checklist/:subId
+ */
+app.get('/api/checklist/:subId', async (req, res) => {
+  debug.info('Received checklist request:', req.params.subId);
+  
+  try {
+    const { subId } = req.params;
+    
+    if (!isValidChecklistId(subId)) {
+      return res.status(400).json({ error: 'Invalid checklist ID' });
+    }
+    
+    const result = await getChecklist(subId);
+    if (!result) {
+      return res.status(502).json({ error: 'Checklist is unavailable from eBird right now' });
+    }
+    
+    res.set('ETag', `"${computeContentVersion(result)}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.json(result);
+  } catch (error) {
+    debug.error('Error handling checklist request:', error.message);
+    res.status(500).json({ error: 'Failed to fetch checklist' });
+  }
+});
+
+/**
+ * Downloads the sightings in a viewport as CSV, GPX waypoints or KML
+ * Takes the same viewport and filter parameters as /api/birds/viewport and
+ * always includes every tile in the viewport
+ * @route GET /api/birds/export
+ */
+app.get('/api/birds/export', async (req, res) => {
+  debug.info('Received sightings export request:', req.query);
+  
+  try {
+    const { minLat, maxLat, minLng, maxLng, format } = req.query;
+    const exportFormat = EXPORT_FORMATS[format];
+    
+    const viewport = {
+      minLat,
+      maxLat,
+      minLng,
+      maxLng,
+      filters: parseSightingFilters(req.query)
+    };
+    
+    if (!exportFormat) {
+      return res.status(400).json({ error: `Unsupported format, expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!isValidViewport(viewport)) {
+      return res.status(400).json({ error: 'Invalid viewport parameters' });
+    }
+    if (!viewport.filters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+    
+    const { birds } = await getBirdDataForViewport(viewport);
+    const filename = `bird-sightings-${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`;
+    
+    res.attachment(filename);
+    res.type(exportFormat.contentType);
+    res.send(exportFormat.serialize(birds));
+  } catch (error) {
+    debug.error('Error handling sightings export request:', error.message);
+    res.status(500).json({ error: 'Failed to export bird data' });
+  }
+});
+
+/**
+ * Atom feed of recent notable sightings around a point
+ * Served from the tile cache like the map, with one entry per species and
+ * location. Optional species, back and since filters narrow the feed.
+ * @route GET /api/feeds/notable.xml
+ */
+app.get('/api/feeds/notable.xml', async (req, res) => {
+  debug.info('Received notable sightings feed request:', req.query);
+  
+  try {
+    const { DEFAULT_DIST_KM, MAX_DIST_KM, MAX_ENTRIES, MAP_URL } = constants.FEEDS;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const dist = req.query.dist === undefined ? DEFAULT_DIST_KM : parseFloat(req.query.dist);
+    const filters = parseSightingFilters(req.query);
+    
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > constants.GEO.MAX_LATITUDE || Math.abs(lng) > 180) {
+      return res.status(400).json({ error: 'Invalid lat or lng' });
+    }
+    if (isNaN(dist) || dist <= 0 || dist > MAX_DIST_KM) {
+      return res.status(400).json({ error: `Invalid dist, expected up to ${MAX_DIST_KM} km` });
+    }
+    if (!filters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+    
+    const viewport = {
+      ...calculateRadiusViewport(lat, lng, dist),
+      filters: { ...filters, notableOnly: true }
+    };
+    if (!isValidViewport(viewport)) {
+      return res.status(400).json({ error: 'Invalid viewport parameters' });
+    }
+    
+    const { birds } = await getBirdDataForViewport(viewport);
+    const nearbyBirds = birds.filter(bird =>
+      haversineDistance(lat, lng, Number(bird.lat), Number(bird.lng), constants.GEO.EARTH_RADIUS_KM) <= dist
+    );
+    
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const xml = toAtom(nearbyBirds, {
+      id: `${origin}${req.originalUrl}`,
+      title: `Notable bird sightings within ${dist} km of ${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+      mapUrl: (MAP_URL || origin).replace(/\/+$/, ''),
+      maxEntries: MAX_ENTRIES
+    });
+    
+    // Feed readers poll often, so let them revalidate cheaply
+    res.set('ETag', `"${computeContentVersion(xml)}"`);
+    res.set('Cache-Control', 'public, max-age=300');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.type('application/atom+xml');
+    res.send(xml);
+  } catch (error) {
+    debug.error('Error handling notable sightings feed request:', error.message);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+});
+
+/**
+ * Streams live updates for the tiles a client holds (Server-Sent Events)
+ * Sends a tileUpdate event when one of the client's tiles is refreshed with
+ * different data or split, and a newNotable event listing notable sightings
+ * the refresh brought in. Clients then fetch the viewport again with their
+ * tile digest to pick up just the changed tiles.
+ * @route GET /api/birds/updates
+ */
+app.get('/api/birds/updates', (req, res) => {
+  const { clientId } = req.query;
+  
+  if (!clientId) {
+    return res.status(400).json({ error: 'Missing clientId' });
+  }
+  
+  openUpdateStream(clientId, res);
+});
+
+/**
+ * Ends a client's tile tracking session
+ * Called by the client when the page is closed (via navigator.sendBeacon),
+ * so its seen tiles don't linger until the idle timeout.
+ * @route POST /api/client/release
+ */
+app.post('/api/client/release', (req, res) => {
+  const { clientId } = req.query;
+  
+  if (!clientId) {
+    return res.status(400).json({ error: 'Missing clientId' });
+  }
+  
+  releaseClient(clientId);
+  res.status(204).end();
+});
+
+/**
+ * Saves a rare bird alert for an area
+ * The body holds the area (a bounding box or {lat, lng, radiusKm}), the
+ * webhook URL new notable sightings are posted to, and optionally species
+ * codes and a name. The returned ID is the only way to view or delete the alert.
+ * Each client address can create and keep only a limited number of alerts.
+ * @route POST /api/alerts
+ */
+app.post('/api/alerts', alertLimiter, express.json({ limit: '4kb' }), async (req, res) => {
+  try {
+    const result = await createAlert(req.body, req.ip);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json(result.alert);
+  } catch (error) {
+    debug.error('Error saving alert:', error);
+    res.status(500).json({ error: 'Failed to save alert' });
+  }
+});
+
+/**
+ * Gets a saved alert, including when it was last checked and delivered
+ * @route GET /api/alerts/:id
+ */
+app.get('/api/alerts/:id', (req, res) => {
+  const alert = getAlert(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  res.json(alert);
+});
+
+/**
+ * Deletes a saved alert
+ * @route DELETE /api/alerts/:id
+ */
+app.delete('/api/alerts/:id', (req, res) => {
+  if (!deleteAlert(req.params.id)) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  res.status(204).end();
+});
+
 /**
  * API endpoint for cache statistics (admin use)
  * @route GET /api/admin/cache-stats
  */
 app.get('/api/admin/cache-stats', adminAuth, (req, res) => {
-  const stats = getStats();
+  const stats = {
+    ...getStats(),
+    fetchStats: getFetchStats(),
+    speciesLayer: getSpeciesLayerStats(),
+    hotspots: getHotspotStats(),
+    checklists: getChecklistStats(),
+    regionNotable: getRegionNotableStats()
+  };
   debug.info('Cache stats requested:', stats);
   res.json(stats);
 });
@@ -530,6 +906,50 @@ app.get('/api/admin/force-expire-tiles', adminAuth, (req, res) => {
   }
 });
 
+/**
+ * API endpoint for eBird API client metrics (admin use)
+ * @route GET /api/admin/ebird-stats
+ */
+app.get('/api/admin/ebird-stats', adminAuth, (req, res) => {
+  const stats = getEbirdStats();
+  debug.info('eBird client stats requested:', stats.circuit);
+  res.json(stats);
+});
+
+/**
+ * API endpoint for saved alerts and webhook delivery metrics (admin use)
+ * @route GET /api/admin/alerts
+ */
+app.get('/api/admin/alerts', adminAuth, (req, res) => {
+  debug.info('Alert info requested');
+  res.json({
+    ...getAlertStats(),
+    alerts: listAlerts()
+  });
+});
+
+/**
+ * API endpoint for checking every saved alert now instead of waiting for the scheduler
+ * @route GET /api/admin/check-alerts
+ */
+app.get('/api/admin/check-alerts', adminAuth, async (req, res) => {
+  debug.info('Alert check requested');
+  
+  try {
+    const delivered = await checkAllAlerts();
+    res.json({
+      success: true,
+      message: `Delivered ${delivered} new notable sightings`
+    });
+  } catch (error) {
+    debug.error('Error checking alerts:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to check alerts' 
+    });
+  }
+});
+
 /**
  * Debug endpoint for client tile tracking
  * @route GET /api/admin/client-tracking
@@ -539,6 +959,8 @@ app.get('/api/admin/client-tracking', adminAuth, (req, res) => {
   
   // Build a client tracking report
   const report = {
+    ...getClientStats(),
+    updateStreams: getUpdateStreamStats(),
     clients: []
   };
   
@@ -568,6 +990,8 @@ app.get('/api/admin/client-tracking', adminAuth, (req, res) => {
  */
 app.get('/api/admin/dashboard', adminAuth, (req, res) => {
   const stats = getStats();
+  const fetchStats = getFetchStats();
+  const ebirdStats = getEbirdStats();
   debug.info('Cache dashboard requested');
   
   // Create a simple HTML dashboard
@@ -725,8 +1149,10 @@ app.get('/api/admin/dashboard', adminAuth, (req, res) => {
         <div class="stat-card">
           <div class="stat-title">CACHE ENTRIES</div>
           <div class="stat-value">${stats.totalEntries.toLocaleString()}</div>
-          <div>${stats.tileCache.validEntries.toLocaleString()} valid, 
-               ${stats.tileCache.expiredEntries.toLocaleString()} expired</div>
+          <div>${stats.tileCache.validEntries.toLocaleString()} valid (${stats.tileCache.staleEntries.toLocaleString()} stale), 
+               ${stats.tileCache.expiredEntries.toLocaleString()} expired,
+               ${stats.tileCache.degradedEntries.toLocaleString()} degraded (${stats.tileCache.negativeEntries.toLocaleString()} without data),
+               ${stats.tileCache.splitEntries.toLocaleString()} split</div>
         </div>
         
         <div class="stat-card">
@@ -738,13 +1164,15 @@ app.get('/api/admin/dashboard', adminAuth, (req, res) => {
         <div class="stat-card">
           <div class="stat-title">CACHE HIT RATIO</div>
           <div class="stat-value">${stats.metricsStats?.cacheHitRatio || '0%'}</div>
-          <div>${stats.metricsStats?.cacheHits || 0} hits, ${stats.metricsStats?.cacheMisses || 0} misses</div>
+          <div>${stats.metricsStats?.cacheHits || 0} hits (${stats.metricsStats?.staleHits || 0} stale), ${stats.metricsStats?.cacheMisses || 0} misses</div>
         </div>
         
         <div class="stat-card">
           <div class="stat-title">API REQUESTS</div>
           <div class="stat-value">${stats.metricsStats?.apiRequestCount || 0}</div>
-          <div>~${stats.metricsStats?.apiRequestsPerHour || 0} requests/hour</div>
+          <div>~${stats.metricsStats?.apiRequestsPerHour || 0} requests/hour, ${stats.metricsStats?.backgroundRefreshCount || 0} background refreshes, ${stats.metricsStats?.fetchErrorCount || 0} failed tile fetches</div>
+          <div>${fetchStats.coalescedTileRequests} coalesced (${fetchStats.coalescedPercentage}), ${fetchStats.inFlightTiles} in flight</div>
+          <div>${fetchStats.truncatedTileSplits} tiles re-queried after hitting eBird's record limit, ${stats.tileCache.truncatedEntries} still truncated</div>
         </div>
       </div>
       
@@ -758,7 +1186,14 @@ app.get('/api/admin/dashboard', adminAuth, (req, res) => {
         <div class="stat-card">
           <div class="stat-title">MEMORY USAGE</div>
           <div class="stat-value">${stats.memoryStats.sizeInMB.toFixed(1)} MB</div>
-          <div>~${Math.round(stats.memoryStats.averageSizePerTile / 1024)} KB per tile</div>
+          <div>~${Math.round(stats.memoryStats.averageSizePerTile / 1024)} KB per tile, ${stats.evictionStats.memoryUsagePercent.toFixed(0)}% of ${stats.evictionStats.maxMemoryMb} MB budget</div>
+        </div>
+        
+        <div class="stat-card">
+          <div class="stat-title">EVICTIONS</div>
+          <div class="stat-value">${stats.evictionStats.evictedEntries.toLocaleString()}</div>
+          <div>${(stats.evictionStats.evictedBytes / (1024 * 1024)).toFixed(1)} MB freed${stats.evictionStats.lastEvictionAt ? `, last ${new Date(stats.evictionStats.lastEvictionAt).toLocaleString()}` : ''}</div>
+          <div>${stats.evictionStats.blockedByActiveTiles} times held over budget by tiles in use</div>
         </div>
       </div>
       
@@ -770,9 +1205,9 @@ app.get('/api/admin/dashboard', adminAuth, (req, res) => {
         </div>
         
         <div class="stat-card">
-          <div class="stat-title">TILE SIZE</div>
-          <div class="stat-value">${stats.cacheConfig.tileSizeKm} km</div>
-          <div>Radius buffer: ${stats.cacheConfig.radiusBuffer}x</div>
+          <div class="stat-title">TILE ZOOM</div>
+          <div class="stat-value">${stats.cacheConfig.rootZoom}–${stats.cacheConfig.maxZoom}</div>
+          <div>Split at ${stats.cacheConfig.splitThreshold} records, radius buffer: ${stats.cacheConfig.radiusBuffer}x</div>
         </div>
       </div>
       
@@ -866,15 +1301,27 @@ app.get('/api/admin/dashboard', adminAuth, (req, res) => {
         </tr>
         <tr>
           <td>Cache TTL</td>
-          <td>${stats.cacheConfig.ttlMinutes} minutes</td>
+          <td>${stats.cacheConfig.ttlMinutes} minutes (stale tiles served for up to ${stats.cacheConfig.hardTtlMinutes} minutes while refreshing)</td>
+        </tr>
+        <tr>
+          <td>Failed Fetch Retry</td>
+          <td>${stats.cacheConfig.errorRetryMinutes} minutes, backing off to ${stats.cacheConfig.errorMaxRetryMinutes} minutes</td>
         </tr>
         <tr>
           <td>Cleanup Interval</td>
           <td>${stats.cacheConfig.cleanupIntervalMinutes} minutes</td>
         </tr>
         <tr>
-          <td>Tile Size</td>
-          <td>${stats.cacheConfig.tileSizeKm} km</td>
+          <td>Tile Zoom Levels</td>
+          <td>${stats.cacheConfig.rootZoom} to ${stats.cacheConfig.maxZoom} (split at ${stats.cacheConfig.splitThreshold} records)</td>
+        </tr>
+        <tr>
+          <td>Cache Budget</td>
+          <td>${stats.cacheConfig.maxEntries.toLocaleString()} tiles or ${stats.cacheConfig.maxMemoryMb} MB (least recently used tiles evicted first)</td>
+        </tr>
+        <tr>
+          <td>Cache Store</td>
+          <td>${stats.persistenceStats.backend}${stats.persistenceStats.backend === 'file' ? ` (${stats.persistenceStats.filePath}, ${Math.round(stats.persistenceStats.fileSizeBytes / 1024)} KB, ${stats.persistenceStats.loadedEntries} tiles restored at startup)` : stats.persistenceStats.backend === 'redis' ? ` (shared, ${stats.persistenceStats.server}, ${stats.persistenceStats.connection && stats.persistenceStats.connection.connected ? 'connected' : 'disconnected'})` : ' (not persisted)'}</td>
         </tr>
         <tr>
           <td>Node Version</td>
@@ -886,17 +1333,48 @@ app.get('/api/admin/dashboard', adminAuth, (req, res) => {
         </tr>
       </table>
       
-      <h2>Time Period Distribution</h2>
-      <table id="timeTable">
+      <h2>eBird API</h2>
+      <p>
+        Circuit: <strong>${ebirdStats.circuit.state}</strong>
+        (${ebirdStats.circuit.consecutiveFailures} consecutive failures, tripped ${ebirdStats.circuit.trips} times${ebirdStats.circuit.state === 'open' ? `, retrying in ${ebirdStats.circuit.reopensInSeconds}s` : ''})
+        ${ebirdStats.rateLimit.active ? `&middot; Rate limited until ${ebirdStats.rateLimit.resumesAt}` : ''}
+      </p>
+      <table>
         <tr>
-          <th>Days Back</th>
+          <th>Endpoint</th>
+          <th>Requests</th>
+          <th>Failures</th>
+          <th>Retries</th>
+          <th>429s</th>
+          <th>Timeouts</th>
+          <th>Avg / Max Latency</th>
+          <th>Last Error</th>
+        </tr>
+        ${Object.entries(ebirdStats.endpoints).map(([endpoint, metrics]) => `
+          <tr>
+            <td>${endpoint}</td>
+            <td>${metrics.requests}</td>
+            <td>${metrics.failures}${metrics.rejectedByCircuit > 0 ? ` (+${metrics.rejectedByCircuit} rejected)` : ''}</td>
+            <td>${metrics.retries}</td>
+            <td>${metrics.rateLimited}</td>
+            <td>${metrics.timeouts}</td>
+            <td>${metrics.avgLatencyMs} / ${metrics.maxLatencyMs} ms</td>
+            <td>${metrics.lastError ? escapeXml(metrics.lastError.substring(0, 80)) : ''}</td>
+          </tr>
+        `).join('') || '<tr><td colspan="8">No eBird requests yet</td></tr>'}
+      </table>
+      
+      <h2>Tile Resolution Distribution</h2>
+      <table id="zoomTable">
+        <tr>
+          <th>Zoom</th>
           <th>Tiles</th>
           <th>Birds</th>
           <th>Avg Birds/Tile</th>
         </tr>
-        ${Object.entries(stats.distributionStats.birdsByBack).map(([back, data]) => `
+        ${Object.entries(stats.distributionStats.tilesByZoom).map(([zoom, data]) => `
           <tr>
-            <td>${back}</td>
+            <td>${zoom}</td>
             <td>${data.count}</td>
             <td>${data.birds}</td>
             <td>${(data.birds / data.count).toFixed(1)}</td>
@@ -1162,37 +1640,38 @@ app.get('/api/admin/tile-debug', adminAuth, (req, res) => {
       northWest: {
         lat: viewport.maxLat, 
         lng: viewport.minLng,
-        tileId: getTileId(viewport.maxLat, viewport.minLng, viewport.back)
+        tileId: getTileId(viewport.maxLat, viewport.minLng)
       },
       northEast: {
         lat: viewport.maxLat, 
         lng: viewport.maxLng,
-        tileId: getTileId(viewport.maxLat, viewport.maxLng, viewport.back)
+        tileId: getTileId(viewport.maxLat, viewport.maxLng)
       },
       southWest: {
         lat: viewport.minLat, 
         lng: viewport.minLng,
-        tileId: getTileId(viewport.minLat, viewport.minLng, viewport.back)
+        tileId: getTileId(viewport.minLat, viewport.minLng)
       },
       southEast: {
         lat: viewport.minLat, 
         lng: viewport.maxLng,
-        tileId: getTileId(viewport.minLat, viewport.maxLng, viewport.back)
+        tileId: getTileId(viewport.minLat, viewport.maxLng)
       }
     };
     
     // Get configuration
-    const tileSizeKm = parseFloat(process.env.TILE_SIZE_KM || 2);
-    const radiusBuffer = parseFloat(process.env.TILE_RADIUS_BUFFER || 1.1);
+    const { ROOT_ZOOM, MAX_ZOOM, SPLIT_THRESHOLD, RADIUS_BUFFER } = constants.TILES;
     
     debug.perf(`Tile debug processing completed in ${Date.now() - startTime}ms`);
     
     const result = {
       viewport,
       config: {
-        tileSizeKm,
-        radiusBuffer,
-        maxLatitude: 85 // Limit used to avoid pole issues
+        rootZoom: ROOT_ZOOM,
+        maxZoom: MAX_ZOOM,
+        splitThreshold: SPLIT_THRESHOLD,
+        radiusBuffer: RADIUS_BUFFER,
+        maxLatitude: constants.GEO.MAX_LATITUDE // Limit used to avoid pole issues
       },
       corners,
       tileCount: tileIds.length,
@@ -1218,7 +1697,29 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Start server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   debug.info(`Server running on port ${port}`);
   debug.info('Debug level:', process.env.SERVER_DEBUG_LEVEL);
-});
\ No newline at end of file
+});
+
+/**
+ * Shuts the server down on SIGTERM (sent by Railway on every deploy) or SIGINT
+ * Stops taking connections and closes the cache store so buffered tile writes
+ * reach disk before the process exits. Open update streams would hold
+ * server.close() up indefinitely, so the process exits without waiting for them.
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  debug.info(`Received ${signal}, shutting down`);
+  server.close();
+
+  try {
+    await closeCacheStore();
+  } catch (error) {
+    debug.error('Error closing cache store:', error.message);
+  }
+  process.exit(0);
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
\ No newline at end of file
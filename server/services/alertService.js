@@ -0,0 +1,435 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Rare bird alerts for saved areas. An alert is an area (bounding
+ * box or radius) plus optional species filter and a webhook URL. A scheduler
+ * checks each area's notable sightings through the same tile pipeline as the
+ * map and posts sightings that haven't been sent before to the webhook.
+ *
+ * Dependencies: debug.js, serverConstants.js, viewportUtils.js, sightingFilters.js,
+ * birdDataService.js, webhookClient.js, fs, path, crypto
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+const { isValidViewport, calculateRadiusViewport, haversineDistance } = require('../utils/viewportUtils');
+const { parseSightingFilters } = require('../utils/sightingFilters');
+const { getBirdDataForViewport } = require('./birdDataService');
+const { checkWebhookUrl, deliverWebhook, getWebhookStats } = require('./webhookClient');
+
+const {
+  CHECK_INTERVAL_MINUTES,
+  STORE_PATH,
+  MAX_ALERTS,
+  MAX_ALERTS_PER_CLIENT,
+  MAX_RADIUS_KM,
+  MAX_SENT_KEYS
+} = constants.ALERTS;
+const EARTH_RADIUS_KM = constants.GEO.EARTH_RADIUS_KM;
+
+// Saved alerts keyed by ID. Each alert's sentKeys Set holds the sightings
+// already delivered (or present when the alert was created), oldest first
+const alerts = new Map();
+
+// Set while a scheduled check is running so checks never overlap
+let checkInProgress = false;
+
+// Check counters
+let checksRun = 0;
+let lastCheckAt = null;
+let sightingsDelivered = 0;
+
+/**
+ * Writes every alert to the store file
+ * Writes to a temporary file first so a crash never leaves a truncated file
+ */
+function saveAlerts() {
+  const tempPath = `${STORE_PATH}.tmp`;
+  const records = Array.from(alerts.values()).map(alert => ({
+    ...alert,
+    sentKeys: Array.from(alert.sentKeys)
+  }));
+
+  try {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tempPath, STORE_PATH);
+  } catch (error) {
+    // Persistence problems must never break request handling
+    debug.error(`Unable to save alerts to ${STORE_PATH}:`, error.message);
+  }
+}
+
+/**
+ * Loads saved alerts from the store file
+ */
+function loadAlerts() {
+  if (!fs.existsSync(STORE_PATH)) return;
+
+  try {
+    const records = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+    for (const record of records) {
+      alerts.set(record.id, { ...record, sentKeys: new Set(record.sentKeys || []) });
+    }
+    debug.info(`Loaded ${alerts.size} saved alerts from ${STORE_PATH}`);
+  } catch (error) {
+    debug.error(`Unable to load alerts from ${STORE_PATH}:`, error.message);
+  }
+}
+
+/**
+ * Parses the area of an alert request
+ * @param {Object} area - {minLat, maxLat, minLng, maxLng} or {lat, lng, radiusKm}
+ * @returns {Object|null} Area with a `type` of 'bbox' or 'radius', or null if invalid
+ */
+function parseAlertArea(area) {
+  if (!area || typeof area !== 'object') return null;
+
+  if (area.radiusKm !== undefined) {
+    const lat = Number(area.lat);
+    const lng = Number(area.lng);
+    const radiusKm = Number(area.radiusKm);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isFinite(radiusKm)) return null;
+    if (Math.abs(lat) > constants.GEO.MAX_LATITUDE || Math.abs(lng) > 180) return null;
+    if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) return null;
+
+    // Close to the poles a radius can span more longitude than a viewport may
+    const radiusArea = { type: 'radius', lat, lng, radiusKm };
+    return isValidViewport(getAreaViewport(radiusArea)) ? radiusArea : null;
+  }
+
+  const bbox = {
+    minLat: Number(area.minLat),
+    maxLat: Number(area.maxLat),
+    minLng: Number(area.minLng),
+    maxLng: Number(area.maxLng)
+  };
+  if (!isValidViewport(bbox)) return null;
+
+  return { type: 'bbox', ...bbox };
+}
+
+/**
+ * Gets the viewport covering an alert's area
+ * @param {Object} area - Area from parseAlertArea
+ * @returns {Object} Viewport {minLat, maxLat, minLng, maxLng}
+ */
+function getAreaViewport(area) {
+  if (area.type === 'radius') {
+    return calculateRadiusViewport(area.lat, area.lng, area.radiusKm);
+  }
+
+  const { minLat, maxLat, minLng, maxLng } = area;
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * Gets the keys identifying the sightings in a record
+ * Records are grouped per species and location, so there is one key per checklist.
+ * @param {Object} bird - Sighting record
+ * @returns {string[]} Keys of the form species|location|subId
+ */
+function getSightingKeys(bird) {
+  const location = bird.locId || `${bird.lat},${bird.lng}`;
+  const subIds = bird.subIds && bird.subIds.length > 0 ? bird.subIds : [''];
+  return subIds.map(subId => `${bird.speciesCode}|${location}|${subId}`);
+}
+
+/**
+ * Converts an alert to the form returned by the API
+ * @param {Object} alert - Saved alert
+ * @returns {Object} Alert without its delivery bookkeeping or owner
+ */
+function toPublicAlert(alert) {
+  const { sentKeys, ownerHash, ...publicAlert } = alert;
+  return { ...publicAlert, knownSightings: sentKeys.size };
+}
+
+/**
+ * Hashes a client address so alerts can be counted per client without storing it
+ * @param {string} clientAddress - Client IP address
+ * @returns {string} Hash of the address
+ */
+function hashClientAddress(clientAddress) {
+  return crypto.createHash('sha256').update(String(clientAddress)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Validates an alert request and saves the alert
+ * The alert's first check records the notable sightings already in the area
+ * without sending them, so only sightings reported afterwards are delivered.
+ * @async
+ * @param {Object} body - Request body
+ * @param {Object} body.area - Bounding box or {lat, lng, radiusKm}
+ * @param {string} body.webhookUrl - URL new sightings are posted to
+ * @param {string} [body.species] - Comma-separated species codes to limit the alert to
+ * @param {string} [body.name] - Label included in deliveries
+ * @param {string} clientAddress - IP address of the client saving the alert
+ * @returns {Promise<{alert: Object}|{error: string, status: number}>} The saved alert,
+ *   or why it was refused with the HTTP status to answer with
+ */
+async function createAlert(body, clientAddress) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Expected a JSON body', status: 400 };
+  }
+  if (alerts.size >= MAX_ALERTS) {
+    return { error: `No more than ${MAX_ALERTS} alerts can be saved`, status: 429 };
+  }
+
+  const ownerHash = hashClientAddress(clientAddress);
+  const ownedAlerts = Array.from(alerts.values()).filter(alert => alert.ownerHash === ownerHash).length;
+  if (ownedAlerts >= MAX_ALERTS_PER_CLIENT) {
+    return { error: `No more than ${MAX_ALERTS_PER_CLIENT} alerts can be saved from one address`, status: 429 };
+  }
+
+  const area = parseAlertArea(body.area);
+  if (!area) {
+    return { error: `Invalid area, expected a bounding box or a radius of up to ${MAX_RADIUS_KM} km`, status: 400 };
+  }
+
+  const filters = parseSightingFilters({ species: body.species });
+  if (!filters) {
+    return { error: 'Invalid species filter', status: 400 };
+  }
+
+  if (typeof body.webhookUrl !== 'string') {
+    return { error: 'Missing webhookUrl', status: 400 };
+  }
+  const webhookProblem = await checkWebhookUrl(body.webhookUrl);
+  if (webhookProblem) {
+    return { error: webhookProblem, status: 400 };
+  }
+
+  const alert = {
+    id: crypto.randomBytes(16).toString('hex'),
+    name: typeof body.name === 'string' ? body.name.slice(0, 100) : null,
+    area,
+    filters,
+    webhookUrl: body.webhookUrl,
+    createdAt: new Date().toISOString(),
+    lastCheckedAt: null,
+    lastDeliveredAt: null,
+    deliveredCount: 0,
+    lastError: null,
+    baselined: false,
+    ownerHash,
+    sentKeys: new Set()
+  };
+
+  alerts.set(alert.id, alert);
+  saveAlerts();
+  debug.info(`Saved alert ${alert.id} (${area.type} area, ${filters.species ? filters.species.join(',') : 'all species'})`);
+
+  return { alert: toPublicAlert(alert) };
+}
+
+/**
+ * Gets a saved alert
+ * @param {string} id - Alert ID
+ * @returns {Object|null} The alert, or null if there is none with this ID
+ */
+function getAlert(id) {
+  const alert = alerts.get(id);
+  return alert ? toPublicAlert(alert) : null;
+}
+
+/**
+ * Deletes a saved alert
+ * @param {string} id - Alert ID
+ * @returns {boolean} True if the alert existed
+ */
+function deleteAlert(id) {
+  if (!alerts.delete(id)) return false;
+
+  saveAlerts();
+  debug.info(`Deleted alert ${id}`);
+  return true;
+}
+
+/**
+ * Lists every saved alert
+ * @returns {Object[]} Alerts, oldest first
+ */
+function listAlerts() {
+  return Array.from(alerts.values()).map(toPublicAlert);
+}
+
+/**
+ * Checks an alert's area for new notable sightings and delivers them
+ * Sightings are only remembered once the webhook accepts them, so a failed
+ * delivery is retried on the next check. Tiles eBird couldn't be reached for
+ * come back empty or out of date, so while any are degraded the check is
+ * skipped: a baseline taken then would miss sightings and send them later as new.
+ * @async
+ * @param {Object} alert - Saved alert
+ * @returns {Promise<number>} Number of sightings delivered
+ */
+async function checkAlert(alert) {
+  const viewport = {
+    ...getAreaViewport(alert.area),
+    filters: { ...alert.filters, notableOnly: true }
+  };
+  const { birds, metadata } = await getBirdDataForViewport(viewport);
+  alert.lastCheckedAt = new Date().toISOString();
+
+  if (metadata.failed || metadata.degradedTiles.length > 0) {
+    alert.lastError = 'Sightings for the area could not all be loaded, will check again';
+    debug.warn(`Alert ${alert.id} skipped: ${metadata.failed ? 'tile lookup failed' : `${metadata.degradedTiles.length} degraded tiles`}`);
+    return 0;
+  }
+  alert.lastError = null;
+
+  const areaBirds = alert.area.type === 'radius'
+    ? birds.filter(bird => haversineDistance(alert.area.lat, alert.area.lng, Number(bird.lat), Number(bird.lng), EARTH_RADIUS_KM) <= alert.area.radiusKm)
+    : birds;
+
+  const newSightings = areaBirds.filter(bird => getSightingKeys(bird).some(key => !alert.sentKeys.has(key)));
+
+  if (!alert.baselined) {
+    newSightings.forEach(bird => rememberSighting(alert, bird));
+    alert.baselined = true;
+    debug.info(`Alert ${alert.id} starts with ${newSightings.length} notable sightings already in its area`);
+    return 0;
+  }
+
+  if (newSightings.length === 0) return 0;
+
+  try {
+    await deliverWebhook(alert.webhookUrl, {
+      type: 'notableSightings',
+      alert: { id: alert.id, name: alert.name },
+      sightings: newSightings.map(bird => ({
+        speciesCode: bird.speciesCode,
+        comName: bird.comName,
+        sciName: bird.sciName,
+        howMany: bird.howMany === undefined ? null : bird.howMany,
+        obsDt: bird.obsDt,
+        obsValid: bird.obsValid,
+        obsReviewed: bird.obsReviewed,
+        locId: bird.locId,
+        locName: bird.locName,
+        lat: bird.lat,
+        lng: bird.lng,
+        subIds: bird.subIds || []
+      })),
+      sentAt: new Date().toISOString()
+    });
+  } catch (error) {
+    alert.lastError = error.message;
+    debug.warn(`Alert ${alert.id} delivery failed, will retry on the next check: ${error.message}`);
+    return 0;
+  }
+
+  newSightings.forEach(bird => rememberSighting(alert, bird));
+  alert.lastDeliveredAt = new Date().toISOString();
+  alert.deliveredCount += newSightings.length;
+  sightingsDelivered += newSightings.length;
+
+  debug.info(`Alert ${alert.id} delivered ${newSightings.length} new notable sightings`);
+  return newSightings.length;
+}
+
+/**
+ * Remembers that a sighting has been dealt with, forgetting the oldest beyond MAX_SENT_KEYS
+ * @param {Object} alert - Saved alert
+ * @param {Object} bird - Sighting record
+ */
+function rememberSighting(alert, bird) {
+  for (const key of getSightingKeys(bird)) {
+    alert.sentKeys.delete(key);
+    alert.sentKeys.add(key);
+  }
+  while (alert.sentKeys.size > MAX_SENT_KEYS) {
+    alert.sentKeys.delete(alert.sentKeys.values().next().value);
+  }
+}
+
+/**
+ * Checks every saved alert, one at a time
+ * @async
+ * @returns {Promise<number>} Number of sightings delivered, or 0 if a check was already running
+ */
+async function checkAllAlerts() {
+  if (checkInProgress || alerts.size === 0) return 0;
+
+  checkInProgress = true;
+  let delivered = 0;
+
+  try {
+    debug.info(`Checking ${alerts.size} saved alerts`);
+    for (const alert of Array.from(alerts.values())) {
+      // Skip alerts deleted while earlier ones were being checked
+      if (!alerts.has(alert.id)) continue;
+
+      try {
+        delivered += await checkAlert(alert);
+      } catch (error) {
+        alert.lastError = error.message;
+        debug.error(`Error checking alert ${alert.id}:`, error.message);
+      }
+    }
+
+    checksRun++;
+    lastCheckAt = Date.now();
+    saveAlerts();
+  } finally {
+    checkInProgress = false;
+  }
+
+  return delivered;
+}
+
+/**
+ * Gets alert statistics
+ * @returns {Object} Alert counts and webhook delivery counters
+ */
+function getAlertStats() {
+  return {
+    savedAlerts: alerts.size,
+    maxAlerts: MAX_ALERTS,
+    maxAlertsPerClient: MAX_ALERTS_PER_CLIENT,
+    checkIntervalMinutes: CHECK_INTERVAL_MINUTES,
+    checksRun,
+    lastCheckAt: lastCheckAt ? new Date(lastCheckAt).toISOString() : null,
+    sightingsDelivered,
+    webhooks: getWebhookStats()
+  };
+}
+
+loadAlerts();
+
+// Start periodic checks
+const checkInterval = setInterval(() => {
+  checkAllAlerts().catch(error => {
+    debug.error('Error running alert checks:', error);
+  });
+}, CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+// Ensure we don't prevent Node process from exiting
+checkInterval.unref();
+
+module.exports = {
+  createAlert,
+  getAlert,
+  deleteAlert,
+  listAlerts,
+  checkAllAlerts,
+  getAlertStats
+};
@@ -17,29 +17,42 @@
  * Project: bird-sightings-map
  * Description: Service for fetching and caching bird sighting data
  * 
- * Dependencies: debug.js, viewportUtils.js, cacheManager.js, serverConstants.js, node-fetch
+ * Dependencies: debug.js, viewportUtils.js, cacheManager.js, tileGrid.js, serverConstants.js, ebirdClient.js
  */
 
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const { debug } = require('../utils/debug');
-const { isValidViewport } = require('../utils/viewportUtils');
+const { calculateViewportCenter } = require('../utils/viewportUtils');
 const constants = require('../utils/serverConstants');
 const cacheManager = require('../utils/cacheManager');
+const { fetchGeoObservations } = require('./ebirdClient');
 const { 
   getTilesForViewport,
   getTileCenter,
   getTileCache,
   setTileCache,
+  setTileError,
   getMissingTiles,
+  isTileAvailable,
+  getStaleTiles,
+  getDegradedTiles,
+  getTruncatedTiles,
+  syncFromStore,
   markTilesAsSeen,
   releaseTiles,
   getClientMissingTiles,
+  reconcileClientTiles,
+  getTileVersions,
+  computeContentVersion,
   tileCache,
   activeClientTiles,
   incrementApiRequestCount,
-  getTileBoundaries,
-  clipDataToTileBoundaries
+  incrementBackgroundRefreshCount,
+  clipDataToTile,
+  shouldSplitTile,
+  setTileSplit
 } = cacheManager;
+const { getTileRadiusKm, getTileZoom, getChildTileIds } = require('../utils/tileGrid');
+const { hasSightingFilters, filterSightings } = require('../utils/sightingFilters');
 
 // Make cacheManager accessible through constants for API request tracking
 constants.cacheManager = cacheManager;
@@ -47,28 +60,43 @@ constants.cacheManager = cacheManager;
 // API request settings from constants
 const MAX_PARALLEL_REQUESTS = constants.API.MAX_PARALLEL_REQUESTS;
 const MAX_BACK_DAYS = constants.API.MAX_BACK_DAYS;
-const MAX_INITIAL_BATCHES = constants.API.MAX_INITIAL_BATCHES;
-
-// Rate limiting protection
-let consecutiveSlowResponses = 0;
-let lastRequestTime = 0;
-let MIN_REQUEST_GAP_MS = 0; // Minimum gap between requests
+const MAX_CHECKLIST_HISTORY = constants.API.MAX_CHECKLIST_HISTORY;
 
 // Tile settings from constants
 const RADIUS_BUFFER = constants.TILES.RADIUS_BUFFER;
+const MAX_ZOOM = constants.TILES.MAX_ZOOM;
+const MAX_DIST_KM = constants.EBIRD.MAX_DIST_KM;
+const MAX_RESULTS = constants.EBIRD.MAX_RESULTS;
+
+// Each fetch round can split tiles, so resolving a viewport takes at most one
+// round per zoom level
+const MAX_RESOLVE_ROUNDS = Math.max(constants.TILES.MAX_ZOOM - constants.TILES.ROOT_ZOOM, 0) + 1;
+
+// Pending tile fetches keyed by tile ID, shared by every request that needs the tile
+const inFlightTiles = new Map();
+
+// Fetch coalescing counters
+let tileFetchesStarted = 0;
+let coalescedTileRequests = 0;
+let peakInFlightTiles = 0;
+
+// Tiles re-queried as four children because eBird's record limit was hit
+let truncatedTileSplits = 0;
 
 
 /**
  * Fetches bird data for a given viewport
+ * The returned tiles are not recorded as held by the client until the caller
+ * passes the result to markViewportTilesSent.
  * @param {Object} viewport - Viewport parameters
- * @returns {Promise<Array>} Combined bird sighting data with type markers
+ * @returns {Promise<{birds: Array, metadata: Object}>} Combined bird sighting data and tile metadata
  */
 async function getBirdDataForViewport(viewport) {
   const startTime = Date.now();
   
   try {
     const birdData = await getBirdDataFromTiles(viewport);
-    debug.info(`Processed viewport request with ${birdData.length} bird sightings in ${Date.now() - startTime}ms`);
+    debug.info(`Processed viewport request with ${birdData.birds.length} bird sightings in ${Date.now() - startTime}ms`);
     return birdData;
   } catch (error) {
     debug.error('Error fetching bird data for viewport:', error);
@@ -78,209 +106,447 @@ async function getBirdDataForViewport(viewport) {
 
 /**
  * Gets bird data using tile-based caching
- * @param {Object} viewport - Viewport parameters with optional clientId
- * @returns {Promise<Array>} Combined bird sighting data
+ * @param {Object} viewport - Viewport parameters with optional clientId, optional
+ *   `have` digest of the tiles the client holds (see reconcileClientTiles) and
+ *   optional `filters` (see parseSightingFilters) applied to the cached data
+ * @returns {Promise<{birds: Array, metadata: Object}>} Bird sightings for the tiles the
+ *   client still needs, plus metadata with the versions of the returned tiles and
+ *   the tiles degraded by eBird failures. If the lookup itself fails the result is
+ *   empty, with `failed` set in the metadata
  */
 async function getBirdDataFromTiles(viewport) {
   const startTime = Date.now();
   const clientId = viewport.clientId;
+  const filters = hasSightingFilters(viewport.filters) ? viewport.filters : null;
+  
+  // Tiles sent with filters applied are a different thing from the full tiles, so
+  // their versions are tagged with the filters for the client's digest
+  const versionSuffix = filters ? `~${computeContentVersion(filters).slice(0, 8)}` : '';
   
   try {
-    // Get all tile IDs for this viewport (now without back value in IDs)
-    const tileIds = getTilesForViewport(viewport);
-    debug.info(`Viewport requires ${tileIds.length} tiles`);
-    
     // Always use maximum back value (14 days)
     // Client will filter for fewer days if needed
-    const backValue = MAX_BACK_DAYS;
     debug.info(`Using maximum back value (${MAX_BACK_DAYS}) for all requests, client will filter as needed`);
     
-    // Check which tiles we need to fetch (not in cache)
-    const missingTiles = getMissingTiles(tileIds, viewport);
-  
-  // If there are no missing tiles, we can skip fetching
-  if (missingTiles.length === 0) {
-    debug.info('🎉 All tiles in cache - no API requests needed!');
-  } else {
-    debug.info(`Need to fetch ${missingTiles.length} missing tiles`);
+    // Fetch whatever the viewport is missing, then look again: tiles that turned
+    // out to be dense were split, so the viewport now maps onto their children
+    let tileIds = getTilesForViewport(viewport);
+    let statsRecorded = false;
+    for (let round = 1; round <= MAX_RESOLVE_ROUNDS; round++) {
+      debug.info(`Viewport requires ${tileIds.length} tiles (round ${round})`);
+      
+      // Pull tiles and client state other server processes already have
+      await syncFromStore(tileIds, clientId);
+      
+      const resolvedTileIds = getTilesForViewport(viewport);
+      if (!sameTileIds(resolvedTileIds, tileIds)) {
+        // Another process split some of these tiles
+        tileIds = resolvedTileIds;
+        continue;
+      }
+      
+      // Check which tiles we need to fetch (not in cache)
+      const missingTiles = getMissingTiles(tileIds, viewport, { recordStats: !statsRecorded });
+      statsRecorded = true;
+      if (missingTiles.length === 0) {
+        debug.info('🎉 All tiles in cache - no API requests needed!');
+        break;
+      }
+      
+      await fetchMissingTiles(missingTiles, viewport);
+      tileIds = getTilesForViewport(viewport);
+    }
     
-    // Sort tiles - prioritize center tiles over edge tiles
-    // This ensures the most important data is fetched first
-    const viewportCenter = {
-      lat: (parseFloat(viewport.minLat) + parseFloat(viewport.maxLat)) / 2,
-      lng: (parseFloat(viewport.minLng) + parseFloat(viewport.maxLng)) / 2
+    // Stale tiles are served as-is and refreshed once the response is on its way
+    const staleTileIds = getStaleTiles(tileIds);
+  
+  // Get the tiles that this client doesn't already have
+  const clientTilesToReturn = selectTilesForClient(viewport, tileIds, filters, versionSuffix);
+  
+  // Collect data only for tiles the client needs
+  // IMPORTANT: Don't mark tiles as seen here - the caller does that with
+  // markViewportTilesSent once the response body has actually been sent
+  const allBirds = [];
+  for (const tileId of clientTilesToReturn) {
+    allBirds.push(...getTileBirds(tileId, filters));
+  }
+  
+  // No deduplication needed for cached tiles - they were already deduplicated when loaded
+  // We'll only count for logging purposes
+  const startDedupeTime = Date.now();
+  const finalData = allBirds;
+  
+  debug.info(`Skipping deduplication for ${finalData.length} observations from ${clientTilesToReturn.length} tiles in ${Date.now() - startDedupeTime}ms`);
+  debug.info(`Completed tile-based retrieval in ${Date.now() - startTime}ms`);
+  
+  // Kick off refreshes for stale tiles without holding up this response
+  refreshTilesInBackground(staleTileIds);
+  
+  debug.info(`Returning ${finalData.length} bird observations to client for ${clientTilesToReturn.length} tiles`);
+  return {
+    birds: finalData,
+    metadata: buildViewportMetadata(tileIds, clientTilesToReturn, versionSuffix)
+  };
+  
+  } catch (error) {
+    debug.error('Error in getBirdDataFromTiles:', error);
+    // Return an empty result as fallback, flagged so callers can tell it from an empty area
+    return {
+      birds: [],
+      metadata: {
+        failed: true,
+        tileCount: 0,
+        returnedTileCount: 0,
+        tileVersions: {},
+        degradedTiles: [],
+        truncatedTiles: []
+      }
     };
-    
-    // Calculate distance from center for each tile
-    const tilesWithDistance = missingTiles.map(tile => {
-      const center = getTileCenter(tile.tileId);
-      const distance = Math.sqrt(
-        Math.pow(center.lat - viewportCenter.lat, 2) + 
-        Math.pow(center.lng - viewportCenter.lng, 2)
-      );
-      return { ...tile, distance };
-    });
-    
-    // Sort by distance from center
-    tilesWithDistance.sort((a, b) => a.distance - b.distance);
-    
-    // Process in batches, starting with the center tiles
-    const batches = [];
-    for (let i = 0; i < tilesWithDistance.length; i += MAX_PARALLEL_REQUESTS) {
-      batches.push(tilesWithDistance.slice(i, i + MAX_PARALLEL_REQUESTS));
+  }
+}
+
+/**
+ * Records the tiles in a viewport response as held by its client
+ * Call once the response body has been sent: a 304 or a failed response must not
+ * leave the server thinking the client has tiles it never received. Filtered
+ * responses don't count, as they hold only part of each tile.
+ * @param {Object} viewport - Viewport parameters the response was built for
+ * @param {Object} metadata - Response metadata from getBirdDataForViewport
+ */
+function markViewportTilesSent(viewport, metadata) {
+  const clientId = viewport.clientId;
+  const tileIds = Object.keys(metadata.tileVersions);
+  if (!clientId || !activeClientTiles || tileIds.length === 0 || hasSightingFilters(viewport.filters)) {
+    return;
+  }
+  
+  try {
+    markTilesAsSeen(clientId, tileIds);
+    debug.info(`Marked ${tileIds.length} tiles as seen by client ${clientId}`);
+  } catch (error) {
+    debug.error('Error marking client tiles as seen:', error);
+  }
+}
+
+/**
+ * Streams bird data for a viewport one tile at a time
+ * Cached tiles are sent straight away and every fetched tile as soon as its
+ * eBird request completes, instead of waiting for the whole viewport. Takes the
+ * same viewport parameters as getBirdDataForViewport.
+ * @param {Object} viewport - Viewport parameters
+ * @param {Function} onTile - Called with {tileId, version, birds} for each tile the
+ *   client needs, in the order the tiles become available
+ * @returns {Promise<Object>} Metadata for the whole response, as in getBirdDataForViewport
+ */
+async function streamBirdDataForViewport(viewport, onTile) {
+  const startTime = Date.now();
+  const clientId = viewport.clientId;
+  const filters = hasSightingFilters(viewport.filters) ? viewport.filters : null;
+  const versionSuffix = filters ? `~${computeContentVersion(filters).slice(0, 8)}` : '';
+  
+  // Tiles already considered for this client, whether they were sent or not
+  const handledTiles = new Set();
+  const returnedTiles = [];
+  let birdCount = 0;
+  
+  const sendAvailableTiles = (tileIds) => {
+    const availableTiles = tileIds.filter(tileId => !handledTiles.has(tileId) && isTileAvailable(tileId));
+    if (availableTiles.length === 0) return;
+    availableTiles.forEach(tileId => handledTiles.add(tileId));
+    
+    const tilesToSend = selectTilesForClient(viewport, availableTiles, filters, versionSuffix);
+    for (const tileId of tilesToSend) {
+      const birds = getTileBirds(tileId, filters);
+      const version = getTileVersions([tileId], versionSuffix)[tileId];
+      onTile({ tileId, version, birds });
+      birdCount += birds.length;
     }
     
-    // TESTING: Fetch all batches synchronously to test performance impact
-    // By using all batches as initial batches, we effectively disable background loading
-    const initialBatches = batches;
-    
-    // Fetch initial batches
-    for (let i = 0; i < initialBatches.length; i++) {
-      const batch = initialBatches[i];
-      debug.info(`Fetching batch ${i+1}/${initialBatches.length} (${batch.length} tiles)`);
-      
-      // Process batch in parallel
-      await Promise.all(batch.map(tile => fetchTileData(tile.tileId)));
+    if (clientId && activeClientTiles && tilesToSend.length > 0 && !filters) {
+      markTilesAsSeen(clientId, tilesToSend);
+    }
+    returnedTiles.push(...tilesToSend);
+  };
+  
+  // Same resolve loop as getBirdDataFromTiles, sending tiles as they come in
+  let tileIds = getTilesForViewport(viewport);
+  let statsRecorded = false;
+  for (let round = 1; round <= MAX_RESOLVE_ROUNDS; round++) {
+    debug.info(`Streaming viewport requires ${tileIds.length} tiles (round ${round})`);
+    
+    await syncFromStore(tileIds, clientId);
+    
+    const resolvedTileIds = getTilesForViewport(viewport);
+    if (!sameTileIds(resolvedTileIds, tileIds)) {
+      tileIds = resolvedTileIds;
+      continue;
     }
     
-    // Track API requests
-    incrementApiRequestCount(missingTiles.length);
+    sendAvailableTiles(tileIds);
     
-    // TESTING: We're now loading all tiles synchronously, so there are no remaining batches
-    // This block of background fetching code is disabled for performance testing
-    debug.info(`All ${batches.length} batches fetched synchronously - no background fetching needed`);
+    const missingTiles = getMissingTiles(tileIds, viewport, { recordStats: !statsRecorded });
+    statsRecorded = true;
+    if (missingTiles.length === 0) break;
+    
+    // A fetched tile may have been split, so look the viewport up again each time
+    await fetchMissingTiles(missingTiles, viewport, () => sendAvailableTiles(getTilesForViewport(viewport)));
+    tileIds = getTilesForViewport(viewport);
   }
   
-  // Get the tiles that this client doesn't already have
-  let clientTilesToReturn = tileIds;
+  refreshTilesInBackground(getStaleTiles(tileIds));
+  
+  debug.info(`Streamed ${birdCount} bird observations for ${returnedTiles.length} tiles in ${Date.now() - startTime}ms`);
+  return buildViewportMetadata(tileIds, returnedTiles, versionSuffix);
+}
+
+/**
+ * Works out which of the viewport's tiles to send to the client
+ * @param {Object} viewport - Viewport parameters with optional clientId and `have` digest
+ * @param {string[]} tileIds - Tile IDs that could be sent
+ * @param {Object|null} filters - Filters in effect, if any
+ * @param {string} versionSuffix - Version suffix for filtered tiles
+ * @returns {string[]} Tile IDs the client doesn't already hold
+ */
+function selectTilesForClient(viewport, tileIds, filters, versionSuffix) {
+  const clientId = viewport.clientId;
+  
+  if (viewport.have !== undefined) {
+    // The client told us what it holds, which beats our own record of what we sent
+    // (filtered tiles are left out of the server's record of what the client holds)
+    const neededTiles = reconcileClientTiles(filters ? null : clientId, tileIds, viewport.have, versionSuffix);
+    debug.info(`Client digest needs ${neededTiles.length}/${tileIds.length} tiles`);
+    return neededTiles;
+  }
+  
+  if (filters) {
+    // The server's record of sent tiles describes full tiles, not filtered ones
+    debug.info('Filtered request without a tile digest, returning all tiles in viewport');
+    return tileIds;
+  }
   
   if (clientId && activeClientTiles) {
     try {
-      clientTilesToReturn = getClientMissingTiles(clientId, tileIds);
-      debug.info(`Client ${clientId} needs ${clientTilesToReturn.length}/${tileIds.length} tiles`);
+      const missingTiles = getClientMissingTiles(clientId, tileIds);
+      debug.info(`Client ${clientId} needs ${missingTiles.length}/${tileIds.length} tiles`);
+      return missingTiles;
     } catch (error) {
       debug.error('Error getting client missing tiles:', error);
       // Fall back to returning all tiles if there's an error
-      clientTilesToReturn = tileIds;
       debug.info('Falling back to returning all tiles due to error');
+      return tileIds;
     }
-  } else {
-    debug.info('No client ID provided or client tracking not available, returning all tiles in viewport');
   }
   
-  // Collect data only for tiles the client needs
-  // IMPORTANT: Don't mark tiles as seen yet - only do that after successfully sending to client
-  const tileDataPromises = clientTilesToReturn.map(tileId => {
-    // Get the tile data from cache
-    return getTileCache(tileId);
+  debug.info('No client ID provided or client tracking not available, returning all tiles in viewport');
+  return tileIds;
+}
+
+/**
+ * Gets a tile's sightings from the cache, ready to send to a client
+ * @param {string} tileId - Tile ID (format: z/x/y)
+ * @param {Object|null} filters - Filters to apply, if any
+ * @returns {Array} Sightings, each tagged with the tile ID for client-side tracking
+ */
+function getTileBirds(tileId, filters) {
+  const tileData = getTileCache(tileId);
+  const tileObservations = filters ? filterSightings(tileData, filters) : tileData;
+  if (!tileObservations) return [];
+  
+  return tileObservations.map(bird => ({
+    ...bird,
+    _tileId: tileId // Add private field for tile tracking
+  }));
+}
+
+/**
+ * Builds the metadata describing a viewport response
+ * @param {string[]} tileIds - All tile IDs in the viewport
+ * @param {string[]} returnedTileIds - Tile IDs whose data was sent
+ * @param {string} versionSuffix - Version suffix for filtered tiles
+ * @returns {Object} Tile counts, returned tile versions, and degraded and truncated tiles
+ */
+function buildViewportMetadata(tileIds, returnedTileIds, versionSuffix) {
+  // Report every viewport tile affected by eBird failures, including ones the
+  // client already holds, so it can tell the user the data may be incomplete
+  const degradedTiles = getDegradedTiles(tileIds);
+  if (degradedTiles.length > 0) {
+    debug.warn(`${degradedTiles.length} of ${tileIds.length} viewport tiles are degraded`);
+  }
+  
+  // Tiles that still hit eBird's record limit at the finest zoom level
+  const truncatedTiles = getTruncatedTiles(tileIds);
+  if (truncatedTiles.length > 0) {
+    debug.warn(`${truncatedTiles.length} of ${tileIds.length} viewport tiles may be missing records`);
+  }
+  
+  return {
+    tileCount: tileIds.length,
+    returnedTileCount: returnedTileIds.length,
+    tileVersions: getTileVersions(returnedTileIds, versionSuffix),
+    degradedTiles,
+    truncatedTiles
+  };
+}
+
+/**
+ * Fetches missing tiles in batches, nearest to the viewport center first
+ * @param {Array<{tileId: string}>} missingTiles - Tiles to fetch
+ * @param {Object} viewport - Viewport parameters
+ * @param {Function} [onTileFetched] - Called with the tile ID as each tile finishes,
+ *   without waiting for the rest of its batch
+ * @returns {Promise<void>} Resolves once every tile has been fetched or has failed
+ */
+async function fetchMissingTiles(missingTiles, viewport, onTileFetched) {
+  debug.info(`Need to fetch ${missingTiles.length} missing tiles`);
+  
+  // Sort tiles - prioritize center tiles over edge tiles
+  // This ensures the most important data is fetched first
+  const viewportCenter = calculateViewportCenter(viewport);
+  
+  // Calculate distance from center for each tile
+  const tilesWithDistance = missingTiles.map(tile => {
+    const center = getTileCenter(tile.tileId);
+    // Measure longitude the short way round so tiles across the antimeridian sort correctly
+    const lngDelta = Math.abs(center.lng - viewportCenter.lng);
+    const distance = Math.sqrt(
+      Math.pow(center.lat - viewportCenter.lat, 2) + 
+      Math.pow(Math.min(lngDelta, 360 - lngDelta), 2)
+    );
+    return { ...tile, distance };
   });
   
-  const tileData = await Promise.all(tileDataPromises);
+  // Sort by distance from center
+  tilesWithDistance.sort((a, b) => a.distance - b.distance);
   
-  // Collect all bird observations from the filtered tiles
-  // Add tile ID to each observation for client-side tracking
-  const allBirds = [];
-  for (let i = 0; i < tileData.length; i++) {
-    const tileId = clientTilesToReturn[i];
-    const tileObservations = tileData[i];
-    
-    if (tileObservations && tileObservations.length > 0) {
-      // Add tile ID to each observation
-      const birdsWithTileId = tileObservations.map(bird => ({
-        ...bird,
-        _tileId: tileId // Add private field for tile tracking
-      }));
-      allBirds.push(...birdsWithTileId);
-    }
+  // Process in batches, starting with the center tiles
+  const batches = [];
+  for (let i = 0; i < tilesWithDistance.length; i += MAX_PARALLEL_REQUESTS) {
+    batches.push(tilesWithDistance.slice(i, i + MAX_PARALLEL_REQUESTS));
   }
   
-  // No deduplication needed for cached tiles - they were already deduplicated when loaded
-  // We'll only count for logging purposes
-  const startDedupeTime = Date.now();
-  const finalData = allBirds;
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    debug.info(`Fetching batch ${i+1}/${batches.length} (${batch.length} tiles)`);
+    
+    // Process batch in parallel
+    await Promise.all(batch.map(async tile => {
+      await fetchTileData(tile.tileId);
+      if (onTileFetched) onTileFetched(tile.tileId);
+    }));
+  }
+}
+
+/**
+ * Checks whether two tile ID lists hold the same tiles
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {boolean} True if both lists contain the same tile IDs
+ */
+function sameTileIds(a, b) {
+  if (a.length !== b.length) return false;
+  const tileSet = new Set(a);
+  return b.every(tileId => tileSet.has(tileId));
+}
+
+/**
+ * Refreshes stale tiles without blocking the caller
+ * Tiles that are already being fetched are skipped. Refreshed tiles are
+ * resent to clients on their next viewport request (see setTileCache).
+ * @param {string[]} tileIds - Stale tile IDs to refresh
+ */
+function refreshTilesInBackground(tileIds) {
+  const tilesToRefresh = tileIds.filter(tileId => !inFlightTiles.has(tileId));
+  if (tilesToRefresh.length === 0) return;
   
-  debug.info(`Skipping deduplication for ${finalData.length} observations from ${clientTilesToReturn.length} tiles in ${Date.now() - startDedupeTime}ms`);
-  debug.info(`Completed tile-based retrieval in ${Date.now() - startTime}ms`);
+  debug.info(`Refreshing ${tilesToRefresh.length} stale tiles in the background`);
   
-  // NOW mark the tiles as seen by this client - AFTER we've collected the data
-  // This ensures we don't mark tiles as seen until we're ready to return them to the client
-  if (clientId && activeClientTiles && clientTilesToReturn.length > 0) {
-    try {
-      debug.info(`== DETAILED MARK TILES DEBUG ==`);
-      debug.info(`Preparing to mark ${clientTilesToReturn.length} tiles as seen by client ${clientId}`);
-      
-      // Log the active client tiles before marking
-      if (activeClientTiles.has(clientId)) {
-        const beforeCount = activeClientTiles.get(clientId).tiles.size;
-        debug.info(`BEFORE: Client ${clientId} has ${beforeCount} active tiles`);
-      } else {
-        debug.info(`BEFORE: Client ${clientId} has no entry in activeClientTiles`);
-      }
-      
-      // Mark tiles as seen by this client using our dedicated function
-      markTilesAsSeen(clientId, clientTilesToReturn);
-      
-      // Log the active client tiles after marking
-      if (activeClientTiles.has(clientId)) {
-        const afterCount = activeClientTiles.get(clientId).tiles.size;
-        debug.info(`AFTER: Client ${clientId} has ${afterCount} active tiles`);
-        
-        // Check if our sample tile was added
-        if (clientTilesToReturn.length > 0) {
-          const sampleTile = clientTilesToReturn[0];
-          const hasTile = activeClientTiles.get(clientId).tiles.has(sampleTile);
-          debug.info(`Sample tile ${sampleTile} in client tiles: ${hasTile}`);
-        }
-      } else {
-        debug.info(`AFTER: Client ${clientId} still has no entry in activeClientTiles`);
-      }
-      
-      debug.info(`== END DETAILED MARK TILES DEBUG ==`);
-    } catch (error) {
-      debug.error('Error marking client tiles as seen:', error);
+  (async () => {
+    for (let i = 0; i < tilesToRefresh.length; i += MAX_PARALLEL_REQUESTS) {
+      const batch = tilesToRefresh.slice(i, i + MAX_PARALLEL_REQUESTS);
+      await Promise.all(batch.map(tileId => fetchTileData(tileId)));
+      incrementBackgroundRefreshCount(batch.length);
     }
+  })().catch(error => {
+    debug.error('Error refreshing stale tiles:', error);
+  });
+}
+
+/**
+ * Fetches data for a single tile, joining a fetch already in progress
+ * Concurrent viewport requests and background refreshes that need the same
+ * tile share one pending promise, so eBird is only called once per tile.
+ * @param {string} tileId - Tile ID (format: z/x/y)
+ * @returns {Promise<Array>} Bird sighting data for the tile
+ */
+function fetchTileData(tileId) {
+  const pendingFetch = inFlightTiles.get(tileId);
+  if (pendingFetch) {
+    coalescedTileRequests++;
+    debug.cache(`Joining in-flight fetch for tile ${tileId}`);
+    return pendingFetch;
   }
   
-  debug.info(`Returning ${finalData.length} bird observations to client for ${clientTilesToReturn.length} tiles`);
-  return finalData;
+  tileFetchesStarted++;
+  incrementApiRequestCount();
   
-  } catch (error) {
-    debug.error('Error in getBirdDataFromTiles:', error);
-    // Return an empty array as fallback
-    return [];
-  }
+  const fetchPromise = fetchTileFromEbird(tileId).finally(() => {
+    inFlightTiles.delete(tileId);
+  });
+  
+  inFlightTiles.set(tileId, fetchPromise);
+  peakInFlightTiles = Math.max(peakInFlightTiles, inFlightTiles.size);
+  
+  return fetchPromise;
+}
+
+/**
+ * Gets tile fetch coalescing statistics
+ * @returns {Object} Fetch counters for the admin cache stats
+ */
+function getFetchStats() {
+  const totalTileRequests = tileFetchesStarted + coalescedTileRequests;
+  
+  return {
+    tileFetchesStarted,
+    coalescedTileRequests,
+    coalescedPercentage: totalTileRequests > 0 
+      ? (coalescedTileRequests / totalTileRequests * 100).toFixed(2) + '%' 
+      : '0%',
+    inFlightTiles: inFlightTiles.size,
+    peakInFlightTiles,
+    truncatedTileSplits
+  };
 }
 
 /**
- * Fetches data for a single tile and stores it in cache
- * @param {string} tileId - Tile ID (format: tileY:tileX)
+ * Fetches data for a single tile from eBird and stores it in cache
+ * Use fetchTileData instead so concurrent requests for a tile are coalesced.
+ * @param {string} tileId - Tile ID (format: z/x/y)
  * @returns {Promise<Array>} Bird sighting data for the tile
  */
-async function fetchTileData(tileId) {
+async function fetchTileFromEbird(tileId) {
   const tileStartTime = Date.now();
   
   try {
     // Get the tile center coordinates
     const tileCenter = getTileCenter(tileId);
     
-    // Using a fixed radius per tile based on the tile size
-    // We add a buffer to ensure we get all data at the tile boundaries
-    // This creates some overlap between adjacent tiles, but we handle deduplication later
-    const tileSizeKm = constants.TILES.SIZE_KM;
-    
-    // Diagonal of a square tile is sqrt(2) * side length
-    // We use this as the base radius to ensure we cover the whole tile
-    const diagonalKm = Math.sqrt(2) * tileSizeKm;
-    
-    // Add buffer to ensure we don't miss data at tile boundaries
-    const radius = diagonalKm * RADIUS_BUFFER;
+    // The search circle reaches the tile's farthest corner, plus a buffer so we
+    // don't miss data at the boundaries. The overlap with neighbouring tiles is
+    // clipped off below
+    let radius = getTileRadiusKm(tileId) * RADIUS_BUFFER;
+    if (radius > MAX_DIST_KM) {
+      debug.warn(`Tile ${tileId} needs a ${radius.toFixed(2)}km radius, capping at eBird's ${MAX_DIST_KM}km (lower TILE_ROOT_ZOOM is too coarse)`);
+      radius = MAX_DIST_KM;
+    }
     
     // Prepare parameters for eBird API - always use MAX_BACK_DAYS
     const params = {
       lat: tileCenter.lat,
       lng: tileCenter.lng,
       dist: radius,
-      back: MAX_BACK_DAYS
+      back: MAX_BACK_DAYS,
+      maxResults: MAX_RESULTS
     };
     
     debug.info(`Fetching tile ${tileId} with center (${tileCenter.lat.toFixed(4)}, ${tileCenter.lng.toFixed(4)}), radius ${radius.toFixed(2)}km, days back ${MAX_BACK_DAYS}`);
@@ -296,6 +562,16 @@ async function fetchTileData(tileId) {
       notableCount: notableBirds.length
     });
     
+    // A response at the record limit has probably been cut off. Query the
+    // children separately instead, unless the tile is already as small as they get
+    const truncated = recentBirds.length >= MAX_RESULTS || notableBirds.length >= MAX_RESULTS;
+    if (truncated && getTileZoom(tileId) < MAX_ZOOM) {
+      return fetchTileChildren(tileId);
+    }
+    if (truncated) {
+      debug.warn(`Tile ${tileId} hit eBird's ${MAX_RESULTS} record limit at zoom ${MAX_ZOOM}, caching incomplete data`);
+    }
+    
     // First, compress each dataset separately (without marking notable yet)
     const compressedRecent = compressBirdData(recentBirds);
     const compressedNotable = compressBirdData(notableBirds);
@@ -325,36 +601,125 @@ async function fetchTileData(tileId) {
     // Combine both lists - use a standard deduplication to avoid duplicates
     let combinedData = deduplicateBirdsByLocation([...markedRecent, ...markedNotable]);
     
-    // Get exact tile boundaries
-    const tileBounds = getTileBoundaries(tileId);
-    
     // Clip data to exact tile boundaries to prevent overlap
-    const clippedData = clipDataToTileBoundaries(combinedData, tileBounds);
+    const clippedData = clipDataToTile(combinedData, tileId);
     
     if (clippedData.length < combinedData.length) {
       debug.info(`Clipped ${combinedData.length - clippedData.length} bird observations outside tile boundaries`);
       combinedData = clippedData;
     }
     
-    // Cache the clipped tile data
-    setTileCache(tileId, combinedData);
+    // Cache the clipped tile data, splitting it up if the area is dense
+    cacheTileData(tileId, combinedData, { truncated });
     
     debug.info(`Tile ${tileId} complete: ${combinedData.length} birds in ${Date.now() - tileStartTime}ms`);
     return combinedData;
   } catch (error) {
     debug.error(`Error fetching tile ${tileId}:`, error);
     
-    // Store empty array in cache to avoid repeated failed requests
-    setTileCache(tileId, []);
+    // Keep the last good copy if there is one, otherwise cache the failure
+    // briefly so the tile isn't re-requested until its retry time
+    const entry = setTileError(tileId, error);
     
-    return [];
+    return entry.data;
+  }
+}
+
+/**
+ * Replaces a tile whose eBird response was truncated with its four children
+ * Each child is fetched with its own, smaller query (and split again if that
+ * is truncated too), so together they return the complete data.
+ * @param {string} tileId - Tile ID (format: z/x/y)
+ * @returns {Promise<Array>} Bird sighting data for all children
+ */
+async function fetchTileChildren(tileId) {
+  truncatedTileSplits++;
+  debug.warn(`Tile ${tileId} hit eBird's ${MAX_RESULTS} record limit, re-querying as zoom ${getTileZoom(tileId) + 1} tiles`);
+  
+  setTileSplit(tileId);
+  
+  const childData = await Promise.all(getChildTileIds(tileId).map(childId => fetchTileData(childId)));
+  return childData.flat();
+}
+
+/**
+ * Caches fetched data for a tile, splitting dense tiles into children
+ * The fetch already covers the whole tile, so children are filled by clipping
+ * the same data - splitting costs no extra eBird requests. Each child is split
+ * again while it still holds SPLIT_THRESHOLD records and is above MAX_ZOOM.
+ * @param {string} tileId - Tile ID (format: z/x/y)
+ * @param {Array} data - Bird sighting data clipped to the tile
+ * @param {Object} [options] - Entry options passed on to setTileCache
+ */
+function cacheTileData(tileId, data, options = {}) {
+  if (!shouldSplitTile(tileId, data.length)) {
+    setTileCache(tileId, data, options);
+    return;
+  }
+  
+  debug.info(`Tile ${tileId} has ${data.length} records, splitting into children`);
+  setTileSplit(tileId);
+  
+  for (const childId of getChildTileIds(tileId)) {
+    cacheTileData(childId, clipDataToTile(data, childId));
   }
 }
 
+// Observation fields kept on a compressed sighting: every field of eBird's simple
+// detail level, which sightings carried before full detail was requested.
+// Full-detail responses add observer and checklist fields too, which only belong
+// in the checklist history, and region names, which the map doesn't use
+const SIGHTING_FIELDS = [
+  'speciesCode', 'comName', 'sciName', 'locId', 'locName', 'obsDt', 'howMany',
+  'lat', 'lng', 'obsValid', 'obsReviewed', 'locationPrivate', 'exoticCategory'
+];
+
+/**
+ * Builds a checklist history entry from one eBird observation
+ * @param {Object} bird - eBird observation
+ * @returns {Object} Entry with the checklist's date, count, location, review
+ *   status and observer (observer only for full-detail observations)
+ */
+function toChecklistEntry(bird) {
+  const entry = {
+    subId: bird.subId,
+    obsDt: bird.obsDt,
+    howMany: bird.howMany !== undefined ? bird.howMany : null,
+    locName: bird.locName,
+    obsValid: bird.obsValid,
+    obsReviewed: bird.obsReviewed
+  };
+  if (bird.userDisplayName) {
+    entry.userDisplayName = bird.userDisplayName;
+  }
+  return entry;
+}
+
+/**
+ * Combines two checklist histories, latest first, without repeating a checklist
+ * @param {Array} checklists - Existing history
+ * @param {Array} moreChecklists - History to add
+ * @returns {Array} Combined history, at most MAX_CHECKLIST_HISTORY entries
+ */
+function mergeChecklists(checklists, moreChecklists) {
+  const bySubId = new Map(checklists.map(entry => [entry.subId, entry]));
+  for (const entry of moreChecklists) {
+    if (!bySubId.has(entry.subId)) {
+      bySubId.set(entry.subId, entry);
+    }
+  }
+
+  // String comparison works because eBird dates are "YYYY-MM-DD HH:mm"
+  return Array.from(bySubId.values())
+    .sort((a, b) => (b.obsDt || '').localeCompare(a.obsDt || ''))
+    .slice(0, MAX_CHECKLIST_HISTORY);
+}
 
 /**
  * Compresses bird data from a single source by species and location
- * Leverages the fact that records are sorted by date (most recent first)
+ * Leverages the fact that records are sorted by date (most recent first).
+ * Each entry keeps the latest observation, the IDs of every checklist, and a
+ * history of the reports (date, count, location name, review status, observer).
  * @param {Array} birds - Bird sightings (sorted by date)
  * @returns {Array} Compressed list with one entry per species/location
  */
@@ -371,18 +736,24 @@ function compressBirdData(birds) {
       // First sighting of this species at this location
       // Since records are sorted by date (most recent first),
       // this will always be the most recent observation for this group
-      const compressedBird = { ...bird };
+      const compressedBird = {};
+      for (const field of SIGHTING_FIELDS) {
+        if (bird[field] !== undefined) compressedBird[field] = bird[field];
+      }
       compressedBird.subIds = bird.subId ? [bird.subId] : [];
-      // Remove the single subId property
-      delete compressedBird.subId;
+      compressedBird.checklists = bird.subId ? [toChecklistEntry(bird)] : [];
       birdMap.set(key, compressedBird);
     } else {
       // We already have this species at this location
       const existingBird = birdMap.get(key);
       
-      // Add subId to the list if it exists and isn't already included
+      // Add subId to the list if it exists and isn't already included, and
+      // the report to the history (which is kept latest first and capped)
       if (bird.subId && !existingBird.subIds.includes(bird.subId)) {
         existingBird.subIds.push(bird.subId);
+        if (existingBird.checklists.length < MAX_CHECKLIST_HISTORY) {
+          existingBird.checklists.push(toChecklistEntry(bird));
+        }
       }
       
       // No need to compare dates since we know the first record we processed
@@ -427,6 +798,11 @@ function deduplicateBirdsByLocation(birds) {
           }
         }
       }
+      
+      // Merge the checklist histories
+      if (bird.checklists) {
+        existingBird.checklists = mergeChecklists(existingBird.checklists || [], bird.checklists);
+      }
     }
   }
   
@@ -439,160 +815,35 @@ function deduplicateBirdsByLocation(birds) {
 
 /**
  * Fetches bird data from eBird API
+ * Full detail is requested so checklists come with observer and review details.
  * @param {Object} params - API parameters
  * @returns {Promise<Array>} Bird sighting data
  */
 async function fetchBirdData(params) {
-  const { lat, lng, dist, species = 'recent', back = '7' } = params;
-  const baseUrl = 'https://api.ebird.org/v2/data/obs/geo';
-
-  let endpoint;
-  if (species === 'rare') {
-    endpoint = 'recent/notable';
-  } else {
-    endpoint = 'recent';
-    if (species !== 'recent') {
-      endpoint = `recent/${species}`;
-    }
-  }
-
-  const url = `${baseUrl}/${endpoint}?lat=${lat}&lng=${lng}&dist=${dist}&detail=simple&hotspot=false&back=${back}`;
+  const { lat, lng, dist, species = 'recent', back = '7', maxResults } = params;
 
   debug.debug('Fetching from eBird API:', {
-    endpoint,
     species,
     coordinates: { lat: lat.toFixed(4), lng: lng.toFixed(4) },
     distance: dist,
     lookback: back
   });
 
-  const requestStartTime = Date.now();
-  let response;
+  const data = await fetchGeoObservations({ lat, lng, dist, back, species, maxResults, detail: 'full' });
   
-  // Enforce minimum gap between API requests to avoid rate limiting
-  const currentTime = Date.now();
-  const timeSinceLastRequest = currentTime - lastRequestTime;
-  
-  if (timeSinceLastRequest < MIN_REQUEST_GAP_MS) {
-    const waitTime = MIN_REQUEST_GAP_MS - timeSinceLastRequest;
-    debug.info(`Waiting ${waitTime}ms before API request to prevent rate limiting`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-  }
-  
-  lastRequestTime = Date.now();
-  
-  try {
-    response = await fetch(url, {
-      headers: {
-        'x-ebirdapitoken': process.env.EBIRD_API_KEY
-      }
-    });
-    
-    const requestDuration = Date.now() - requestStartTime;
-    
-    // Log detailed API response information
-    debug.info('eBird API response details:', {
-      url: url,
-      status: response.status,
-      statusText: response.statusText,
-      duration: `${requestDuration}ms`,
-      headers: {
-        'x-rate-limit-remaining': response.headers.get('x-rate-limit-remaining'),
-        'x-rate-limit-reset': response.headers.get('x-rate-limit-reset'),
-        'x-rate-limit': response.headers.get('x-rate-limit'),
-        'retry-after': response.headers.get('retry-after')
-      }
-    });
-    
-    // Check for rate limiting indicators
-    if (requestDuration > 5000) {
-      consecutiveSlowResponses++;
-      debug.warn(`eBird API request took ${requestDuration}ms - may indicate throttling (${consecutiveSlowResponses} consecutive slow responses)`);
-      
-      // If we're getting multiple slow responses, start adding delays
-      if (consecutiveSlowResponses >= 3) {
-        const backoffDelay = Math.min(500 * Math.pow(1.5, consecutiveSlowResponses - 3), 10000);
-        debug.warn(`Applying rate limit backoff: ${backoffDelay}ms delay for future requests`);
-        MIN_REQUEST_GAP_MS = backoffDelay;
-      }
-    } else {
-      // Reset counter if we get a fast response
-      if (consecutiveSlowResponses > 0) {
-        consecutiveSlowResponses = Math.max(0, consecutiveSlowResponses - 1);
-      }
-    }
-    
-    // Check rate limit headers if available
-    const rateLimit = response.headers.get('x-rate-limit');
-    const rateLimitRemaining = response.headers.get('x-rate-limit-remaining');
-    
-    if (rateLimit && rateLimitRemaining) {
-      const remainingPercent = (parseInt(rateLimitRemaining) / parseInt(rateLimit)) * 100;
-      if (remainingPercent < 20) {
-        debug.warn(`Rate limit approaching: ${rateLimitRemaining}/${rateLimit} (${remainingPercent.toFixed(1)}% remaining)`);
-        MIN_REQUEST_GAP_MS = Math.max(MIN_REQUEST_GAP_MS, 500);
-      }
-    }
-  } catch (error) {
-    debug.error('eBird API network error:', error.message);
-    throw new Error(`eBird API request failed with network error: ${error.message}`);
-  }
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    debug.error('eBird API error response:', {
-      status: response.status,
-      text: errorText,
-      headers: {
-        'x-rate-limit-remaining': response.headers.get('x-rate-limit-remaining'),
-        'x-rate-limit-reset': response.headers.get('x-rate-limit-reset'),
-        'retry-after': response.headers.get('retry-after')
-      }
-    });
-    
-    if (response.status === 429) {
-      debug.error('RATE LIMITING DETECTED: eBird API returned 429 Too Many Requests');
-    }
-    
-    throw new Error(`eBird API request failed with status ${response.status}: ${errorText}`);
-  }
-
-  const responseText = await response.text();
+  debug.info('eBird API success:', {
+    count: data.length,
+    firstFew: data.length > 0 ? data.slice(0, 3).map(b => `${b.comName || 'Unknown'} at ${b.lat},${b.lng}`) : [],
+    hasMore: data.length > 3
+  });
   
-  try {
-    const data = JSON.parse(responseText);
-    
-    // More detailed success logging
-    debug.info('eBird API success:', {
-      count: data.length,
-      firstFew: data.length > 0 ? data.slice(0, 3).map(b => `${b.comName || 'Unknown'} at ${b.lat},${b.lng}`) : [],
-      hasMore: data.length > 3
-    });
-    
-    // Log the actual coordinates range found in the data
-    if (data.length > 0) {
-      const lats = data.map(b => parseFloat(b.lat));
-      const lngs = data.map(b => parseFloat(b.lng));
-      debug.info('Data coordinates range:', {
-        lat: {
-          min: Math.min(...lats).toFixed(4),
-          max: Math.max(...lats).toFixed(4)
-        },
-        lng: {
-          min: Math.min(...lngs).toFixed(4),
-          max: Math.max(...lngs).toFixed(4)
-        },
-        requestedCenter: { lat: lat.toFixed(4), lng: lng.toFixed(4) },
-        requestedRadius: dist
-      });
-    }
-    return data;
-  } catch (error) {
-    debug.error('Failed to parse eBird response:', error);
-    throw new Error('Invalid response format from eBird API');
-  }
+  return data;
 }
 
 module.exports = {
-  getBirdDataForViewport
+  getBirdDataForViewport,
+  markViewportTilesSent,
+  streamBirdDataForViewport,
+  getFetchStats,
+  compressBirdData
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: eBird checklists for the popup's checklist viewer. Checklists
+ * are fetched on demand, trimmed to what the viewer shows and cached.
+ *
+ * Dependencies: debug.js, serverConstants.js, cellCache.js, ebirdClient.js
+ */
+
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+const { createCellCache } = require('../utils/cellCache');
+const { fetchChecklist } = require('./ebirdClient');
+
+const { TTL_MINUTES, MAX_ENTRIES } = constants.CHECKLISTS;
+const ERROR_RETRY = constants.CACHE.ERROR_RETRY_MINUTES * 60 * 1000;
+
+// eBird checklist (submission) IDs ("S" followed by digits)
+const CHECKLIST_ID_PATTERN = /^S\d+$/;
+
+// Cached checklists keyed by subId
+const checklists = createCellCache({
+  name: 'Checklist',
+  ttlMs: TTL_MINUTES * 60 * 1000,
+  retryMs: ERROR_RETRY,
+  maxEntries: MAX_ENTRIES
+});
+
+/**
+ * Checks whether a string is an eBird checklist ID
+ * @param {string} subId - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidChecklistId(subId) {
+  return typeof subId === 'string' && CHECKLIST_ID_PATTERN.test(subId);
+}
+
+/**
+ * Trims an eBird checklist to the fields the viewer shows
+ * @param {Object} checklist - Checklist from eBird's checklist view endpoint
+ * @returns {Object} Checklist summary with its observations
+ */
+function summarizeChecklist(checklist) {
+  return {
+    subId: checklist.subId,
+    locId: checklist.locId,
+    obsDt: checklist.obsDt,
+    obsTimeValid: checklist.obsTimeValid,
+    protocolId: checklist.protocolId,
+    durationHrs: checklist.durationHrs !== undefined ? checklist.durationHrs : null,
+    effortDistanceKm: checklist.effortDistanceKm !== undefined ? checklist.effortDistanceKm : null,
+    numObservers: checklist.numObservers !== undefined ? checklist.numObservers : null,
+    allObsReported: checklist.allObsReported,
+    userDisplayName: checklist.userDisplayName,
+    comments: checklist.comments || null,
+    numSpecies: checklist.numSpecies,
+    obs: (checklist.obs || []).map(observation => ({
+      speciesCode: observation.speciesCode,
+      howManyStr: observation.howManyStr,
+      present: observation.present,
+      comments: observation.comments || null
+    }))
+  };
+}
+
+/**
+ * Gets a checklist, from the cache when possible
+ * @async
+ * @param {string} subId - Validated eBird checklist ID
+ * @returns {Promise<{checklist: Object, degraded: boolean}|null>} Checklist summary,
+ *   and whether it is an older copy served because eBird couldn't be reached;
+ *   null if it couldn't be fetched at all
+ */
+async function getChecklist(subId) {
+  const entry = await checklists.getCell(subId, async () => {
+    debug.info(`Fetching checklist ${subId}`);
+    return { data: summarizeChecklist(await fetchChecklist(subId)) };
+  });
+
+  if (entry.unavailable) {
+    return null;
+  }
+
+  return { checklist: entry.data, degraded: entry.degraded };
+}
+
+/**
+ * Gets checklist cache statistics
+ * @returns {Object} Cache size and counters for the admin cache stats
+ */
+function getChecklistStats() {
+  return checklists.getStats();
+}
+
+module.exports = {
+  isValidChecklistId,
+  getChecklist,
+  getChecklistStats
+};
@@ -0,0 +1,558 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Single client for every eBird API call. Adds request timeouts,
+ * retries with exponential backoff, Retry-After / 429 handling that pauses all
+ * requests while eBird is rate limiting us, a circuit breaker that fails fast
+ * during outages, and per-endpoint metrics for the admin dashboard.
+ *
+ * Dependencies: debug.js, serverConstants.js, node-fetch
+ */
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+
+const {
+  BASE_URL,
+  TIMEOUT_MS,
+  MAX_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  MAX_RATE_LIMIT_WAIT_MS,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_COOLDOWN_MS
+} = constants.EBIRD;
+
+// Circuit breaker state: 'closed' (normal), 'open' (failing fast) or 'half-open' (probing)
+const circuit = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  trips: 0,
+  probeInFlight: false
+};
+
+// Time until which every request waits because eBird asked us to back off
+let rateLimitedUntil = 0;
+
+// Per-endpoint metrics keyed by endpoint name
+const endpointMetrics = new Map();
+
+/**
+ * Gets (creating if needed) the metrics record for an endpoint
+ * @param {string} endpoint - Endpoint name
+ * @returns {Object} Metrics record
+ */
+function getEndpointMetrics(endpoint) {
+  if (!endpointMetrics.has(endpoint)) {
+    endpointMetrics.set(endpoint, {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      rateLimited: 0,
+      timeouts: 0,
+      rejectedByCircuit: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      lastStatus: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    });
+  }
+  return endpointMetrics.get(endpoint);
+}
+
+/**
+ * Creates an error describing a failed eBird request
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties (status, endpoint, retryable, code, and
+ *   detail for upstream text that is logged but never sent to clients)
+ * @returns {Error} Error with the details attached
+ */
+function createApiError(message, details) {
+  const error = new Error(message);
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+/**
+ * Calculates the backoff delay before a retry
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} Delay in milliseconds (exponential with jitter)
+ */
+function getBackoffDelay(attempt) {
+  const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(exponential + jitter, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Checks whether the circuit breaker lets a request through
+ * After the cooldown a single probe request is allowed (half-open); its
+ * outcome decides whether the circuit closes again or stays open. The probe
+ * keeps its slot through its own retries, so no second probe starts while it
+ * backs off.
+ * @param {boolean} [isProbe=false] - Whether the caller already holds the probe slot
+ * @returns {boolean} True if the request may proceed
+ */
+function allowRequest(isProbe = false) {
+  if (circuit.state === 'closed') return true;
+  if (isProbe && circuit.state === 'half-open') return true;
+
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_COOLDOWN_MS) {
+    circuit.state = 'half-open';
+    debug.info('eBird circuit half-open, sending probe request');
+  }
+
+  if (circuit.state === 'half-open' && !circuit.probeInFlight) {
+    circuit.probeInFlight = true;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Records a successful request with the circuit breaker
+ */
+function recordCircuitSuccess() {
+  if (circuit.state !== 'closed') {
+    debug.info('eBird circuit closed - API is responding again');
+  }
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.probeInFlight = false;
+}
+
+/**
+ * Records a failed request with the circuit breaker, tripping it if needed
+ * The probe slot is left alone; only the probe itself gives it up.
+ */
+function recordCircuitFailure() {
+  circuit.consecutiveFailures++;
+
+  if (circuit.state === 'half-open' || circuit.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.state !== 'open') {
+      circuit.trips++;
+      debug.error(`eBird circuit opened after ${circuit.consecutiveFailures} consecutive failures, failing fast for ${CIRCUIT_COOLDOWN_MS / 1000}s`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Performs a single HTTP request with a timeout
+ * @param {string} url - Full request URL
+ * @returns {Promise<Object>} { status, headers, text }
+ */
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'x-ebirdapitoken': process.env.EBIRD_API_KEY
+      },
+      signal: controller.signal
+    });
+    const text = await response.text();
+    return { status: response.status, ok: response.ok, headers: response.headers, text };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Makes a request to the eBird API
+ * Retries network errors, timeouts, 429 and 5xx responses with exponential
+ * backoff (or the server's Retry-After delay). Other 4xx responses fail at once.
+ * @param {string} path - API path below the base URL (e.g. "ref/region/info/US-CA")
+ * @param {Object} [options] - Request options
+ * @param {string} [options.endpoint] - Endpoint name for metrics (defaults to the path)
+ * @param {Object} [options.query] - Query string parameters
+ * @returns {Promise<*>} Parsed JSON response
+ * @throws {Error} With status, endpoint and code properties when the request fails
+ */
+async function ebirdRequest(path, options = {}) {
+  const { endpoint = path, query = {} } = options;
+  const metrics = getEndpointMetrics(endpoint);
+
+  const searchParams = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) {
+      searchParams.append(key, value);
+    }
+  }
+  const queryString = searchParams.toString();
+  const url = `${BASE_URL}/${path}${queryString ? `?${queryString}` : ''}`;
+  let isProbe = false;
+
+  /**
+   * Gives up the probe slot if this request holds it
+   */
+  const releaseProbe = () => {
+    if (isProbe) circuit.probeInFlight = false;
+    isProbe = false;
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    // Fail fast while eBird is known to be down
+    if (!allowRequest(isProbe)) {
+      releaseProbe();
+      metrics.rejectedByCircuit++;
+      throw createApiError('eBird API unavailable (circuit open)', {
+        endpoint,
+        code: 'CIRCUIT_OPEN',
+        retryable: true
+      });
+    }
+    isProbe = circuit.state === 'half-open';
+
+    // Respect a Retry-After from an earlier response, unless it is too long to wait
+    const rateLimitWait = rateLimitedUntil - Date.now();
+    if (rateLimitWait > 0) {
+      if (rateLimitWait > MAX_RATE_LIMIT_WAIT_MS) {
+        releaseProbe();
+        throw createApiError(`eBird API rate limited for another ${Math.ceil(rateLimitWait / 1000)}s`, {
+          endpoint,
+          status: 429,
+          code: 'RATE_LIMITED',
+          retryable: true
+        });
+      }
+      debug.warn(`Waiting ${rateLimitWait}ms for eBird rate limit before ${endpoint}`);
+      await sleep(rateLimitWait);
+    }
+
+    metrics.requests++;
+    if (attempt > 0) metrics.retries++;
+
+    const startTime = Date.now();
+    let result = null;
+    let error = null;
+
+    try {
+      result = await fetchWithTimeout(url);
+    } catch (fetchError) {
+      const timedOut = fetchError.name === 'AbortError';
+      if (timedOut) metrics.timeouts++;
+      error = createApiError(
+        timedOut
+          ? `eBird API request timed out after ${TIMEOUT_MS}ms`
+          : 'eBird API request failed with a network error',
+        { endpoint, code: timedOut ? 'TIMEOUT' : 'NETWORK', retryable: true, detail: timedOut ? null : fetchError.message }
+      );
+    }
+
+    const latency = Date.now() - startTime;
+    metrics.totalLatencyMs += latency;
+    metrics.maxLatencyMs = Math.max(metrics.maxLatencyMs, latency);
+
+    let retryDelay = null;
+
+    if (result) {
+      metrics.lastStatus = result.status;
+
+      debug.debug('eBird API response:', {
+        endpoint,
+        status: result.status,
+        duration: `${latency}ms`,
+        rateLimitRemaining: result.headers.get('x-rate-limit-remaining'),
+        retryAfter: result.headers.get('retry-after')
+      });
+
+      if (result.ok) {
+        try {
+          const data = JSON.parse(result.text);
+          metrics.successes++;
+          metrics.lastSuccessAt = Date.now();
+          recordCircuitSuccess();
+          return data;
+        } catch (parseError) {
+          debug.error('Failed to parse eBird response:', parseError);
+          error = createApiError('Invalid response format from eBird API', {
+            endpoint,
+            status: result.status,
+            code: 'INVALID_RESPONSE',
+            retryable: false
+          });
+        }
+      } else if (result.status === 429) {
+        metrics.rateLimited++;
+        retryDelay = parseRetryAfter(result.headers.get('retry-after'));
+        if (retryDelay === null) retryDelay = getBackoffDelay(attempt + 1);
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + retryDelay);
+        debug.error(`RATE LIMITING DETECTED: eBird returned 429 for ${endpoint}, backing off ${retryDelay}ms`);
+        error = createApiError('eBird API request failed with status 429', {
+          endpoint,
+          status: 429,
+          code: 'RATE_LIMITED',
+          retryable: true,
+          detail: result.text
+        });
+      } else {
+        const retryable = result.status >= 500;
+        if (retryable) retryDelay = parseRetryAfter(result.headers.get('retry-after'));
+        error = createApiError(`eBird API request failed with status ${result.status}`, {
+          endpoint,
+          status: result.status,
+          code: 'HTTP_ERROR',
+          retryable,
+          detail: result.text
+        });
+      }
+    }
+
+    // The upstream body or network error only goes to the log; the metrics shown
+    // on the admin dashboard keep the message, which names the status
+    const errorDetail = error.detail ? `${error.message}: ${error.detail}` : error.message;
+    metrics.lastError = error.message;
+
+    if (error.retryable && attempt < MAX_RETRIES) {
+      const delay = retryDelay !== null ? retryDelay : getBackoffDelay(attempt + 1);
+      debug.warn(`eBird ${endpoint} failed (${errorDetail}), retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(Math.min(delay, MAX_RATE_LIMIT_WAIT_MS));
+      continue;
+    }
+
+    metrics.failures++;
+    metrics.lastFailureAt = Date.now();
+
+    // Only outages count towards the circuit breaker - a bad request is our problem
+    if (error.retryable) {
+      recordCircuitFailure();
+    }
+    releaseProbe();
+
+    debug.error(`eBird ${endpoint} failed after ${attempt + 1} attempt(s):`, errorDetail);
+    throw error;
+  }
+}
+
+/**
+ * Fetches recent observations around a point
+ * @param {Object} params - Query parameters
+ * @param {number} params.lat - Latitude
+ * @param {number} params.lng - Longitude
+ * @param {number} params.dist - Radius in kilometers
+ * @param {number|string} [params.back=7] - Days to look back
+ * @param {string} [params.species='recent'] - 'recent', 'rare' (notable) or an eBird species code
+ * @param {number} [params.maxResults] - Most observations to return (eBird allows up to 10000)
+ * @param {string} [params.detail='simple'] - 'simple', or 'full' to include observer
+ *   and checklist details
+ * @returns {Promise<Array>} Observations
+ */
+function fetchGeoObservations(params) {
+  const { lat, lng, dist, back = 7, species = 'recent', maxResults, detail = 'simple' } = params;
+
+  let endpoint = 'recent';
+  if (species === 'rare') {
+    endpoint = 'recent/notable';
+  } else if (species !== 'recent') {
+    endpoint = `recent/${species}`;
+  }
+
+  return ebirdRequest(`data/obs/geo/${endpoint}`, {
+    endpoint: species === 'rare' || species === 'recent' ? `data/obs/geo/${endpoint}` : 'data/obs/geo/recent/{speciesCode}',
+    query: { lat, lng, dist, detail, hotspot: 'false', back, maxResults }
+  });
+}
+
+/**
+ * Fetches eBird hotspots around a point
+ * @param {Object} params - Query parameters
+ * @param {number} params.lat - Latitude
+ * @param {number} params.lng - Longitude
+ * @param {number} params.dist - Radius in kilometers (eBird allows up to 500)
+ * @param {number} [params.back] - Only hotspots visited in this many days
+ * @returns {Promise<Object[]>} Hotspots with location IDs, names and coordinates
+ */
+function fetchHotspotsNearby(params) {
+  const { lat, lng, dist, back } = params;
+
+  return ebirdRequest('ref/hotspot/geo', {
+    endpoint: 'ref/hotspot/geo',
+    query: { lat, lng, dist, back, fmt: 'json' }
+  });
+}
+
+/**
+ * Fetches recent observations at a single location
+ * @param {string} locId - eBird location ID (e.g., "L99381")
+ * @param {number|string} [back=7] - Days to look back
+ * @returns {Promise<Array>} Observations, the latest of each species
+ */
+function fetchLocationObservations(locId, back = 7) {
+  return ebirdRequest(`data/obs/${encodeURIComponent(locId)}/recent`, {
+    endpoint: 'data/obs/{locId}/recent',
+    query: { back, detail: 'simple' }
+  });
+}
+
+/**
+ * Fetches recent notable observations in a region
+ * @param {string} regionCode - eBird region code (e.g., "US-CA-087")
+ * @param {Object} [params] - Query parameters
+ * @param {number|string} [params.back=7] - Days to look back
+ * @param {number} [params.maxResults] - Most observations to return (eBird allows up to 10000)
+ * @returns {Promise<Array>} Full-detail observations, latest first
+ */
+function fetchRegionNotableObservations(regionCode, params = {}) {
+  const { back = 7, maxResults } = params;
+
+  return ebirdRequest(`data/obs/${encodeURIComponent(regionCode)}/recent/notable`, {
+    endpoint: 'data/obs/{regionCode}/recent/notable',
+    query: { back, detail: 'full', maxResults }
+  });
+}
+
+/**
+ * Fetches a checklist with its full species list
+ * @param {string} subId - eBird checklist (submission) ID (e.g., "S123456789")
+ * @returns {Promise<Object>} Checklist with effort details, comments and observations
+ */
+function fetchChecklist(subId) {
+  return ebirdRequest(`product/checklist/view/${encodeURIComponent(subId)}`, {
+    endpoint: 'product/checklist/view'
+  });
+}
+
+/**
+ * Fetches the species list for a region
+ * @param {string} regionCode - eBird region code (e.g., "US-CA")
+ * @returns {Promise<string[]>} Species codes
+ */
+function fetchRegionSpecies(regionCode) {
+  return ebirdRequest(`product/spplist/${encodeURIComponent(regionCode)}`, {
+    endpoint: 'product/spplist'
+  });
+}
+
+/**
+ * Fetches subregions for a parent region
+ * @param {string} parentRegionCode - Parent eBird region code (e.g., "US")
+ * @param {string} [regionType='subnational1'] - Type of subregion
+ * @returns {Promise<Object[]>} Subregions with codes and names
+ */
+function fetchSubregions(parentRegionCode, regionType = 'subnational1') {
+  return ebirdRequest(`ref/region/list/${encodeURIComponent(regionType)}/${encodeURIComponent(parentRegionCode)}`, {
+    endpoint: 'ref/region/list'
+  });
+}
+
+/**
+ * Fetches region information including boundaries
+ * @param {string} regionCode - eBird region code
+ * @returns {Promise<Object>} Region information
+ */
+function fetchRegionInfo(regionCode) {
+  return ebirdRequest(`ref/region/info/${encodeURIComponent(regionCode)}`, {
+    endpoint: 'ref/region/info'
+  });
+}
+
+/**
+ * Gets client metrics for the admin dashboard
+ * @returns {Object} Circuit breaker state, rate limit state and per-endpoint metrics
+ */
+function getEbirdStats() {
+  const endpoints = {};
+  let totalRequests = 0;
+  let totalFailures = 0;
+
+  for (const [endpoint, metrics] of endpointMetrics.entries()) {
+    totalRequests += metrics.requests;
+    totalFailures += metrics.failures;
+    endpoints[endpoint] = {
+      ...metrics,
+      avgLatencyMs: metrics.requests > 0 ? Math.round(metrics.totalLatencyMs / metrics.requests) : 0,
+      lastSuccessAt: metrics.lastSuccessAt ? new Date(metrics.lastSuccessAt).toISOString() : null,
+      lastFailureAt: metrics.lastFailureAt ? new Date(metrics.lastFailureAt).toISOString() : null
+    };
+  }
+
+  return {
+    circuit: {
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      trips: circuit.trips,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      reopensInSeconds: circuit.state === 'open'
+        ? Math.max(0, Math.ceil((circuit.openedAt + CIRCUIT_COOLDOWN_MS - Date.now()) / 1000))
+        : 0
+    },
+    rateLimit: {
+      active: rateLimitedUntil > Date.now(),
+      resumesAt: rateLimitedUntil > Date.now() ? new Date(rateLimitedUntil).toISOString() : null
+    },
+    totals: {
+      requests: totalRequests,
+      failures: totalFailures
+    },
+    endpoints,
+    config: {
+      timeoutMs: TIMEOUT_MS,
+      maxRetries: MAX_RETRIES,
+      circuitFailureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+      circuitCooldownMs: CIRCUIT_COOLDOWN_MS
+    }
+  };
+}
+
+module.exports = {
+  ebirdRequest,
+  fetchGeoObservations,
+  fetchHotspotsNearby,
+  fetchLocationObservations,
+  fetchChecklist,
+  fetchRegionNotableObservations,
+  fetchRegionSpecies,
+  fetchSubregions,
+  fetchRegionInfo,
+  getEbirdStats
+};
@@ -0,0 +1,199 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: eBird hotspots for the map's hotspot layer. Hotspots are
+ * fetched per cell of the tile grid and cached for a day, since they rarely
+ * change. The species recently reported at a hotspot are fetched on demand
+ * and cached briefly.
+ *
+ * Dependencies: debug.js, serverConstants.js, tileGrid.js, viewportUtils.js,
+ * cacheManager.js, cellCache.js, birdDataService.js, ebirdClient.js
+ */
+
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+const { getTileIdsInBounds, getTileCenter, getTileRadiusKm } = require('../utils/tileGrid');
+const { splitViewportAtAntimeridian } = require('../utils/viewportUtils');
+const { clipDataToTile } = require('../utils/cacheManager');
+const { createCellCache } = require('../utils/cellCache');
+const { compressBirdData } = require('./birdDataService');
+const { fetchHotspotsNearby, fetchLocationObservations } = require('./ebirdClient');
+
+const {
+  CELL_ZOOM,
+  MAX_DIST_KM,
+  TTL_MINUTES,
+  MAX_ENTRIES,
+  RECENT_TTL_MINUTES,
+  RECENT_MAX_ENTRIES
+} = constants.HOTSPOTS;
+const ERROR_RETRY = constants.CACHE.ERROR_RETRY_MINUTES * 60 * 1000;
+const RADIUS_BUFFER = constants.TILES.RADIUS_BUFFER;
+const MAX_BACK_DAYS = constants.API.MAX_BACK_DAYS;
+const MAX_PARALLEL_REQUESTS = constants.API.MAX_PARALLEL_REQUESTS;
+
+// eBird location IDs ("L" followed by digits)
+const LOCATION_ID_PATTERN = /^L\d+$/;
+
+// Cached hotspot cells keyed by "z/x/y"
+const hotspotCells = createCellCache({
+  name: 'Hotspot',
+  ttlMs: TTL_MINUTES * 60 * 1000,
+  retryMs: ERROR_RETRY,
+  maxEntries: MAX_ENTRIES
+});
+
+// Cached recent sightings keyed by location ID
+const recentSightings = createCellCache({
+  name: 'Hotspot sightings',
+  ttlMs: RECENT_TTL_MINUTES * 60 * 1000,
+  retryMs: ERROR_RETRY,
+  maxEntries: RECENT_MAX_ENTRIES
+});
+
+/**
+ * Checks whether a string is an eBird location ID
+ * @param {string} locId - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidLocationId(locId) {
+  return typeof locId === 'string' && LOCATION_ID_PATTERN.test(locId);
+}
+
+/**
+ * Fetches the hotspots in one cell
+ * @async
+ * @param {string} cellId - Cell tile ID (z/x/y)
+ * @returns {Promise<{data: Array}>} Hotspots clipped to the cell
+ */
+async function queryHotspotCell(cellId) {
+  const center = getTileCenter(cellId);
+  const hotspots = await fetchHotspotsNearby({
+    lat: center.lat,
+    lng: center.lng,
+    dist: Math.min(getTileRadiusKm(cellId) * RADIUS_BUFFER, MAX_DIST_KM)
+  });
+
+  const data = hotspots.map(hotspot => ({
+    locId: hotspot.locId,
+    locName: hotspot.locName,
+    lat: hotspot.lat,
+    lng: hotspot.lng,
+    latestObsDt: hotspot.latestObsDt || null,
+    numSpeciesAllTime: hotspot.numSpeciesAllTime || 0
+  }));
+
+  return { data: clipDataToTile(data, cellId) };
+}
+
+/**
+ * Checks whether a point lies inside any part of a viewport
+ * @param {Object} point - Object with lat and lng
+ * @param {Object[]} parts - Viewport split at the antimeridian
+ * @returns {boolean} True if inside
+ */
+function isPointInViewport(point, parts) {
+  return parts.some(part =>
+    point.lat >= part.minLat && point.lat <= part.maxLat &&
+    point.lng >= part.minLng && point.lng <= part.maxLng
+  );
+}
+
+/**
+ * Gets the eBird hotspots in a viewport
+ * @async
+ * @param {Object} viewport - Validated viewport bounds
+ * @returns {Promise<{hotspots: Array, metadata: Object}>} Hotspots, plus metadata
+ *   with the cells covered and any degraded cells
+ */
+async function getHotspotsForViewport(viewport) {
+  const startTime = Date.now();
+  const parts = splitViewportAtAntimeridian({
+    minLat: parseFloat(viewport.minLat),
+    maxLat: parseFloat(viewport.maxLat),
+    minLng: parseFloat(viewport.minLng),
+    maxLng: parseFloat(viewport.maxLng)
+  });
+  const cellIds = Array.from(new Set(parts.flatMap(part => getTileIdsInBounds(part, CELL_ZOOM))));
+
+  const entries = [];
+  for (let i = 0; i < cellIds.length; i += MAX_PARALLEL_REQUESTS) {
+    const batch = cellIds.slice(i, i + MAX_PARALLEL_REQUESTS);
+    entries.push(...await Promise.all(batch.map(cellId => hotspotCells.getCell(cellId, () => {
+      debug.info(`Fetching hotspots for cell ${cellId}`);
+      return queryHotspotCell(cellId);
+    }))));
+  }
+
+  const hotspots = entries
+    .flatMap(entry => entry.data)
+    .filter(hotspot => isPointInViewport(hotspot, parts));
+  const degradedCells = entries
+    .map((entry, index) => entry.degraded
+      ? { tileId: cellIds[index], status: entry.unavailable ? 'unavailable' : 'stale' }
+      : null)
+    .filter(Boolean);
+
+  debug.info(`Hotspots: ${hotspots.length} in ${cellIds.length} cells in ${Date.now() - startTime}ms`);
+
+  return {
+    hotspots,
+    metadata: {
+      cellZoom: CELL_ZOOM,
+      cellCount: cellIds.length,
+      degradedTiles: degradedCells
+    }
+  };
+}
+
+/**
+ * Gets the species recently reported at a hotspot, latest first
+ * Fetched for the longest supported period; callers narrow it with filters.
+ * @async
+ * @param {string} locId - Validated eBird location ID
+ * @returns {Promise<{birds: Array, degraded: boolean}>} One sighting per species,
+ *   and whether eBird couldn't be reached for a fresh list
+ */
+async function getHotspotRecentSightings(locId) {
+  const entry = await recentSightings.getCell(locId, async () => {
+    debug.info(`Fetching recent sightings at hotspot ${locId}`);
+    const observations = await fetchLocationObservations(locId, MAX_BACK_DAYS);
+    return { data: compressBirdData(observations) };
+  });
+
+  const birds = [...entry.data].sort((a, b) => new Date(b.obsDt) - new Date(a.obsDt));
+
+  return { birds, degraded: entry.degraded };
+}
+
+/**
+ * Gets hotspot layer statistics
+ * @returns {Object} Cache sizes and counters for the admin cache stats
+ */
+function getHotspotStats() {
+  return {
+    cells: { ...hotspotCells.getStats(), cellZoom: CELL_ZOOM },
+    recentSightings: recentSightings.getStats()
+  };
+}
+
+module.exports = {
+  isValidLocationId,
+  getHotspotsForViewport,
+  getHotspotRecentSightings,
+  getHotspotStats
+};
@@ -0,0 +1,107 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Every recent notable sighting in an eBird region (country,
+ * state or county), from eBird's region notable observations query. Results
+ * are cached per region code, apart from the tile cache, so the map's region
+ * mode isn't limited to the viewport.
+ *
+ * Dependencies: debug.js, serverConstants.js, cellCache.js,
+ * birdDataService.js, ebirdClient.js
+ */
+
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+const { createCellCache } = require('../utils/cellCache');
+const { compressBirdData } = require('./birdDataService');
+const { fetchRegionNotableObservations } = require('./ebirdClient');
+
+const { TTL_MINUTES, MAX_ENTRIES } = constants.REGION_NOTABLE;
+const ERROR_RETRY = constants.CACHE.ERROR_RETRY_MINUTES * 60 * 1000;
+const MAX_BACK_DAYS = constants.API.MAX_BACK_DAYS;
+const MAX_RESULTS = constants.EBIRD.MAX_RESULTS;
+
+// eBird region codes: a country, optionally followed by subnational1 and
+// subnational2 parts (e.g., "US", "US-CA", "US-CA-087")
+const REGION_CODE_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3}){0,2}$/;
+
+// Cached notable sightings keyed by region code
+const regionSightings = createCellCache({
+  name: 'Region notable',
+  ttlMs: TTL_MINUTES * 60 * 1000,
+  retryMs: ERROR_RETRY,
+  maxEntries: MAX_ENTRIES
+});
+
+/**
+ * Checks whether a string is an eBird region code
+ * @param {string} regionCode - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidRegionCode(regionCode) {
+  return typeof regionCode === 'string' && REGION_CODE_PATTERN.test(regionCode);
+}
+
+/**
+ * Gets every recent notable sighting in a region
+ * Fetched for the longest supported period; callers narrow it with filters.
+ * @async
+ * @param {string} regionCode - Validated eBird region code
+ * @returns {Promise<{birds: Array, metadata: Object}>} Sightings (one per
+ *   species and location), plus metadata saying whether eBird's record limit
+ *   cut the list short or only an old copy (or nothing) could be served
+ */
+async function getRegionNotableSightings(regionCode) {
+  const entry = await regionSightings.getCell(regionCode, async () => {
+    debug.info(`Fetching notable sightings for region ${regionCode}`);
+    const observations = await fetchRegionNotableObservations(regionCode, {
+      back: MAX_BACK_DAYS,
+      maxResults: MAX_RESULTS
+    });
+
+    return {
+      data: compressBirdData(observations).map(bird => ({ ...bird, isNotable: true })),
+      truncated: observations.length >= MAX_RESULTS
+    };
+  });
+
+  debug.info(`Region ${regionCode}: ${entry.data.length} notable sightings`);
+
+  return {
+    birds: entry.data,
+    metadata: {
+      regionCode,
+      truncated: !!entry.truncated,
+      degraded: entry.degraded,
+      unavailable: entry.unavailable
+    }
+  };
+}
+
+/**
+ * Gets region notable cache statistics
+ * @returns {Object} Cache size and counters for the admin cache stats
+ */
+function getRegionNotableStats() {
+  return regionSightings.getStats();
+}
+
+module.exports = {
+  isValidRegionCode,
+  getRegionNotableSightings,
+  getRegionNotableStats
+};
@@ -0,0 +1,207 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Sightings of a single species over a wide area, from eBird's
+ * per-species recent observations geo query. A species query returns only that
+ * species, so one search circle covers far more ground than a general tile
+ * without hitting eBird's record limit. Results are cached per species in
+ * coarse cells, separately from the general tile cache.
+ *
+ * Dependencies: debug.js, serverConstants.js, tileGrid.js, viewportUtils.js,
+ * cacheManager.js, cellCache.js, birdDataService.js, ebirdClient.js
+ */
+
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+const {
+  getTileIdsInBounds,
+  getTileCenter,
+  getTileRadiusKm,
+  getTileZoom,
+  getChildTileIds
+} = require('../utils/tileGrid');
+const { splitViewportAtAntimeridian } = require('../utils/viewportUtils');
+const { clipDataToTile } = require('../utils/cacheManager');
+const { createCellCache } = require('../utils/cellCache');
+const { compressBirdData } = require('./birdDataService');
+const { fetchGeoObservations } = require('./ebirdClient');
+
+const { CELL_ZOOM, TTL_MINUTES, MAX_ENTRIES } = constants.SPECIES_LAYER;
+const TTL = TTL_MINUTES * 60 * 1000;
+const ERROR_RETRY = constants.CACHE.ERROR_RETRY_MINUTES * 60 * 1000;
+const ROOT_ZOOM = constants.TILES.ROOT_ZOOM;
+const MAX_ZOOM = constants.TILES.MAX_ZOOM;
+const RADIUS_BUFFER = constants.TILES.RADIUS_BUFFER;
+const MAX_DIST_KM = constants.EBIRD.MAX_DIST_KM;
+const MAX_RESULTS = constants.EBIRD.MAX_RESULTS;
+const MAX_BACK_DAYS = constants.API.MAX_BACK_DAYS;
+const MAX_PARALLEL_REQUESTS = constants.API.MAX_PARALLEL_REQUESTS;
+
+// Cached cells keyed by "speciesCode/z/x/y"
+const speciesCells = createCellCache({
+  name: 'Species layer',
+  ttlMs: TTL,
+  retryMs: ERROR_RETRY,
+  maxEntries: MAX_ENTRIES
+});
+
+/**
+ * Queries eBird for a species in one cell
+ * Cells too large for one search circle, or whose response hit the record
+ * limit, are queried as their four children and the results combined.
+ * @async
+ * @param {string} speciesCode - eBird species code
+ * @param {string} cellId - Cell tile ID (z/x/y)
+ * @returns {Promise<{data: Array, truncated: boolean}>} Sightings clipped to the cell
+ */
+async function querySpeciesCell(speciesCode, cellId) {
+  const zoom = getTileZoom(cellId);
+  const radius = getTileRadiusKm(cellId) * RADIUS_BUFFER;
+
+  if (radius > MAX_DIST_KM && zoom < ROOT_ZOOM) {
+    return querySpeciesCellChildren(speciesCode, cellId);
+  }
+
+  const center = getTileCenter(cellId);
+  const observations = await fetchGeoObservations({
+    lat: center.lat,
+    lng: center.lng,
+    dist: Math.min(radius, MAX_DIST_KM),
+    back: MAX_BACK_DAYS,
+    species: speciesCode,
+    maxResults: MAX_RESULTS
+  });
+
+  const truncated = observations.length >= MAX_RESULTS;
+  if (truncated && zoom < MAX_ZOOM) {
+    debug.warn(`Species ${speciesCode} cell ${cellId} hit eBird's ${MAX_RESULTS} record limit, re-querying as zoom ${zoom + 1} cells`);
+    return querySpeciesCellChildren(speciesCode, cellId);
+  }
+
+  return {
+    data: clipDataToTile(compressBirdData(observations), cellId),
+    truncated
+  };
+}
+
+/**
+ * Queries the four children of a cell and combines their sightings
+ * @async
+ * @param {string} speciesCode - eBird species code
+ * @param {string} cellId - Cell tile ID (z/x/y)
+ * @returns {Promise<{data: Array, truncated: boolean}>} Sightings for the whole cell
+ */
+async function querySpeciesCellChildren(speciesCode, cellId) {
+  const results = await Promise.all(getChildTileIds(cellId).map(childId => querySpeciesCell(speciesCode, childId)));
+
+  return {
+    data: results.flatMap(result => result.data),
+    truncated: results.some(result => result.truncated)
+  };
+}
+
+/**
+ * Gets a species cell from the cache, fetching it from eBird when missing or expired
+ * @param {string} speciesCode - eBird species code
+ * @param {string} cellId - Cell tile ID (z/x/y)
+ * @returns {Promise<Object>} Cell entry {data, truncated, fetchedAt, expires, degraded, unavailable}
+ */
+function getSpeciesCell(speciesCode, cellId) {
+  return speciesCells.getCell(`${speciesCode}/${cellId}`, () => {
+    debug.info(`Fetching species ${speciesCode} for cell ${cellId}`);
+    return querySpeciesCell(speciesCode, cellId);
+  });
+}
+
+/**
+ * Gets the cells covering a viewport
+ * @param {Object} viewport - Viewport bounds (minLng greater than maxLng crosses the antimeridian)
+ * @returns {string[]} Cell tile IDs
+ */
+function getCellsForViewport(viewport) {
+  const bounds = {
+    minLat: parseFloat(viewport.minLat),
+    maxLat: parseFloat(viewport.maxLat),
+    minLng: parseFloat(viewport.minLng),
+    maxLng: parseFloat(viewport.maxLng)
+  };
+
+  return Array.from(new Set(
+    splitViewportAtAntimeridian(bounds).flatMap(part => getTileIdsInBounds(part, CELL_ZOOM))
+  ));
+}
+
+/**
+ * Gets every recent sighting of a species in a viewport
+ * Whole cells are returned, so the sightings may reach a little past the viewport.
+ * @async
+ * @param {string} speciesCode - eBird species code
+ * @param {Object} viewport - Validated viewport bounds
+ * @returns {Promise<{birds: Array, metadata: Object}>} Sightings, plus metadata
+ *   with the cells covered and any degraded or truncated cells
+ */
+async function getSpeciesSightings(speciesCode, viewport) {
+  const startTime = Date.now();
+  const cellIds = getCellsForViewport(viewport);
+
+  const entries = [];
+  for (let i = 0; i < cellIds.length; i += MAX_PARALLEL_REQUESTS) {
+    const batch = cellIds.slice(i, i + MAX_PARALLEL_REQUESTS);
+    entries.push(...await Promise.all(batch.map(cellId => getSpeciesCell(speciesCode, cellId))));
+  }
+
+  const birds = entries.flatMap(entry => entry.data);
+  const degradedCells = [];
+  const truncatedCells = [];
+  entries.forEach((entry, index) => {
+    if (entry.degraded) {
+      degradedCells.push({ tileId: cellIds[index], status: entry.unavailable ? 'unavailable' : 'stale' });
+    }
+    if (entry.truncated) {
+      truncatedCells.push(cellIds[index]);
+    }
+  });
+
+  debug.info(`Species ${speciesCode}: ${birds.length} sightings in ${cellIds.length} cells in ${Date.now() - startTime}ms`);
+
+  return {
+    birds,
+    metadata: {
+      speciesCode,
+      cellZoom: CELL_ZOOM,
+      cellCount: cellIds.length,
+      degradedTiles: degradedCells,
+      truncatedTiles: truncatedCells
+    }
+  };
+}
+
+/**
+ * Gets species layer statistics
+ * @returns {Object} Cache size and counters for the admin cache stats
+ */
+function getSpeciesLayerStats() {
+  return {
+    ...speciesCells.getStats(),
+    cellZoom: CELL_ZOOM
+  };
+}
+
+module.exports = {
+  getSpeciesSightings,
+  getSpeciesLayerStats
+};
@@ -0,0 +1,193 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Pushes live tile updates to clients over Server-Sent Events.
+ * When a tile a client holds is refreshed with different data or split, the
+ * client is told so it can fetch the new version without the user panning,
+ * along with any notable sightings the refresh brought in.
+ *
+ * Dependencies: debug.js, serverConstants.js, cacheManager.js
+ */
+
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+const { onTileUpdate, keepClientAlive } = require('../utils/cacheManager');
+
+const HEARTBEAT_INTERVAL = constants.UPDATES.HEARTBEAT_SECONDS * 1000;
+const MAX_STREAMS = constants.UPDATES.MAX_STREAMS;
+
+// Open streams: clientId -> Set of responses (a client may reconnect before its old stream closes)
+const clientStreams = new Map();
+let streamCount = 0;
+
+// Keep-alive timer, running only while streams are open
+let heartbeatTimer = null;
+
+// Stream counters
+let streamsOpened = 0;
+let streamsRejected = 0;
+let eventsSent = 0;
+
+/**
+ * Writes one event to a stream
+ * @param {Object} res - Express response for the stream
+ * @param {Object} event - Event data, with a `type`
+ */
+function writeEvent(res, event) {
+  if (res.destroyed) return;
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+  eventsSent++;
+}
+
+/**
+ * Sends an event to every stream a client has open
+ * @param {string} clientId - Client identifier
+ * @param {Object} event - Event data, with a `type`
+ * @returns {boolean} True if the client has a stream open
+ */
+function sendToClient(clientId, event) {
+  const streams = clientStreams.get(clientId);
+  if (!streams) return false;
+
+  for (const res of streams) {
+    writeEvent(res, event);
+  }
+  return true;
+}
+
+/**
+ * Sends a keep-alive comment on every stream and keeps connected clients from
+ * being expired as idle, since they may not request tiles for a long time
+ */
+function sendHeartbeats() {
+  for (const [clientId, streams] of clientStreams) {
+    keepClientAlive(clientId);
+    for (const res of streams) {
+      if (!res.destroyed) res.write(': keep-alive\n\n');
+    }
+  }
+}
+
+/**
+ * Opens an update stream for a client
+ * Responds 503 if MAX_STREAMS streams are already open. The stream stays open
+ * until the client disconnects.
+ * @param {string} clientId - Client identifier, as sent with viewport requests
+ * @param {Object} res - Express response
+ */
+function openUpdateStream(clientId, res) {
+  if (streamCount >= MAX_STREAMS) {
+    streamsRejected++;
+    debug.warn(`Update stream limit of ${MAX_STREAMS} reached, turning away client ${clientId}`);
+    res.status(503).json({ error: 'Too many update streams open, try again later' });
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Ask proxies such as nginx not to buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  if (!clientStreams.has(clientId)) {
+    clientStreams.set(clientId, new Set());
+  }
+  clientStreams.get(clientId).add(res);
+  streamCount++;
+  streamsOpened++;
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(sendHeartbeats, HEARTBEAT_INTERVAL);
+    heartbeatTimer.unref();
+  }
+
+  res.on('close', () => {
+    const streams = clientStreams.get(clientId);
+    if (streams && streams.delete(res)) {
+      streamCount--;
+      if (streams.size === 0) clientStreams.delete(clientId);
+    }
+    if (streamCount === 0 && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+    debug.info(`Update stream closed for client ${clientId} (${streamCount} open)`);
+  });
+
+  debug.info(`Update stream opened for client ${clientId} (${streamCount} open)`);
+  writeEvent(res, { type: 'connected', clientId, message: 'Listening for tile updates' });
+}
+
+/**
+ * Tells clients holding a tile that it changed
+ * @param {Object} update - Tile update from cacheManager (see onTileUpdate)
+ */
+function handleTileUpdate(update) {
+  if (clientStreams.size === 0 || update.clientIds.length === 0) return;
+
+  const newNotable = update.newNotable.map(bird => ({
+    speciesCode: bird.speciesCode,
+    comName: bird.comName,
+    sciName: bird.sciName,
+    howMany: bird.howMany,
+    obsDt: bird.obsDt,
+    locId: bird.locId,
+    locName: bird.locName,
+    lat: bird.lat,
+    lng: bird.lng,
+    subIds: bird.subIds || []
+  }));
+
+  let notifiedClients = 0;
+  for (const clientId of update.clientIds) {
+    if (!sendToClient(clientId, { type: 'tileUpdate', tileId: update.tileId, reason: update.reason })) continue;
+    notifiedClients++;
+
+    if (newNotable.length > 0) {
+      sendToClient(clientId, { type: 'newNotable', tileId: update.tileId, sightings: newNotable });
+    }
+  }
+
+  if (notifiedClients > 0) {
+    debug.info(`Sent ${update.reason} of tile ${update.tileId} to ${notifiedClients} clients${newNotable.length > 0 ? ` with ${newNotable.length} new notable sightings` : ''}`);
+  }
+}
+
+onTileUpdate(handleTileUpdate);
+
+/**
+ * Gets update stream statistics
+ * @returns {Object} Stream counts for the admin client tracking report
+ */
+function getUpdateStreamStats() {
+  return {
+    openStreams: streamCount,
+    connectedClients: clientStreams.size,
+    maxStreams: MAX_STREAMS,
+    streamsOpened,
+    streamsRejected,
+    eventsSent
+  };
+}
+
+module.exports = {
+  openUpdateStream,
+  getUpdateStreamStats
+};
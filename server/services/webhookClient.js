@@ -0,0 +1,310 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Delivers JSON payloads to user-supplied webhook URLs. Webhook
+ * hosts are resolved before every delivery and refused if they point at
+ * loopback, private or otherwise internal addresses, so alerts can't be used
+ * to reach services behind the server. Deliveries connect to the addresses that
+ * were checked, so a host can't switch to an internal address in between.
+ *
+ * Dependencies: debug.js, serverConstants.js, node-fetch, dns, net, http, https
+ */
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { debug } = require('../utils/debug');
+const constants = require('../utils/serverConstants');
+
+const { WEBHOOK_TIMEOUT_MS, ALLOW_PRIVATE_WEBHOOKS } = constants.ALERTS;
+
+// Address ranges that aren't reachable on the public internet, as [address, prefix length, family]
+const INTERNAL_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],        // "This" network
+  ['10.0.0.0', 8, 'ipv4'],       // Private
+  ['100.64.0.0', 10, 'ipv4'],    // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],      // Loopback
+  ['169.254.0.0', 16, 'ipv4'],   // Link-local (includes cloud metadata services)
+  ['172.16.0.0', 12, 'ipv4'],    // Private
+  ['192.0.0.0', 24, 'ipv4'],     // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],   // Private
+  ['198.18.0.0', 15, 'ipv4'],    // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'],      // Multicast
+  ['240.0.0.0', 4, 'ipv4'],      // Reserved and broadcast
+  ['fc00::', 7, 'ipv6'],         // Unique local
+  ['fe80::', 10, 'ipv6'],        // Link-local
+  ['ff00::', 8, 'ipv6']          // Multicast
+];
+
+const internalAddresses = new net.BlockList();
+for (const [address, prefixLength, family] of INTERNAL_RANGES) {
+  internalAddresses.addSubnet(address, prefixLength, family);
+}
+
+// Delivery counters
+let deliveries = 0;
+let failedDeliveries = 0;
+let blockedDeliveries = 0;
+
+/**
+ * Converts a dotted IPv4 address to a 32-bit number
+ * @param {string} address - IPv4 address
+ * @returns {number} Address as an unsigned integer
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + parseInt(octet, 10), 0);
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups
+ * Handles "::" shorthand, a trailing dotted IPv4 part and zone IDs.
+ * @param {string} address - IPv6 address
+ * @returns {number[]} Eight group values
+ */
+function getIpv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+
+  // A trailing dotted IPv4 part (::ffff:10.0.0.1) stands for the last two groups
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[2]);
+    text = `${dotted[1]}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeroGroups = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...zeroGroups, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Gets the IPv4 address carried inside an IPv6 address, if it has one
+ * URL parsing rewrites [::ffff:169.254.169.254] as [::ffff:a9fe:a9fe], so the
+ * embedded address is read from the groups rather than matched as text.
+ * Covers IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96, which includes
+ * :: and ::1), NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses.
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Dotted IPv4 address, or null if none is embedded
+ */
+function getEmbeddedIpv4(address) {
+  const groups = getIpv6Groups(address);
+  const toIpv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeroUntil = count => groups.slice(0, count).every(group => group === 0);
+
+  if (zeroUntil(5) && (groups[5] === 0xffff || groups[5] === 0)) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return toIpv4(groups[1], groups[2]);
+  }
+  return null;
+}
+
+/**
+ * Checks whether an IP address is loopback, private or otherwise internal
+ * IPv6 addresses that embed an IPv4 address are judged by that address, since
+ * they can reach it through the kernel, a NAT64 gateway or a 6to4 relay.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be used for webhooks
+ */
+function isInternalAddress(address) {
+  if (net.isIPv4(address)) {
+    return internalAddresses.check(address, 'ipv4');
+  }
+
+  if (net.isIPv6(address)) {
+    const embedded = getEmbeddedIpv4(address);
+    if (embedded) return isInternalAddress(embedded);
+
+    return internalAddresses.check(address.split('%')[0], 'ipv6');
+  }
+
+  return true;
+}
+
+/**
+ * Checks a webhook URL and resolves its host
+ * @async
+ * @param {string} webhookUrl - URL to check
+ * @returns {Promise<{problem: string|null, addresses: Array<{address: string, family: number}>|null}>}
+ *   Reason the URL can't be used, or the public addresses it resolved to (null
+ *   when private webhooks are allowed and the host is left to the normal lookup)
+ */
+async function resolveWebhookUrl(webhookUrl) {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return { problem: 'Webhook URL is not a valid URL', addresses: null };
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { problem: 'Webhook URL must use http or https', addresses: null };
+  }
+  if (url.username || url.password) {
+    return { problem: 'Webhook URL must not contain credentials', addresses: null };
+  }
+  if (ALLOW_PRIVATE_WEBHOOKS) {
+    return { problem: null, addresses: null };
+  }
+
+  // Resolve the host so names pointing at internal addresses are caught too
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    return { problem: `Webhook host ${hostname} could not be resolved`, addresses: null };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isInternalAddress(address))) {
+    return { problem: `Webhook host ${hostname} is on a private network`, addresses: null };
+  }
+
+  return { problem: null, addresses };
+}
+
+/**
+ * Checks that a webhook URL is well formed and points at a public host
+ * @async
+ * @param {string} webhookUrl - URL to check
+ * @returns {Promise<string|null>} Reason the URL can't be used, or null if it's fine
+ */
+async function checkWebhookUrl(webhookUrl) {
+  const { problem } = await resolveWebhookUrl(webhookUrl);
+  return problem;
+}
+
+/**
+ * Creates an HTTP agent whose connections only go to already checked addresses
+ * The agent answers its own DNS lookups from the list, so the connection can't
+ * land on an address the host was changed to after the check. TLS still
+ * verifies the certificate against the URL's hostname.
+ * @param {string} protocol - URL protocol ('http:' or 'https:')
+ * @param {Array<{address: string, family: number}>} addresses - Checked addresses
+ * @returns {http.Agent} Agent for a single delivery
+ */
+function createPinnedAgent(protocol, addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const family = typeof options === 'number' ? options : options.family;
+    const matching = family ? addresses.filter(entry => entry.family === family) : addresses;
+    if (matching.length === 0) {
+      const error = new Error(`No checked IPv${family} address for ${hostname}`);
+      error.code = 'ENOTFOUND';
+      return callback(error);
+    }
+
+    if (options.all) {
+      callback(null, matching.map(({ address, family: addressFamily }) => ({ address, family: addressFamily })));
+    } else {
+      callback(null, matching[0].address, matching[0].family);
+    }
+  };
+
+  return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+/**
+ * Posts a JSON payload to a webhook
+ * The URL is checked again first, since a host's addresses can change after
+ * an alert is saved, and the request goes to the addresses that were checked.
+ * Redirects are not followed and the receiver's response body is discarded.
+ * @async
+ * @param {string} webhookUrl - Webhook URL
+ * @param {Object} payload - JSON-serializable payload
+ * @returns {Promise<number>} HTTP status of the successful delivery
+ * @throws {Error} If the URL is refused, the request fails or times out, or the
+ *   receiver doesn't answer with a 2xx status
+ */
+async function deliverWebhook(webhookUrl, payload) {
+  const { problem, addresses } = await resolveWebhookUrl(webhookUrl);
+  if (problem) {
+    blockedDeliveries++;
+    throw new Error(problem);
+  }
+
+  const agent = addresses ? createPinnedAgent(new URL(webhookUrl).protocol, addresses) : undefined;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  let response = null;
+
+  try {
+    response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'bird-sightings-map-alerts'
+      },
+      body: JSON.stringify(payload),
+      redirect: 'manual',
+      agent,
+      signal: controller.signal
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+
+    deliveries++;
+    debug.info(`Delivered webhook to ${new URL(webhookUrl).host} (HTTP ${response.status})`);
+    return response.status;
+  } catch (error) {
+    failedDeliveries++;
+    if (error.name === 'AbortError') {
+      throw new Error(`Webhook timed out after ${WEBHOOK_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+    // Nothing is read from the body, so release the connection instead of leaving it open
+    if (response && response.body) response.body.destroy();
+    if (agent) agent.destroy();
+  }
+}
+
+/**
+ * Gets webhook delivery statistics
+ * @returns {Object} Delivery counters
+ */
+function getWebhookStats() {
+  return {
+    deliveries,
+    failedDeliveries,
+    blockedDeliveries,
+    allowPrivateWebhooks: ALLOW_PRIVATE_WEBHOOKS
+  };
+}
+
+module.exports = {
+  checkWebhookUrl,
+  deliverWebhook,
+  isInternalAddress,
+  getWebhookStats
+};
@@ -77,7 +77,7 @@ async function testTileCaching() {
   
   // Set up the SSE connection for tile updates
   console.log('\n=== Setting up SSE connection for tile updates ===');
-  setupTileUpdatesListener(clientId);
+  const tileUpdates = setupTileUpdatesListener(clientId);
   
   // Now test actual data fetching - first call should populate cache
   console.log('\n=== Testing data fetching (cold cache) ===');
@@ -94,6 +94,8 @@ async function testTileCaching() {
   
   // Get cache stats at the end
   await getCacheStats();
+  
+  tileUpdates.abort();
 }
 
 /**
@@ -193,69 +195,57 @@ async function fetchBirdData(viewport) {
 /**
  * Sets up an SSE connection to listen for tile updates
  * @param {string} clientId - Client ID for the SSE connection
+ * @returns {AbortController} Abort it to close the connection
  */
 function setupTileUpdatesListener(clientId) {
-  try {
-    // We're not using a real EventSource here since this is Node.js
-    // Instead, we'll manually set up a streaming connection
-    const url = `${SERVER_URL}/api/birds/tile-updates?clientId=${clientId}`;
-    console.log(`Setting up SSE connection: ${url}`);
+  const controller = new AbortController();
+  
+  // We're not using a real EventSource here since this is Node.js
+  // Instead, we'll manually read the streaming response
+  const url = `${SERVER_URL}/api/birds/updates?clientId=${clientId}`;
+  console.log(`Setting up SSE connection: ${url}`);
+  
+  (async () => {
+    const response = await fetch(url, { signal: controller.signal });
     
-    // Make a request to the SSE endpoint
-    fetch(url)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        
-        console.log('SSE connection established');
-        
-        // Process the streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        
-        function processEvents() {
-          reader.read().then(({ done, value }) => {
-            if (done) {
-              console.log('SSE connection closed');
-              return;
-            }
-            
-            // Decode and append to buffer
-            buffer += decoder.decode(value, { stream: true });
-            
-            // Process complete events in buffer
-            const events = buffer.split('\n\n');
-            buffer = events.pop() || ''; // Keep the last incomplete event in the buffer
-            
-            for (const event of events) {
-              if (event.startsWith('data: ')) {
-                const data = event.slice(6); // Remove 'data: ' prefix
-                try {
-                  const parsedData = JSON.parse(data);
-                  handleTileUpdate(parsedData);
-                } catch (e) {
-                  console.error('Error parsing SSE data:', e);
-                }
-              }
-            }
-            
-            // Continue reading
-            processEvents();
-          }).catch(err => {
-            console.error('Error reading SSE stream:', err);
-          });
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    
+    console.log('SSE connection established');
+    
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for await (const chunk of response.body) {
+      // Decode and append to buffer
+      buffer += decoder.decode(chunk, { stream: true });
+      
+      // Process complete events in buffer
+      const events = buffer.split('\n\n');
+      buffer = events.pop() || ''; // Keep the last incomplete event in the buffer
+      
+      for (const event of events) {
+        // Lines starting with ':' are keep-alive comments
+        if (event.startsWith('data: ')) {
+          const data = event.slice(6); // Remove 'data: ' prefix
+          try {
+            handleTileUpdate(JSON.parse(data));
+          } catch (e) {
+            console.error('Error parsing SSE data:', e);
+          }
         }
-        
-        processEvents();
-      })
-      .catch(error => {
-        console.error('Error setting up SSE connection:', error);
-      });
-  } catch (error) {
-    console.error('Error setting up tile updates listener:', error);
-  }
+      }
+    }
+    
+    console.log('SSE connection closed');
+  })().catch(error => {
+    if (error.name !== 'AbortError') {
+      console.error('Error reading SSE stream:', error);
+    }
+  });
+  
+  return controller;
 }
 
 /**
@@ -270,17 +260,18 @@ function handleTileUpdate(data) {
   
   if (data.type === 'tileUpdate') {
     console.log('\n=== Received Tile Update ===');
-    console.log(`Completed Tiles: ${data.data.completedTileIds.length}`);
+    console.log(`Tile ${data.tileId} changed (${data.reason})`);
     
-    if (data.data.isComplete) {
-      console.log('All background tiles completed!');
-    } else {
-      console.log(`Batch ${data.data.batchNumber}/${data.data.totalBatches} completed`);
-      console.log(`Remaining tiles: ${data.data.remainingTileIds.length}`);
+    // Here in a real client you would fetch the viewport again with its tile digest
+    console.log('Would refresh the tile on the map here...');
+    return;
+  }
+  
+  if (data.type === 'newNotable') {
+    console.log('\n=== Received New Notable Sightings ===');
+    for (const sighting of data.sightings) {
+      console.log(`${sighting.comName} at ${sighting.locName || `${sighting.lat},${sighting.lng}`} (${sighting.obsDt})`);
     }
-    
-    // Here in a real client you would refresh the map with the new data
-    console.log('Would update map display with new data here...');
   }
 }
 
@@ -302,7 +293,7 @@ async function getCacheStats() {
     console.log('Total entries:', stats.totalEntries);
     console.log('Viewport cache:', stats.viewportCache.totalEntries, 'entries');
     console.log('Tile cache:', stats.tileCache.totalEntries, 'entries');
-    console.log('Tile size:', stats.cacheConfig.tileSizeKm, 'km');
+    console.log('Tile zoom:', stats.cacheConfig.rootZoom, 'to', stats.cacheConfig.maxZoom);
     console.log('Approx. memory usage:', Math.round(stats.totalSizeBytes / 1024), 'KB');
     
   } catch (error) {
@@ -0,0 +1,193 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for rare bird alerts, checked against a local stand-in for
+ * the eBird API and delivered to a local webhook receiver.
+ *
+ * Dependencies: node:test, alertService.js, cacheManager.js, http, fs, os, path
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sightings the eBird stand-in reports, or null while it is failing
+let ebirdSightings = [];
+
+// Payloads posted to the webhook receiver
+const deliveries = [];
+
+const ebirdServer = http.createServer((req, res) => {
+  if (ebirdSightings === null) {
+    res.writeHead(503);
+    return res.end('unavailable');
+  }
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(ebirdSightings));
+});
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    deliveries.push(JSON.parse(body));
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+let alertService;
+let cacheManager;
+let webhookUrl;
+
+/**
+ * Builds a notable sighting inside the test area
+ * @param {string} speciesCode - Species code
+ * @param {string} subId - Checklist ID
+ * @returns {Object} eBird observation
+ */
+const sighting = (speciesCode, subId) => ({
+  speciesCode,
+  comName: speciesCode,
+  sciName: speciesCode,
+  locId: 'L1',
+  locName: 'Test Marsh',
+  obsDt: '2025-05-01 08:00',
+  howMany: 1,
+  lat: 37.72,
+  lng: -122.42,
+  obsValid: true,
+  obsReviewed: false,
+  locationPrivate: false,
+  subId
+});
+
+const area = { minLat: 37.7, maxLat: 37.75, minLng: -122.45, maxLng: -122.4 };
+
+/**
+ * Runs a scheduled check against freshly fetched eBird data
+ * @async
+ * @returns {Promise<number>} Sightings delivered
+ */
+async function checkWithFreshData() {
+  cacheManager.clearAll();
+  return alertService.checkAllAlerts();
+}
+
+test.before(async () => {
+  await new Promise(resolve => ebirdServer.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  Object.assign(process.env, {
+    EBIRD_API_KEY: 'test',
+    EBIRD_API_BASE_URL: `http://127.0.0.1:${ebirdServer.address().port}`,
+    EBIRD_MAX_RETRIES: '1',
+    EBIRD_RETRY_BASE_DELAY_MS: '10',
+    EBIRD_RETRY_MAX_DELAY_MS: '20',
+    EBIRD_CIRCUIT_FAILURE_THRESHOLD: '1000',
+    ALERTS_ALLOW_PRIVATE_WEBHOOKS: 'true',
+    ALERTS_MAX_PER_CLIENT: '2',
+    ALERTS_STORE_PATH: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-')), 'alerts.json')
+  });
+  alertService = require('../services/alertService');
+  cacheManager = require('../utils/cacheManager');
+});
+
+test.after(async () => {
+  await new Promise(resolve => ebirdServer.close(resolve));
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+test('an alert delivers only sightings reported after its first check', async () => {
+  ebirdSightings = [sighting('vagrant1', 'S1')];
+  const { alert } = await alertService.createAlert({ area, webhookUrl }, '198.51.100.1');
+
+  assert.strictEqual(await checkWithFreshData(), 0);
+  assert.strictEqual(alertService.getAlert(alert.id).baselined, true);
+  assert.strictEqual(deliveries.length, 0);
+
+  ebirdSightings = [sighting('vagrant1', 'S1'), sighting('vagrant2', 'S2')];
+  assert.strictEqual(await checkWithFreshData(), 1);
+  assert.strictEqual(deliveries.length, 1);
+  assert.deepStrictEqual(deliveries[0].sightings.map(bird => bird.speciesCode), ['vagrant2']);
+  assert.strictEqual(deliveries[0].alert.id, alert.id);
+
+  alertService.deleteAlert(alert.id);
+  deliveries.length = 0;
+});
+
+test('checks are skipped while eBird data for the area is missing', async () => {
+  ebirdSightings = null;
+  const { alert } = await alertService.createAlert({ area, webhookUrl }, '198.51.100.2');
+
+  assert.strictEqual(await checkWithFreshData(), 0);
+  const skipped = alertService.getAlert(alert.id);
+  assert.strictEqual(skipped.baselined, false);
+  assert.match(skipped.lastError, /could not all be loaded/);
+
+  // Sightings that were hidden by the outage are part of the baseline, not new
+  ebirdSightings = [sighting('vagrant1', 'S1')];
+  assert.strictEqual(await checkWithFreshData(), 0);
+  const checked = alertService.getAlert(alert.id);
+  assert.strictEqual(checked.baselined, true);
+  assert.strictEqual(checked.lastError, null);
+  assert.strictEqual(deliveries.length, 0);
+
+  alertService.deleteAlert(alert.id);
+});
+
+test('each client address can only keep a few alerts', async () => {
+  ebirdSightings = [];
+  const body = { area, webhookUrl };
+
+  assert.ok((await alertService.createAlert(body, '198.51.100.3')).alert);
+  assert.ok((await alertService.createAlert(body, '198.51.100.3')).alert);
+  const refused = await alertService.createAlert(body, '198.51.100.3');
+  assert.strictEqual(refused.status, 429);
+
+  const created = await alertService.createAlert(body, '198.51.100.4');
+  assert.ok(created.alert);
+  assert.strictEqual(created.alert.ownerHash, undefined);
+});
+
+test('IPv6 webhook hosts that embed an internal IPv4 address count as internal', () => {
+  const { isInternalAddress } = require('../services/webhookClient');
+  const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  // URL parsing turns the dotted form into hex groups
+  assert.strictEqual(hostOf('http://[::ffff:169.254.169.254]/'), '::ffff:a9fe:a9fe');
+
+  for (const url of [
+    'http://[::ffff:169.254.169.254]/',
+    'http://[::ffff:127.0.0.1]/x',
+    'http://[::10.0.0.1]/',
+    'http://[::1]/',
+    'http://[64:ff9b::192.168.0.1]/',
+    'http://[2002:a9fe:a9fe::1]/',
+    'http://[fd00::1]/'
+  ]) {
+    assert.strictEqual(isInternalAddress(hostOf(url)), true, url);
+  }
+
+  for (const url of ['http://[::ffff:8.8.8.8]/', 'http://[64:ff9b::8.8.8.8]/', 'http://[2002:808:808::1]/', 'http://[2606:4700::1111]/']) {
+    assert.strictEqual(isInternalAddress(hostOf(url)), false, url);
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for how fetched eBird observations are compressed into
+ * sightings and how tiles are fetched from a local stand-in for the eBird API.
+ *
+ * Dependencies: node:test, birdDataService.js, cacheManager.js, tileGrid.js, http
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// A full-detail eBird observation
+const observation = {
+  speciesCode: 'mallar3',
+  comName: 'Mallard',
+  sciName: 'Anas platyrhynchos',
+  locId: 'L1',
+  locName: 'Test Pond',
+  obsDt: '2025-05-01 08:00',
+  howMany: 4,
+  lat: 37.72,
+  lng: -122.42,
+  obsValid: true,
+  obsReviewed: false,
+  locationPrivate: false,
+  exoticCategory: 'N',
+  subId: 'S1',
+  userDisplayName: 'A. Birder',
+  subnational1Code: 'US-CA',
+  countryName: 'United States'
+};
+
+const MAX_RESULTS = 5;
+const parentTileId = '10/163/395';
+
+// Queries made to the stand-in, as { path, lat, lng, dist }
+const requestLog = [];
+
+// Searches wider than this cover a whole root tile and are answered with a
+// response at the record limit; smaller ones get a single sighting
+let rootSearchKm = Infinity;
+
+const ebirdServer = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const query = {
+    path: url.pathname,
+    lat: parseFloat(url.searchParams.get('lat')),
+    lng: parseFloat(url.searchParams.get('lng')),
+    dist: parseFloat(url.searchParams.get('dist'))
+  };
+  requestLog.push(query);
+
+  const count = query.dist > rootSearchKm ? MAX_RESULTS : 1;
+  const observations = Array.from({ length: count }, (_, index) => ({
+    ...observation,
+    speciesCode: `sp${index}`,
+    lat: query.lat,
+    lng: query.lng,
+    subId: `S${requestLog.length}-${index}`
+  }));
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(observations));
+});
+
+let birdDataService;
+let cacheManager;
+let tileGrid;
+
+test.before(async () => {
+  await new Promise(resolve => ebirdServer.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    EBIRD_API_KEY: 'test',
+    EBIRD_API_BASE_URL: `http://127.0.0.1:${ebirdServer.address().port}`,
+    EBIRD_MAX_RESULTS: String(MAX_RESULTS),
+    EBIRD_MAX_RETRIES: '1'
+  });
+  birdDataService = require('../services/birdDataService');
+  cacheManager = require('../utils/cacheManager');
+  tileGrid = require('../utils/tileGrid');
+  rootSearchKm = tileGrid.getTileRadiusKm(parentTileId) * 0.75;
+});
+
+test.after(() => new Promise(resolve => ebirdServer.close(resolve)));
+
+test('compressed sightings keep the simple-detail fields and move reports into the history', () => {
+  const [bird] = birdDataService.compressBirdData([observation, { ...observation, obsDt: '2025-04-30 08:00', subId: 'S2' }]);
+
+  assert.strictEqual(bird.exoticCategory, 'N');
+  assert.strictEqual(bird.locationPrivate, false);
+  assert.deepStrictEqual(bird.subIds, ['S1', 'S2']);
+  assert.strictEqual(bird.userDisplayName, undefined);
+  assert.strictEqual(bird.countryName, undefined);
+  assert.deepStrictEqual(bird.checklists.map(entry => entry.subId), ['S1', 'S2']);
+  assert.strictEqual(bird.checklists[0].userDisplayName, 'A. Birder');
+});
+
+test('a tile whose response hits the record limit is split and its children are queried', async () => {
+  const center = tileGrid.getTileCenter(parentTileId);
+  const viewport = {
+    minLat: center.lat - 0.01,
+    maxLat: center.lat + 0.01,
+    minLng: center.lng - 0.01,
+    maxLng: center.lng + 0.01
+  };
+
+  const { birds } = await birdDataService.getBirdDataForViewport(viewport);
+
+  assert.strictEqual(cacheManager.tileCache.get(parentTileId).split, true);
+  assert.ok(birdDataService.getFetchStats().truncatedTileSplits >= 1);
+
+  for (const childId of tileGrid.getChildTileIds(parentTileId)) {
+    const childCenter = tileGrid.getTileCenter(childId);
+    const childQueries = requestLog.filter(query => query.lat === childCenter.lat && query.lng === childCenter.lng);
+    assert.deepStrictEqual(childQueries.map(query => query.path).sort(), [
+      '/data/obs/geo/recent',
+      '/data/obs/geo/recent/notable'
+    ]);
+    assert.ok(childQueries.every(query => query.dist <= rootSearchKm));
+
+    const childEntry = cacheManager.tileCache.get(childId);
+    assert.ok(childEntry && !childEntry.split, `${childId} is cached`);
+    assert.strictEqual(childEntry.data.length, 1);
+  }
+
+  // Only the children's sightings reach the viewport, none from the cut-off parent response
+  assert.ok(birds.length > 0);
+  assert.ok(birds.every(bird => bird.speciesCode === 'sp0'));
+});
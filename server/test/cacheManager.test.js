@@ -0,0 +1,81 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for the tile cache manager, using the in-memory store.
+ *
+ * Dependencies: node:test, cacheManager.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cacheManager = require('../utils/cacheManager');
+
+test('cache hits and misses are counted once per lookup', () => {
+  cacheManager.clearAll();
+  const before = cacheManager.getStats().metricsStats;
+
+  cacheManager.setTileCache('10/1/1', [{ speciesCode: 'amerob', obsDt: '2025-05-01 08:00', lat: 1, lng: 1 }]);
+  const missing = cacheManager.getMissingTiles(['10/1/1', '10/1/2'], {});
+  assert.deepStrictEqual(missing, [{ tileId: '10/1/2' }]);
+
+  // Checking again after a fetch and reading tiles out for the response don't count
+  cacheManager.getMissingTiles(['10/1/1', '10/1/2'], {}, { recordStats: false });
+  assert.strictEqual(cacheManager.getTileCache('10/1/1').length, 1);
+  assert.strictEqual(cacheManager.getTileCache('10/1/2'), null);
+
+  const after = cacheManager.getStats().metricsStats;
+  assert.strictEqual(after.cacheHits - before.cacheHits, 1);
+  assert.strictEqual(after.cacheMisses - before.cacheMisses, 1);
+});
+
+test('viewports crossing the antimeridian get tiles from both sides', () => {
+  cacheManager.clearAll();
+  const tileIds = cacheManager.getTilesForViewport({ minLat: -17.9, maxLat: -17.7, minLng: 179.9, maxLng: -179.9 });
+  const sides = tileIds.map(tileId => cacheManager.getTileBoundaries(tileId));
+
+  assert.ok(sides.some(bounds => bounds.maxLng === 180));
+  assert.ok(sides.some(bounds => bounds.minLng === -180));
+  assert.ok(sides.every(bounds => bounds.minLng >= 179 || bounds.maxLng <= -179));
+
+  // Split tiles on either side are descended into as usual
+  const westTileId = tileIds.find(tileId => cacheManager.getTileBoundaries(tileId).maxLng === 180);
+  cacheManager.setTileSplit(westTileId);
+  const afterSplit = cacheManager.getTilesForViewport({ minLat: -17.9, maxLat: -17.7, minLng: 179.9, maxLng: -179.9 });
+  assert.ok(!afterSplit.includes(westTileId));
+  assert.ok(afterSplit.some(tileId => tileId.startsWith('11/')));
+  assert.ok(afterSplit.some(tileId => cacheManager.getTileBoundaries(tileId).minLng === -180));
+});
+
+test('a tile digest asks only for missing tiles and tiles held in an old version', () => {
+  cacheManager.clearAll();
+  const bird = { speciesCode: 'amerob', obsDt: '2025-05-01 08:00', lat: 1, lng: 1 };
+  const tileIds = ['10/1/1', '10/1/2', '10/1/3'];
+  tileIds.forEach(tileId => cacheManager.setTileCache(tileId, [bird]));
+  const versions = cacheManager.getTileVersions(tileIds);
+
+  // 10/1/1 is current, 10/1/2 was refreshed since the client got it, 10/1/3 isn't held
+  const digest = `10/1/1@${versions['10/1/1']},10/1/2@old,not-a-tile@x`;
+  assert.deepStrictEqual(cacheManager.reconcileClientTiles('digest-client', tileIds, digest).sort(), ['10/1/2', '10/1/3']);
+  assert.deepStrictEqual(Array.from(cacheManager.activeClientTiles.get('digest-client').tiles), ['10/1/1']);
+
+  // Tiles held under different filters don't count as current
+  assert.deepStrictEqual(cacheManager.reconcileClientTiles(null, tileIds, digest, '~f1').sort(), tileIds);
+
+  // An empty digest asks for everything, and forgets what the client was thought to hold
+  assert.deepStrictEqual(cacheManager.reconcileClientTiles('digest-client', tileIds, '').sort(), tileIds);
+  assert.strictEqual(cacheManager.activeClientTiles.get('digest-client').tiles.size, 0);
+});
@@ -0,0 +1,112 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for the tile cache's file store.
+ *
+ * Dependencies: node:test, cacheStore.js, fs, os, path
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../utils/cacheStore');
+
+/**
+ * Creates a log path in a fresh temporary directory
+ * @returns {string} Log file path
+ */
+function tempLogPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tile-store-')), 'tiles.jsonl');
+}
+
+/**
+ * Reads the records in a log file
+ * @param {string} filePath - Log file path
+ * @returns {Object[]} Parsed records
+ */
+function readRecords(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const entry = (expires = Date.now() + 60000) => ({ data: [{ speciesCode: 'amerob' }], expires });
+
+test('file store buffers writes until they are flushed', async () => {
+  const filePath = tempLogPath();
+  const store = createFileStore(filePath, { flushIntervalMs: 60000 });
+
+  store.write('10/1/1', entry());
+  store.remove('10/1/2');
+  assert.deepStrictEqual(readRecords(filePath), []);
+  assert.strictEqual(store.getInfo().bufferedRecords, 2);
+
+  await store.close();
+  assert.deepStrictEqual(readRecords(filePath).map(record => record.op), ['set', 'del']);
+  assert.strictEqual(store.getInfo().bufferedRecords, 0);
+});
+
+test('file store appends on its own after the flush interval', async () => {
+  const filePath = tempLogPath();
+  const store = createFileStore(filePath, { flushIntervalMs: 10 });
+
+  store.write('10/1/1', entry());
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await store.close();
+
+  assert.strictEqual(readRecords(filePath).length, 1);
+});
+
+test('file store compacts the log to the live tiles after enough appends', async () => {
+  const filePath = tempLogPath();
+  const live = new Map();
+  const store = createFileStore(filePath, {
+    compactAfterWrites: 5,
+    flushIntervalMs: 60000,
+    getEntries: () => live.entries()
+  });
+
+  for (let i = 0; i < 10; i++) {
+    live.set('10/1/1', entry());
+    store.write('10/1/1', live.get('10/1/1'));
+  }
+  await store.close();
+
+  const records = readRecords(filePath);
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].tileId, '10/1/1');
+  assert.ok(store.getInfo().lastCompaction);
+});
+
+test('file store replays the log on load and drops expired tiles', async () => {
+  const filePath = tempLogPath();
+  const store = createFileStore(filePath, { flushIntervalMs: 60000 });
+
+  store.write('10/1/1', entry());
+  store.write('10/1/2', entry(Date.now() - 1000));
+  store.write('10/1/3', entry());
+  store.remove('10/1/3');
+  await store.close();
+
+  const reloaded = createFileStore(filePath);
+  const tiles = reloaded.load();
+  await reloaded.close();
+
+  assert.deepStrictEqual(tiles.map(([tileId]) => tileId), ['10/1/1']);
+  assert.strictEqual(readRecords(filePath).length, 1);
+});
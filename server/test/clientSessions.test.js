@@ -0,0 +1,92 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for client session tracking on top of a shared store,
+ * using the in-process Redis stand-in.
+ *
+ * Dependencies: node:test, cacheManager.js, net
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const tileIds = ['10/163/395', '10/164/395'];
+
+let cacheManager;
+
+/**
+ * Gets the tiles the shared store holds for a client, as seen by a fresh sync
+ * @async
+ * @param {string} clientId - Client identifier
+ * @returns {Promise<string[]>} Tile IDs, sorted
+ */
+async function getSharedClientTiles(clientId) {
+  await cacheManager.syncFromStore([], clientId);
+  const clientData = cacheManager.activeClientTiles.get(clientId);
+  return clientData ? Array.from(clientData.tiles).sort() : [];
+}
+
+test.before(async () => {
+  const port = await new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  Object.assign(process.env, {
+    CACHE_STORE: 'redis',
+    CACHE_REDIS_URL: `redis://127.0.0.1:${port}`,
+    CACHE_REDIS_STANDIN: 'true',
+    CACHE_MAX_CLIENTS: '2',
+    CACHE_CLIENT_IDLE_MINUTES: '0.0005'
+  });
+  cacheManager = require('../utils/cacheManager');
+
+  // Commands are skipped until the store has connected to the stand-in
+  const isConnected = () => {
+    const { connection } = cacheManager.getStats().persistenceStats;
+    return connection !== null && connection.connected;
+  };
+  while (!isConnected()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+});
+
+test.after(() => cacheManager.closeCacheStore());
+
+test('dropping the longest idle client keeps its shared state for other workers', async () => {
+  cacheManager.markTilesAsSeen('dropped', tileIds);
+  cacheManager.markTilesAsSeen('second', tileIds);
+  cacheManager.markTilesAsSeen('third', tileIds);
+  assert.strictEqual(cacheManager.activeClientTiles.has('dropped'), false);
+
+  assert.deepStrictEqual(await getSharedClientTiles('dropped'), tileIds);
+});
+
+test('idle expiry keeps shared state, releasing a client clears it', async () => {
+  cacheManager.markTilesAsSeen('idle', tileIds);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(cacheManager.expireIdleClients() > 0);
+  assert.strictEqual(cacheManager.activeClientTiles.has('idle'), false);
+
+  assert.deepStrictEqual(await getSharedClientTiles('idle'), tileIds);
+
+  assert.strictEqual(cacheManager.releaseClient('idle'), true);
+  assert.deepStrictEqual(await getSharedClientTiles('idle'), []);
+});
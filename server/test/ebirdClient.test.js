@@ -0,0 +1,90 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for the eBird API client's error reporting and circuit
+ * breaker, run against a local stand-in for the eBird API.
+ *
+ * Dependencies: node:test, ebirdClient.js, http
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Routes answered by the stand-in, keyed by path: a list of [status, body] replies
+const routes = new Map();
+const requestLog = [];
+
+const server = http.createServer((req, res) => {
+  const path = req.url.split('?')[0];
+  requestLog.push(path);
+  const replies = routes.get(path) || [];
+  const [status, body] = replies.length > 1 ? replies.shift() : (replies[0] || [404, 'not found']);
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(body);
+});
+
+let ebird;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    EBIRD_API_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+    EBIRD_MAX_RETRIES: '1',
+    EBIRD_RETRY_BASE_DELAY_MS: '40',
+    EBIRD_RETRY_MAX_DELAY_MS: '80',
+    EBIRD_CIRCUIT_FAILURE_THRESHOLD: '1',
+    EBIRD_CIRCUIT_COOLDOWN_MS: '50'
+  });
+  ebird = require('../services/ebirdClient');
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('error messages and metrics leave out the upstream response body', async () => {
+  routes.set('/bad', [[400, '{"errors":"api key abc123 rejected"}']]);
+
+  await assert.rejects(ebird.ebirdRequest('bad'), (error) => {
+    assert.strictEqual(error.message, 'eBird API request failed with status 400');
+    assert.strictEqual(error.code, 'HTTP_ERROR');
+    assert.match(error.detail, /abc123/);
+    return true;
+  });
+  assert.strictEqual(ebird.getEbirdStats().circuit.state, 'closed');
+  assert.strictEqual(ebird.getEbirdStats().endpoints.bad.lastError, 'eBird API request failed with status 400');
+});
+
+test('the half-open probe keeps its slot while it retries', async () => {
+  routes.set('/down', [[503, 'down']]);
+  await assert.rejects(ebird.ebirdRequest('down'), { code: 'HTTP_ERROR', status: 503 });
+  assert.strictEqual(ebird.getEbirdStats().circuit.state, 'open');
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  // The probe fails once, then succeeds on its retry
+  routes.set('/flaky', [[503, 'down'], [200, '[]']]);
+  routes.set('/other', [[200, '[]']]);
+  const probe = ebird.ebirdRequest('flaky');
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(requestLog.filter(path => path === '/flaky').length, 1);
+  await assert.rejects(ebird.ebirdRequest('other'), { code: 'CIRCUIT_OPEN' });
+
+  assert.deepStrictEqual(await probe, []);
+  assert.strictEqual(ebird.getEbirdStats().circuit.state, 'closed');
+  assert.deepStrictEqual(await ebird.ebirdRequest('other'), []);
+});
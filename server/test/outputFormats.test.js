@@ -0,0 +1,47 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for the sighting export formats.
+ *
+ * Dependencies: node:test, outputFormats.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../utils/outputFormats');
+
+test('CSV export neutralizes cells that spreadsheets would run as formulas', () => {
+  const csv = toCsv([{
+    comName: 'American Robin',
+    sciName: 'Turdus migratorius',
+    speciesCode: 'amerob',
+    howMany: 2,
+    obsDt: '2025-05-01 08:00',
+    locName: '=HYPERLINK("http://example.com","Park")',
+    locId: 'L1',
+    lat: 37.7,
+    lng: -122.4,
+    obsValid: true,
+    subIds: ['S1']
+  }]);
+
+  const [, row] = csv.split('\r\n');
+  assert.strictEqual(
+    row,
+    'American Robin,Turdus migratorius,amerob,2,2025-05-01 08:00,false,"\'=HYPERLINK(""http://example.com"",""Park"")",L1,37.7,-122.4,S1'
+  );
+});
@@ -0,0 +1,230 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for the Redis protocol client and the Redis cache store,
+ * run against the in-process stand-in server.
+ *
+ * Dependencies: node:test, redisProtocol.js, cacheStore.js, net
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createRespClient, createRespServer, parseValue } = require('../utils/redisProtocol');
+const { createRedisStore } = require('../utils/cacheStore');
+
+/**
+ * Polls until a condition holds
+ * @async
+ * @param {Function} condition - Returns true once satisfied
+ * @param {number} [timeoutMs=2000] - Time to wait before failing
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Starts a raw server that hands every parsed command to a handler
+ * @async
+ * @param {Function} onCommand - Called with (args, socket) for each command
+ * @returns {Promise<Object>} Server handle with port, connections and close()
+ */
+async function createScriptedServer(onCommand) {
+  const sockets = new Set();
+  let connections = 0;
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseValue(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        onCommand(parsed.value, socket);
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    connections: () => connections,
+    close: () => new Promise(done => {
+      server.close(() => done());
+      sockets.forEach(socket => socket.destroy());
+    })
+  };
+}
+
+test('client matches pipelined replies to their commands', async () => {
+  const server = await createRespServer();
+  const client = createRespClient(`redis://127.0.0.1:${server.port}`);
+
+  try {
+    await waitFor(() => client.isConnected());
+
+    const writes = Array.from({ length: 50 }, (_, i) => client.command('SET', `key:${i}`, `value:${i}`));
+    await Promise.all(writes);
+
+    const reads = await Promise.all(Array.from({ length: 50 }, (_, i) => client.command('GET', `key:${i}`)));
+    assert.deepStrictEqual(reads, Array.from({ length: 50 }, (_, i) => `value:${i}`));
+
+    const [members, missing, count] = await Promise.all([
+      client.command('SADD', 'set', 'a', 'b').then(() => client.command('SMEMBERS', 'set')),
+      client.command('GET', 'nothing'),
+      client.command('DBSIZE')
+    ]);
+    assert.deepStrictEqual(members.sort(), ['a', 'b']);
+    assert.strictEqual(missing, null);
+    assert.strictEqual(count, 51);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('client reconnects after the server goes away', async () => {
+  let server = await createRespServer();
+  const port = server.port;
+  const client = createRespClient(`redis://127.0.0.1:${port}`, { reconnectDelayMs: 20 });
+
+  try {
+    await waitFor(() => client.isConnected());
+    await server.close();
+    await waitFor(() => !client.isConnected());
+
+    await assert.rejects(client.command('PING'), /not connected/);
+
+    server = await createRespServer({ port });
+    await waitFor(() => client.isConnected());
+    assert.strictEqual(await client.command('PING'), 'PONG');
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('a timed-out command does not shift later replies', async () => {
+  let delayNext = true;
+  const server = await createScriptedServer(([name, ...args], socket) => {
+    const reply = `$${Buffer.byteLength(args[0])}\r\n${args[0]}\r\n`;
+    if (name === 'ECHO' && delayNext) {
+      // Answer far too late, after the client has given up on the command
+      delayNext = false;
+      setTimeout(() => socket.writable && socket.write(reply), 150);
+      return;
+    }
+    socket.write(reply);
+  });
+  const client = createRespClient(`redis://127.0.0.1:${server.port}`, {
+    commandTimeoutMs: 50,
+    reconnectDelayMs: 10
+  });
+
+  try {
+    await waitFor(() => client.isConnected());
+
+    await assert.rejects(client.command('ECHO', 'slow'), /timed out/);
+    await waitFor(() => client.isConnected());
+    assert.strictEqual(await client.command('ECHO', 'fast'), 'fast');
+
+    // Give the late reply time to arrive; it must not resolve anything
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.strictEqual(await client.command('ECHO', 'after'), 'after');
+    assert.strictEqual(server.connections(), 2);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('client accepts commands only after authenticating', async () => {
+  let answerAuth = null;
+  const server = await createScriptedServer(([name], socket) => {
+    if (name === 'AUTH') {
+      answerAuth = () => socket.write('+OK\r\n');
+      return;
+    }
+    socket.write('+PONG\r\n');
+  });
+  const client = createRespClient(`redis://:secret@127.0.0.1:${server.port}`);
+
+  try {
+    await waitFor(() => answerAuth !== null);
+    assert.strictEqual(client.isConnected(), false);
+    await assert.rejects(client.command('PING'), /not connected/);
+
+    answerAuth();
+    await waitFor(() => client.isConnected());
+    assert.strictEqual(await client.command('PING'), 'PONG');
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('redis store shares tiles and client state through the stand-in', async () => {
+  const server = await createRespServer();
+  const url = `redis://127.0.0.1:${server.port}`;
+  const first = createRedisStore(url, { keyPrefix: 'test:' });
+  const second = createRedisStore(url, { keyPrefix: 'test:' });
+
+  try {
+    await waitFor(() => first.getInfo().connection.connected && second.getInfo().connection.connected);
+
+    const entry = { data: [{ speciesCode: 'amerob' }], expires: Date.now() + 60000 };
+    first.write('10/1/1', entry);
+    first.write('10/1/2', { data: [], expires: Date.now() - 1 });
+    first.addClientTiles('client-a', ['10/1/1', '10/1/3']);
+
+    await waitFor(() => server.getInfo().keys === 2);
+    assert.deepStrictEqual(await second.fetchTiles(['10/1/1', '10/1/2']), [['10/1/1', entry]]);
+    assert.deepStrictEqual((await second.fetchClientTiles('client-a')).sort(), ['10/1/1', '10/1/3']);
+
+    await second.clear();
+    assert.deepStrictEqual(await first.fetchTiles(['10/1/1']), []);
+    assert.deepStrictEqual(await first.fetchClientTiles('client-a'), []);
+  } finally {
+    await first.close();
+    await second.close();
+    await server.close();
+  }
+});
+
+test('redis store skips operations while the server is unavailable', async () => {
+  const server = await createRespServer();
+  const port = server.port;
+  await server.close();
+
+  const store = createRedisStore(`redis://127.0.0.1:${port}`);
+  try {
+    assert.deepStrictEqual(await store.fetchTiles(['10/1/1']), []);
+    assert.strictEqual(await store.fetchClientTiles('client-a'), null);
+    assert.strictEqual(store.getInfo().skippedOperations, 2);
+  } finally {
+    await store.close();
+  }
+});
@@ -0,0 +1,189 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests that run the server as a separate process against a local
+ * stand-in for the eBird API.
+ *
+ * Dependencies: node:test, server.js, child_process, http, net, fs, os, path
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sightings the eBird stand-in reports for every query
+let ebirdSightings = [];
+
+const ebirdServer = http.createServer((req, res) => {
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(ebirdSightings));
+});
+
+const viewportQuery = 'minLat=37.7&maxLat=37.75&minLng=-122.45&maxLng=-122.4';
+
+/**
+ * Builds an observation inside the test viewport
+ * @param {string} speciesCode - Species code
+ * @param {string} subId - Checklist ID
+ * @returns {Object} eBird observation
+ */
+const sighting = (speciesCode, subId) => ({
+  speciesCode,
+  comName: speciesCode,
+  sciName: speciesCode,
+  locId: 'L1',
+  locName: 'Test Marsh',
+  obsDt: '2025-05-01 08:00',
+  howMany: 1,
+  lat: 37.72,
+  lng: -122.42,
+  obsValid: true,
+  obsReviewed: false,
+  locationPrivate: false,
+  subId
+});
+
+/**
+ * Finds a free local port
+ * @async
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts the server in a child process and waits until it answers
+ * @async
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<Object>} Handle with baseUrl, the child process and exited (a promise of the exit code)
+ */
+async function startServer(env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ALLOWED_ORIGINS: 'http://localhost',
+      EBIRD_API_KEY: 'test',
+      EBIRD_API_BASE_URL: `http://127.0.0.1:${ebirdServer.address().port}`,
+      ALERTS_STORE_PATH: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'server-alerts-')), 'alerts.json'),
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${baseUrl}/api/admin/cache-stats`);
+      return { baseUrl, child, exited };
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+  child.kill();
+  throw new Error('Server did not start');
+}
+
+/**
+ * Revalidates a URL with If-None-Match
+ * Uses http.get rather than fetch, which adds Cache-Control: no-cache to any
+ * request carrying a validator, so the server would never answer 304.
+ * @async
+ * @param {string} url - URL to request
+ * @param {string} etag - ETag from an earlier response
+ * @returns {Promise<Object>} Response status, etag and body text
+ */
+function revalidate(url, etag) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers: { 'If-None-Match': etag } }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, etag: res.headers.etag, body }));
+    }).on('error', reject);
+  });
+}
+
+test.before(() => new Promise(resolve => ebirdServer.listen(0, '127.0.0.1', resolve)));
+
+test.after(() => new Promise(resolve => ebirdServer.close(resolve)));
+
+test('SIGTERM writes buffered tiles to the file store before exiting', async () => {
+  ebirdSightings = [sighting('amerob', 'S1')];
+  const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'server-tiles-')), 'tiles.jsonl');
+  const server = await startServer({
+    CACHE_STORE: 'file',
+    CACHE_STORE_PATH: storePath,
+    CACHE_STORE_FLUSH_INTERVAL_MS: '600000'
+  });
+
+  try {
+    const response = await fetch(`${server.baseUrl}/api/birds/viewport?${viewportQuery}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).birds.length, 1);
+    assert.strictEqual(fs.existsSync(storePath) ? fs.readFileSync(storePath, 'utf8') : '', '');
+  } finally {
+    server.child.kill('SIGTERM');
+  }
+
+  assert.strictEqual(await server.exited, 0);
+  const records = fs.readFileSync(storePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  assert.ok(records.some(record => record.op === 'set' && record.entry.data.length === 1));
+});
+
+test('viewport responses revalidate with their ETag until tile versions change', async () => {
+  ebirdSightings = [sighting('amerob', 'S1')];
+  const server = await startServer({ ADMIN_API_KEY: 'test-admin' });
+  const viewportUrl = `${server.baseUrl}/api/birds/viewport?${viewportQuery}`;
+
+  try {
+    const first = await fetch(viewportUrl);
+    assert.strictEqual(first.status, 200);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    const unchanged = await revalidate(viewportUrl, etag);
+    assert.strictEqual(unchanged.status, 304);
+    assert.strictEqual(unchanged.body, '');
+
+    // A refetch with different sightings gives the tiles new versions
+    ebirdSightings = [sighting('amerob', 'S1'), sighting('houfin', 'S2')];
+    const expired = await fetch(`${server.baseUrl}/api/admin/force-expire-tiles?key=test-admin`);
+    assert.strictEqual(expired.status, 200);
+
+    const changed = await revalidate(viewportUrl, etag);
+    assert.strictEqual(changed.status, 200);
+    assert.notStrictEqual(changed.etag, etag);
+    assert.strictEqual(JSON.parse(changed.body).birds.length, 2);
+  } finally {
+    server.child.kill('SIGTERM');
+    await server.exited;
+  }
+});
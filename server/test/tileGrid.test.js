@@ -0,0 +1,96 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for the slippy-map tile math.
+ *
+ * Dependencies: node:test, tileGrid.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  formatTileId,
+  parseTileId,
+  getTileId,
+  getTileBoundaries,
+  getTileCenter,
+  getChildTileIds,
+  isPointInTile,
+  getTileIdsInBounds
+} = require('../utils/tileGrid');
+
+// Points spread over both hemispheres and close to the grid's edges
+const points = [
+  [37.7749, -122.4194],
+  [-33.8688, 151.2093],
+  [51.5074, -0.1278],
+  [0, 0],
+  [84.9, 179.99],
+  [-84.9, -180]
+];
+
+test('tile IDs format and parse back to the same tile', () => {
+  assert.deepStrictEqual(parseTileId(formatTileId(10, 163, 395)), { z: 10, x: 163, y: 395 });
+  assert.strictEqual(parseTileId('10/1024/0'), null);
+  assert.strictEqual(parseTileId('10/1/two'), null);
+});
+
+test('a point lies within the bounds of its tile at every zoom level', () => {
+  for (const [lat, lng] of points) {
+    for (const zoom of [0, 5, 10, 14]) {
+      const tileId = getTileId(lat, lng, zoom);
+      const bounds = getTileBoundaries(tileId);
+
+      assert.ok(lat >= bounds.minLat && lat <= bounds.maxLat, `${lat} in ${tileId}`);
+      assert.ok(lng >= bounds.minLng && lng <= bounds.maxLng, `${lng} in ${tileId}`);
+      assert.ok(isPointInTile(lat, lng, tileId));
+    }
+  }
+});
+
+test('a tile center maps back to the same tile', () => {
+  for (const tileId of ['0/0/0', '10/163/395', '14/16383/8191', '7/0/100']) {
+    const { lat, lng } = getTileCenter(tileId);
+    assert.strictEqual(getTileId(lat, lng, parseTileId(tileId).z), tileId);
+  }
+});
+
+test('children exactly cover their parent', () => {
+  const parentId = '10/163/395';
+  const parent = getTileBoundaries(parentId);
+  const children = getChildTileIds(parentId).map(getTileBoundaries);
+
+  assert.strictEqual(Math.min(...children.map(b => b.minLat)), parent.minLat);
+  assert.strictEqual(Math.max(...children.map(b => b.maxLat)), parent.maxLat);
+  assert.strictEqual(Math.min(...children.map(b => b.minLng)), parent.minLng);
+  assert.strictEqual(Math.max(...children.map(b => b.maxLng)), parent.maxLng);
+
+  // A point's child tile is always one of its parent tile's children
+  for (const [lat, lng] of points) {
+    const tileId = getTileId(lat, lng, 9);
+    assert.ok(getChildTileIds(tileId).includes(getTileId(lat, lng, 10)));
+  }
+});
+
+test('the tiles in a tile\'s own bounds include the tile', () => {
+  const tileId = '10/163/395';
+  const tileIds = getTileIdsInBounds(getTileBoundaries(tileId), 10);
+  assert.ok(tileIds.includes(tileId));
+
+  const { lat, lng } = getTileCenter(tileId);
+  assert.deepStrictEqual(getTileIdsInBounds({ minLat: lat, maxLat: lat, minLng: lng, maxLng: lng }, 10), [tileId]);
+});
@@ -0,0 +1,60 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for viewport math around the antimeridian.
+ *
+ * Dependencies: node:test, viewportUtils.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getLongitudeSpan,
+  splitViewportAtAntimeridian,
+  calculateViewportCenter
+} = require('../utils/viewportUtils');
+
+test('a viewport with minLng greater than maxLng is split at 180 degrees', () => {
+  const viewport = { minLat: -20, maxLat: -15, minLng: 170, maxLng: -170 };
+
+  assert.strictEqual(getLongitudeSpan(170, -170), 20);
+  assert.deepStrictEqual(splitViewportAtAntimeridian(viewport), [
+    { minLat: -20, maxLat: -15, minLng: 170, maxLng: 180 },
+    { minLat: -20, maxLat: -15, minLng: -180, maxLng: -170 }
+  ]);
+  assert.deepStrictEqual(calculateViewportCenter(viewport), { lat: -17.5, lng: -180 });
+});
+
+test('edges pushed past 180 degrees wrap around instead of being dropped', () => {
+  assert.deepStrictEqual(splitViewportAtAntimeridian({ minLat: 0, maxLat: 1, minLng: 175, maxLng: 185 }), [
+    { minLat: 0, maxLat: 1, minLng: 175, maxLng: 180 },
+    { minLat: 0, maxLat: 1, minLng: -180, maxLng: -175 }
+  ]);
+  assert.deepStrictEqual(splitViewportAtAntimeridian({ minLat: 0, maxLat: 1, minLng: -190, maxLng: -170 }), [
+    { minLat: 0, maxLat: 1, minLng: 170, maxLng: 180 },
+    { minLat: 0, maxLat: 1, minLng: -180, maxLng: -170 }
+  ]);
+});
+
+test('viewports that do not cross are left whole', () => {
+  assert.deepStrictEqual(splitViewportAtAntimeridian({ minLat: '37.5', maxLat: '37.75', minLng: '-122.5', maxLng: '-122.25' }), [
+    { minLat: 37.5, maxLat: 37.75, minLng: -122.5, maxLng: -122.25 }
+  ]);
+  assert.deepStrictEqual(splitViewportAtAntimeridian({ minLat: 0, maxLat: 1, minLng: -200, maxLng: 200 }), [
+    { minLat: 0, maxLat: 1, minLng: -180, maxLng: 180 }
+  ]);
+});
@@ -0,0 +1,48 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Tests for webhook URL checks with private webhooks disallowed,
+ * as they are by default.
+ *
+ * Dependencies: node:test, webhookClient.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.ALERTS_ALLOW_PRIVATE_WEBHOOKS;
+const { checkWebhookUrl } = require('../services/webhookClient');
+
+test('webhook URLs with internal IPv6 hosts are refused', async () => {
+  for (const url of [
+    'http://[::ffff:169.254.169.254]/',
+    'http://[::ffff:127.0.0.1]/x',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[::127.0.0.1]/',
+    'http://[64:ff9b::a9fe:a9fe]/',
+    'http://[2002:7f00:1::]/',
+    'http://[fe80::1]/'
+  ]) {
+    assert.match(await checkWebhookUrl(url), /private network/, url);
+  }
+});
+
+test('webhook URLs with public hosts pass', async () => {
+  assert.strictEqual(await checkWebhookUrl('https://[::ffff:8.8.8.8]/hook'), null);
+  assert.strictEqual(await checkWebhookUrl('https://8.8.8.8/hook'), null);
+  assert.strictEqual(await checkWebhookUrl('https://[2606:4700::1111]/hook'), null);
+});
@@ -15,119 +15,221 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  *
  * Project: bird-sightings-map
- * Description: In-memory cache manager for bird sighting data with tile-based caching
+ * Description: Cache manager for bird sighting data with tile-based caching,
+ * backed by a pluggable store (memory, file or shared Redis)
  * 
- * Dependencies: debug.js, serverConstants.js
+ * Dependencies: debug.js, serverConstants.js, cacheStore.js, tileGrid.js, viewportUtils.js, crypto
  */
 
+const crypto = require('crypto');
 const { debug } = require('./debug');
 const constants = require('./serverConstants');
+const { createCacheStore } = require('./cacheStore');
+const { getLongitudeSpan, splitViewportAtAntimeridian } = require('./viewportUtils');
+const {
+  parseTileId,
+  getTileId,
+  getTileCenter,
+  getTileBoundaries,
+  getTileZoom,
+  getChildTileIds,
+  isPointInTile,
+  tileIntersectsBounds,
+  getTileIdsInBounds
+} = require('./tileGrid');
 
-// Convert cache TTL and cleanup interval from minutes to milliseconds
+// Convert cache TTLs and cleanup interval from minutes to milliseconds
+// CACHE_TTL is the soft TTL (tile becomes stale), HARD_TTL drops the tile entirely
 const CACHE_TTL = constants.CACHE.TTL_MINUTES * 60 * 1000;
+const HARD_TTL = Math.max(constants.CACHE.HARD_TTL_MINUTES * 60 * 1000, CACHE_TTL);
+const ERROR_RETRY = constants.CACHE.ERROR_RETRY_MINUTES * 60 * 1000;
+const ERROR_MAX_RETRY = Math.max(constants.CACHE.ERROR_MAX_RETRY_MINUTES * 60 * 1000, ERROR_RETRY);
 const CLEANUP_INTERVAL = constants.CACHE.CLEANUP_INTERVAL_MINUTES * 60 * 1000;
 
+// Memory budget for the in-memory tile cache
+const MAX_ENTRIES = constants.CACHE.MAX_ENTRIES;
+const MAX_MEMORY_BYTES = constants.CACHE.MAX_MEMORY_MB * 1024 * 1024;
+
+// Most entries accepted in a client's tile digest
+const MAX_DIGEST_TILES = 2000;
+
+// Client session limits
+const CLIENT_IDLE_TIMEOUT = constants.CACHE.CLIENT_IDLE_MINUTES * 60 * 1000;
+const MAX_CLIENTS = constants.CACHE.MAX_CLIENTS;
+
 // Get tile settings from constants
-const TILE_SIZE_KM = constants.TILES.SIZE_KM;
+const ROOT_ZOOM = constants.TILES.ROOT_ZOOM;
+const MAX_ZOOM = Math.max(constants.TILES.MAX_ZOOM, ROOT_ZOOM);
+const SPLIT_THRESHOLD = constants.TILES.SPLIT_THRESHOLD;
 const VIEWPORT_BUFFER = constants.TILES.VIEWPORT_BUFFER;
 const MAX_LATITUDE = constants.GEO.MAX_LATITUDE;
 
 // In-memory cache store for tile-based caching
-// Map from coordinate key (tileY:tileX) to tile entry with maximum back data
+// Map from tile ID (z/x/y) to tile entry with maximum back data, or a split marker.
+// Iteration order doubles as the LRU list: least recently used tiles come first
 const tileCache = new Map();
 
-// Client tracking system - Maps from clientId to set of active tiles
+// Estimated size of each cached entry, and their running total
+const tileSizes = new Map();
+let cacheSizeBytes = 0;
+
+// Eviction counters
+let evictionCount = 0;
+let evictedBytes = 0;
+let lastEvictionAt = null;
+let evictionBlockedCount = 0;
+
+// Client tracking system - Maps from clientId to set of active tiles.
+// Ordered by activity: the longest idle client comes first
 const activeClientTiles = new Map(); // clientId -> { tiles: Set, lastActive: timestamp }
 
+// Functions called whenever a cached tile changes (see onTileUpdate)
+const tileUpdateListeners = new Set();
+
+// Client session counters
+let clientsRegistered = 0;
+let clientsReleased = 0;
+let clientsExpired = 0;
+let clientsDropped = 0;
+
+// Backend store behind the in-memory maps (write-through). With a shared store
+// the maps act as a per-process hot layer in front of data all workers can see.
+const cacheStore = createCacheStore(constants.CACHE.STORE, {
+  filePath: constants.CACHE.STORE_PATH,
+  compactAfterWrites: constants.CACHE.STORE_COMPACT_AFTER_WRITES,
+  flushIntervalMs: constants.CACHE.STORE_FLUSH_INTERVAL_MS,
+  getEntries: () => tileCache.entries(),
+  redisUrl: constants.CACHE.STORE_REDIS_URL,
+  keyPrefix: constants.CACHE.STORE_REDIS_PREFIX,
+  clientTtlMs: HARD_TTL,
+  standIn: constants.CACHE.STORE_REDIS_STANDIN
+});
+
+// Reload unexpired tiles persisted by a previous run, skipping any left
+// over from a different tiling scheme
+for (const [tileId, entry] of cacheStore.load()) {
+  if (parseTileId(tileId)) {
+    putTileEntry(tileId, entry);
+  }
+}
+
 // Debug logging at startup
-debug.info('CacheManager initialized');
+debug.info(`CacheManager initialized (${cacheStore.name} store, ${tileCache.size} tiles restored)`);
 
 
 // Cache statistics counters
 let cacheHits = 0;
 let cacheMisses = 0;
+let staleHits = 0;
+let backgroundRefreshCount = 0;
+let fetchErrorCount = 0;
 let apiRequestCount = 0;
 
 
 /**
- * Converts a coordinate to a tile ID based on configured tile size
- * This now returns only the coordinate part - no back value in the ID
- * @param {number} lat - Latitude coordinate
- * @param {number} lng - Longitude coordinate
- * @param {string} [back] - Days to look back (for logging only, not used in ID)
- * @returns {string} Tile ID in format "tileY:tileX"
+ * Estimates how much memory a cache entry takes
+ * Same rough measure as getStats: the tile ID plus the serialized bird data.
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @param {Object} entry - Cache entry
+ * @returns {number} Approximate size in bytes
  */
-function getTileId(lat, lng, back) {
-  // Convert to numbers to ensure correct calculation
-  lat = parseFloat(lat);
-  lng = parseFloat(lng);
-  
-  // Handle latitude clamping to avoid pole issues
-  lat = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE);
-  
-  // Approximate conversion (at equator): 1 degree latitude ≈ 111km
-  const latKmPerDegree = 111;
-  const tileSizeInLatDegrees = TILE_SIZE_KM / latKmPerDegree;
-  
-  // Longitude degrees per km varies with latitude
-  // cos(lat) accounts for the narrowing of longitude lines as we move away from equator
-  const lngKmPerDegree = 111 * Math.cos(lat * Math.PI / 180);
-  const tileSizeInLngDegrees = lngKmPerDegree === 0 ? 
-    TILE_SIZE_KM / 1 : // Fallback for extreme latitudes
-    TILE_SIZE_KM / lngKmPerDegree;
-  
-  // Calculate tile indices
-  const tileY = Math.floor(lat / tileSizeInLatDegrees);
-  const tileX = Math.floor(lng / tileSizeInLngDegrees);
+function estimateEntrySize(tileId, entry) {
+  return tileId.length + JSON.stringify(entry.data).length;
+}
+
+/**
+ * Stores an entry in the tile cache as the most recently used tile
+ * Evicts least recently used tiles if this takes the cache over budget.
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @param {Object} entry - Cache entry
+ */
+function putTileEntry(tileId, entry) {
+  removeTileEntry(tileId);
   
-  debug.tile(`Calculated tile for (${lat.toFixed(4)}, ${lng.toFixed(4)}): [${tileY}, ${tileX}]${back ? `, back=${back}` : ''}`);
+  const size = estimateEntrySize(tileId, entry);
+  tileCache.set(tileId, entry);
+  tileSizes.set(tileId, size);
+  cacheSizeBytes += size;
   
-  // Return coordinate-only ID (no back value)
-  return `${tileY}:${tileX}`;
+  enforceCacheBudget();
 }
 
 /**
- * Calculates the center coordinates for a tile
- * @param {string} tileId - The tile ID in format "tileY:tileX"
- * @returns {Object} Center coordinates {lat, lng}
+ * Removes an entry from the tile cache and its size from the running total
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @returns {boolean} True if an entry was removed
  */
-function getTileCenter(tileId) {
-  const [tileY, tileX] = tileId.split(':');
+function removeTileEntry(tileId) {
+  if (!tileCache.delete(tileId)) return false;
   
-  const y = parseInt(tileY, 10);
-  const x = parseInt(tileX, 10);
+  cacheSizeBytes -= tileSizes.get(tileId) || 0;
+  tileSizes.delete(tileId);
+  return true;
+}
+
+/**
+ * Marks a cached tile as just used by moving it to the end of the LRU order
+ * @param {string} tileId - Tile ID (z/x/y)
+ */
+function touchTileEntry(tileId) {
+  const entry = tileCache.get(tileId);
+  if (!entry) return;
   
-  // Convert back to coordinates
-  // First, calculate the top-left (northwest) corner of the tile
-  const latKmPerDegree = 111;
-  const tileSizeInLatDegrees = TILE_SIZE_KM / latKmPerDegree;
+  tileCache.delete(tileId);
+  tileCache.set(tileId, entry);
+}
+
+/**
+ * Evicts least recently used tiles until the cache is within MAX_ENTRIES and
+ * MAX_MEMORY_MB
+ * Tiles a client currently holds are skipped so they stay consistent with the
+ * client's seen set, as are split markers, which are tiny and whose loss would
+ * force the whole parent tile to be fetched again. Evicted tiles are dropped
+ * from a local store too; a shared store keeps them for other processes.
+ * @returns {number} Number of tiles evicted
+ */
+function enforceCacheBudget() {
+  if (tileCache.size <= MAX_ENTRIES && cacheSizeBytes <= MAX_MEMORY_BYTES) return 0;
   
-  // For longitude, we need a reference latitude to calculate the scale factor
-  // We use the latitude of the center of the tile as a reference
-  const tileTopLat = y * tileSizeInLatDegrees;
-  const tileBottomLat = (y + 1) * tileSizeInLatDegrees;
-  const centerLat = (tileTopLat + tileBottomLat) / 2;
+  const activeTileIds = new Set();
+  for (const clientData of activeClientTiles.values()) {
+    for (const tileId of clientData.tiles) {
+      activeTileIds.add(tileId);
+    }
+  }
   
-  // Now calculate longitude degrees based on this latitude
-  const lngKmPerDegree = 111 * Math.cos(centerLat * Math.PI / 180);
-  const tileSizeInLngDegrees = lngKmPerDegree === 0 ? 
-    TILE_SIZE_KM / 1 : // Fallback for extreme latitudes
-    TILE_SIZE_KM / lngKmPerDegree;
+  let evicted = 0;
+  for (const [tileId, entry] of tileCache) {
+    if (tileCache.size <= MAX_ENTRIES && cacheSizeBytes <= MAX_MEMORY_BYTES) break;
+    if (entry.split || activeTileIds.has(tileId)) continue;
+    
+    evictedBytes += tileSizes.get(tileId) || 0;
+    removeTileEntry(tileId);
+    if (!cacheStore.shared) {
+      cacheStore.remove(tileId);
+    }
+    evicted++;
+  }
   
-  const tileLeftLng = x * tileSizeInLngDegrees;
-  const tileRightLng = (x + 1) * tileSizeInLngDegrees;
-  const centerLng = (tileLeftLng + tileRightLng) / 2;
+  if (evicted > 0) {
+    evictionCount += evicted;
+    lastEvictionAt = Date.now();
+    debug.cache(`Evicted ${evicted} least recently used tiles (${tileCache.size} entries, ${(cacheSizeBytes / 1024 / 1024).toFixed(2)} MB remaining)`);
+  }
   
-  debug.tile(`Tile ${tileId} center: (${centerLat.toFixed(4)}, ${centerLng.toFixed(4)})`);
+  if (tileCache.size > MAX_ENTRIES || cacheSizeBytes > MAX_MEMORY_BYTES) {
+    evictionBlockedCount++;
+    debug.warn(`Tile cache over budget (${tileCache.size}/${MAX_ENTRIES} entries, ${(cacheSizeBytes / 1024 / 1024).toFixed(2)}/${MAX_MEMORY_BYTES / 1024 / 1024} MB) but remaining tiles are in use`);
+  }
   
-  return { 
-    lat: centerLat, 
-    lng: centerLng
-  };
+  return evicted;
 }
 
 /**
- * Gets the tile IDs that cover a given viewport with buffer
+ * Gets the leaf tile IDs that cover a given viewport with buffer
+ * Starts from the ROOT_ZOOM tiles under the viewport and descends into tiles
+ * that have been split, keeping only children that overlap the viewport.
+ * Viewports crossing the antimeridian (minLng > maxLng) are covered from both sides.
  * @param {Object} viewport - Viewport parameters
  * @param {number} viewport.minLat - Minimum latitude
  * @param {number} viewport.maxLat - Maximum latitude
@@ -137,8 +239,6 @@ function getTileCenter(tileId) {
  * @returns {string[]} Array of tile IDs
  */
 function getTilesForViewport(viewport) {
-  const tiles = new Set();
-  
   // Convert to numbers
   const minLat = parseFloat(viewport.minLat);
   const maxLat = parseFloat(viewport.maxLat);
@@ -148,96 +248,337 @@ function getTilesForViewport(viewport) {
   
   // Add buffer around viewport edges (configured percentage of viewport size on each side)
   // This helps ensure we capture all relevant tiles
+  const lngSpan = getLongitudeSpan(minLng, maxLng);
   const latBuffer = (maxLat - minLat) * VIEWPORT_BUFFER;
-  const lngBuffer = (maxLng - minLng) * VIEWPORT_BUFFER;
+  const lngBuffer = lngSpan * VIEWPORT_BUFFER;
   
+  // The buffer may push the edges past ±180, which the split below wraps around
   const bufferedViewport = {
     minLat: Math.max(minLat - latBuffer, -MAX_LATITUDE),
     maxLat: Math.min(maxLat + latBuffer, MAX_LATITUDE),
     minLng: minLng - lngBuffer,
-    maxLng: maxLng + lngBuffer
+    maxLng: minLng + lngSpan + lngBuffer
   };
   
   debug.info(`Viewport with buffer: minLat=${bufferedViewport.minLat.toFixed(4)}, maxLat=${bufferedViewport.maxLat.toFixed(4)}, minLng=${bufferedViewport.minLng.toFixed(4)}, maxLng=${bufferedViewport.maxLng.toFixed(4)}, back=${back}`);
   
-  // Get tiles for the corners and edges (back value not included in IDs anymore)
-  const nwTile = getTileId(bufferedViewport.maxLat, bufferedViewport.minLng);
-  const neTile = getTileId(bufferedViewport.maxLat, bufferedViewport.maxLng);
-  const swTile = getTileId(bufferedViewport.minLat, bufferedViewport.minLng);
-  const seTile = getTileId(bufferedViewport.minLat, bufferedViewport.maxLng);
+  const viewportParts = splitViewportAtAntimeridian(bufferedViewport);
+  const rootTileIds = Array.from(new Set(
+    viewportParts.flatMap(part => getTileIdsInBounds(part, ROOT_ZOOM))
+  ));
+  const now = Date.now();
+  const tiles = [];
   
-  // Parse tile coordinates
-  const [nwLat, nwLng] = nwTile.split(':').map(Number);
-  const [neLat, neLng] = neTile.split(':').map(Number);
-  const [swLat, swLng] = swTile.split(':').map(Number);
-  const [seLat, seLng] = seTile.split(':').map(Number);
+  // Walk down the quadtree until we reach tiles that hold data (or have none yet)
+  const pending = [...rootTileIds];
+  while (pending.length > 0) {
+    const tileId = pending.pop();
+    const entry = tileCache.get(tileId);
+    
+    if (entry && entry.split && now <= entry.expires) {
+      for (const childId of getChildTileIds(tileId)) {
+        if (viewportParts.some(part => tileIntersectsBounds(childId, part))) {
+          pending.push(childId);
+        }
+      }
+    } else {
+      tiles.push(tileId);
+    }
+  }
+  
+  debug.tile(`Generated ${tiles.length} tiles for viewport from ${rootTileIds.length} zoom ${ROOT_ZOOM} tiles: [${tiles.slice(0, 3).join(', ')}${tiles.length > 3 ? '...' : ''}]`);
+  return tiles;
+}
+
+/**
+ * Checks whether a tile holding this many records should be split into children
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @param {number} recordCount - Number of records fetched for the tile
+ * @returns {boolean} True if the tile is dense enough and not at MAX_ZOOM
+ */
+function shouldSplitTile(tileId, recordCount) {
+  return recordCount >= SPLIT_THRESHOLD && getTileZoom(tileId) < MAX_ZOOM;
+}
+
+/**
+ * Marks a tile as split into its four children
+ * The marker holds no data; getTilesForViewport descends past it to the
+ * children until it expires, after which the whole tile is fetched again.
+ * @param {string} tileId - Tile ID (z/x/y)
+ */
+function setTileSplit(tileId) {
+  const previousEntry = tileCache.get(tileId);
+  const now = Date.now();
   
-  // Find min/max tile coordinates
-  const minTileLat = Math.min(nwLat, neLat, swLat, seLat);
-  const maxTileLat = Math.max(nwLat, neLat, swLat, seLat);
-  const minTileLng = Math.min(nwLng, neLng, swLng, seLng);
-  const maxTileLng = Math.max(nwLng, neLng, swLng, seLng);
+  const cacheEntry = {
+    data: [],
+    timestamp: now,
+    staleAt: now + HARD_TTL,
+    expires: now + HARD_TTL,
+    isDeduplicated: false,
+    viewportDeduplicationSaved: 0,
+    split: true
+  };
   
-  debug.tile(`Tile coordinate ranges: lat=[${minTileLat}, ${maxTileLat}], lng=[${minTileLng}, ${maxTileLng}]`);
+  putTileEntry(tileId, cacheEntry);
+  cacheStore.write(tileId, cacheEntry);
   
-  // Generate all tile IDs within the viewport
-  for (let tileLat = minTileLat; tileLat <= maxTileLat; tileLat++) {
-    for (let tileLng = minTileLng; tileLng <= maxTileLng; tileLng++) {
-      const tileId = `${tileLat}:${tileLng}`;
-      tiles.add(tileId);
-    }
+  // Clients holding the tile's old data get the children instead
+  if (previousEntry) {
+    notifyTileUpdate({
+      tileId,
+      reason: 'split',
+      clientIds: forgetTileForClients(tileId),
+      newNotable: []
+    });
   }
   
-  const tilesArray = Array.from(tiles);
-  debug.tile(`Generated ${tilesArray.length} tiles for viewport: [${tilesArray.slice(0, 3).join(', ')}${tilesArray.length > 3 ? '...' : ''}]`);
-  return tilesArray;
+  debug.cache(`Tile ${tileId} split into zoom ${getTileZoom(tileId) + 1} tiles`);
 }
 
+/**
+ * Computes a short content hash used as a version
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Version string
+ */
+function computeContentVersion(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url').slice(0, 16);
+}
 
 /**
  * Stores data in tile cache with expiration
- * @param {string} tileId - Tile ID (tileY:tileX)
+ * Entries become stale after the soft TTL (staleAt) and are dropped after the
+ * hard TTL (expires). Each entry is versioned by a hash of its data. Refreshing
+ * a tile clients already hold with different data makes it count as missing for
+ * them again, so they pick up the new data on their next request.
+ * @param {string} tileId - Tile ID (z/x/y)
  * @param {Array} data - Bird sighting data to cache 
+ * @param {Object} [options] - Entry options
+ * @param {boolean} [options.truncated=false] - eBird's record limit was hit and the
+ *   tile couldn't be split any further, so the data may be incomplete
  */
-function setTileCache(tileId, data) {
+function setTileCache(tileId, data, options = {}) {
   // First ensure data is sorted by date (most recent first)
   // This is critical for our cutoff index calculation
   const sortedData = [...data].sort((a, b) => 
     new Date(b.obsDt) - new Date(a.obsDt)
   );
   
-  // Get or create cache entry
-  let cacheEntry = tileCache.get(tileId);
+  const previousEntry = tileCache.get(tileId);
   const now = Date.now();
   
-  // Create a new entry if none exists or if existing is expired
-  if (!cacheEntry || now > cacheEntry.expires) {
-    // Create new entry
+  // Always start from a clean entry so error state from failed fetches is cleared
+  const cacheEntry = {
+    data: sortedData,
+    version: computeContentVersion(sortedData),
+    timestamp: now,
+    staleAt: now + CACHE_TTL,
+    expires: now + HARD_TTL,
+    isDeduplicated: false,
+    viewportDeduplicationSaved: 0
+  };
+  if (options.truncated) {
+    cacheEntry.truncated = true;
+  }
+  
+  // Store in the cache and write through to the backend store
+  putTileEntry(tileId, cacheEntry);
+  cacheStore.write(tileId, cacheEntry);
+  
+  // Clients holding an older copy (or an empty placeholder from a failed fetch) need
+  // this one, unless the refresh came back with exactly the same data
+  if (previousEntry && getEntryVersion(previousEntry) !== cacheEntry.version) {
+    notifyTileUpdate({
+      tileId,
+      reason: 'refresh',
+      clientIds: forgetTileForClients(tileId),
+      newNotable: getNewNotableSightings(previousEntry, sortedData)
+    });
+  }
+  
+  debug.cache(`Tile cache updated: ${tileId}, version ${cacheEntry.version}, entries: ${sortedData.length}, stale in ${CACHE_TTL/1000/60} minutes, expires in ${HARD_TTL/1000/60} minutes`);
+}
+
+/**
+ * Records a failed fetch for a tile
+ * If the tile still holds data from an earlier successful fetch, that copy keeps
+ * being served (stale-if-error) and is marked degraded. Otherwise an empty
+ * negative entry is cached so the area isn't re-requested on every viewport
+ * request. Either way eBird is tried again after a retry delay that doubles with
+ * each consecutive failure.
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @param {Error|string} error - Reason the fetch failed
+ * @returns {Object} The cache entry now stored for the tile
+ */
+function setTileError(tileId, error) {
+  const now = Date.now();
+  const existingEntry = tileCache.get(tileId);
+  const failureCount = ((existingEntry && existingEntry.failureCount) || 0) + 1;
+  const retryDelay = Math.min(ERROR_RETRY * Math.pow(2, failureCount - 1), ERROR_MAX_RETRY);
+  const retryAt = now + retryDelay;
+  const lastError = error && error.message ? error.message : String(error);
+  
+  fetchErrorCount++;
+  
+  let cacheEntry;
+  if (existingEntry && !existingEntry.negative) {
+    // Keep serving the last good copy, holding off refreshes until the retry time
     cacheEntry = {
-      data: sortedData,
+      ...existingEntry,
+      staleAt: retryAt,
+      expires: Math.max(existingEntry.expires, retryAt),
+      degraded: true,
+      failureCount,
+      lastError,
+      retryAt
+    };
+    debug.warn(`Tile ${tileId} fetch failed (attempt ${failureCount}), serving stale copy until retry in ${Math.round(retryDelay / 1000)}s: ${lastError}`);
+  } else {
+    // Nothing good to fall back on - cache the failure itself for a short time
+    cacheEntry = {
+      data: [],
+      version: computeContentVersion([]),
       timestamp: now,
-      expires: now + CACHE_TTL,
+      staleAt: retryAt,
+      expires: retryAt,
       isDeduplicated: false,
-      viewportDeduplicationSaved: 0
+      viewportDeduplicationSaved: 0,
+      negative: true,
+      degraded: true,
+      failureCount,
+      lastError,
+      retryAt
     };
-  } else {
-    // Update existing entry with new data
-    cacheEntry.data = sortedData;
-    cacheEntry.timestamp = now;
-    cacheEntry.expires = now + CACHE_TTL;
-    cacheEntry.isDeduplicated = false;
-    cacheEntry.viewportDeduplicationSaved = 0;
+    debug.warn(`Tile ${tileId} fetch failed (attempt ${failureCount}), no data to fall back on, retry in ${Math.round(retryDelay / 1000)}s: ${lastError}`);
   }
   
-  // Store in the cache
-  tileCache.set(tileId, cacheEntry);
+  putTileEntry(tileId, cacheEntry);
+  cacheStore.write(tileId, cacheEntry);
+  return cacheEntry;
+}
+
+/**
+ * Gets the tiles from the provided list that are affected by eBird failures
+ * The underlying error can carry eBird URLs and response bodies, so it stays in
+ * the server log and clients only get a generic reason and the retry time.
+ * @param {string[]} tileIds - List of tile IDs
+ * @returns {Array<Object>} Degraded tiles with status ('stale' when an older copy
+ *   is being served, 'unavailable' when there is no data), error and retry time
+ */
+function getDegradedTiles(tileIds) {
+  const now = Date.now();
+  const degradedTiles = [];
+  
+  for (const tileId of tileIds) {
+    const entry = tileCache.get(tileId);
+    if (!entry || !entry.degraded) continue;
+    
+    degradedTiles.push({
+      tileId,
+      status: entry.negative ? 'unavailable' : 'stale',
+      error: 'upstream unavailable',
+      failureCount: entry.failureCount,
+      dataAgeMinutes: entry.negative ? null : Math.round((now - entry.timestamp) / 60000),
+      retryAt: new Date(entry.retryAt).toISOString()
+    });
+  }
   
-  debug.cache(`Tile cache updated: ${tileId}, entries: ${sortedData.length}, expires in ${CACHE_TTL/1000/60} minutes`);
+  return degradedTiles;
+}
+
+/**
+ * Gets the tiles from the provided list whose data was cut off by eBird's record limit
+ * @param {string[]} tileIds - List of tile IDs
+ * @returns {string[]} Truncated tile IDs
+ */
+function getTruncatedTiles(tileIds) {
+  return tileIds.filter(tileId => {
+    const entry = tileCache.get(tileId);
+    return entry && entry.truncated;
+  });
+}
+
+/**
+ * Checks whether a cache entry is past its soft TTL
+ * Entries written before soft TTLs existed fall back to their timestamp
+ * @param {Object} entry - Cache entry
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {boolean} True if the entry should be refreshed
+ */
+function isEntryStale(entry, now = Date.now()) {
+  const staleAt = entry.staleAt || entry.timestamp + CACHE_TTL;
+  return now > staleAt;
+}
+
+/**
+ * Removes a tile from every client's seen set
+ * @param {string} tileId - Tile ID to forget
+ * @returns {string[]} IDs of the clients that held the tile
+ */
+function forgetTileForClients(tileId) {
+  const clientIds = [];
+  for (const [clientId, clientData] of activeClientTiles.entries()) {
+    if (clientData.tiles.delete(tileId)) {
+      cacheStore.removeClientTiles(clientId, [tileId]);
+      clientIds.push(clientId);
+    }
+  }
+  return clientIds;
+}
+
+/**
+ * Registers a function to call whenever a cached tile's data changes
+ * The listener receives {tileId, reason, clientIds, newNotable}: reason is
+ * 'refresh' (new data) or 'split' (replaced by its children), clientIds lists
+ * the clients that held the old copy, and newNotable lists notable sightings
+ * that weren't in the old copy.
+ * @param {Function} listener - Called with each tile update
+ * @returns {Function} Call to unregister the listener
+ */
+function onTileUpdate(listener) {
+  tileUpdateListeners.add(listener);
+  return () => tileUpdateListeners.delete(listener);
+}
+
+/**
+ * Tells the tile update listeners that a tile changed
+ * @param {Object} update - Tile update (see onTileUpdate)
+ */
+function notifyTileUpdate(update) {
+  for (const listener of tileUpdateListeners) {
+    try {
+      listener(update);
+    } catch (error) {
+      debug.error(`Error in tile update listener for tile ${update.tileId}:`, error);
+    }
+  }
+}
+
+/**
+ * Finds notable sightings in a tile's new data that its old data didn't have
+ * A species seen again at the same location with a later date counts as new.
+ * Tiles that held no real data before (new or failed) report nothing, so the
+ * first fetch of an area doesn't announce everything in it.
+ * @param {Object|undefined} previousEntry - Old cache entry
+ * @param {Array} data - New tile data
+ * @returns {Array} New notable sightings
+ */
+function getNewNotableSightings(previousEntry, data) {
+  if (!previousEntry || previousEntry.negative || previousEntry.split) return [];
+  
+  const sightingKey = bird => `${bird.speciesCode}-${bird.lat}-${bird.lng}-${bird.obsDt}`;
+  const knownSightings = new Set(
+    (previousEntry.data || []).filter(bird => bird.isNotable).map(sightingKey)
+  );
+  
+  return data.filter(bird => bird.isNotable && !knownSightings.has(sightingKey(bird)));
 }
 
 /**
  * Retrieves data from tile cache if available and not expired
- * @param {string} tileId - Tile ID (tileY:tileX)
+ * Hits and misses are counted once per request by getMissingTiles, so reading
+ * the tiles back out to build a response doesn't count them again.
+ * @param {string} tileId - Tile ID (z/x/y)
  * @returns {Array|null} Cached data or null if not found/expired
  */
 function getTileCache(tileId) {
@@ -248,12 +589,12 @@ function getTileCache(tileId) {
   // No entry or expired entry
   if (!cacheEntry || Date.now() > cacheEntry.expires) {
     debug.cache(`No valid cache entry found for tile ${tileId}`);
-    cacheMisses++;
     
     // Clean up expired entry if it exists
     if (cacheEntry && Date.now() > cacheEntry.expires) {
       debug.cache(`Removing expired entry: ${tileId}`);
-      tileCache.delete(tileId);
+      removeTileEntry(tileId);
+      cacheStore.remove(tileId);
     }
     
     return null;
@@ -262,23 +603,98 @@ function getTileCache(tileId) {
   // Just return all the data - no filtering by back value needed
   const filteredData = cacheEntry.data;
   
-  // Track cache hit
-  cacheHits++;
+  touchTileEntry(tileId);
   
   debug.cache(`Tile cache hit: ${tileId}, returning ${filteredData.length} records`);
   return filteredData;
 }
 
+/**
+ * Pulls tiles and client-seen state written by other processes into the local maps
+ * Only does work for shared stores; call it before getMissingTiles and
+ * getClientMissingTiles so a request landing on any worker sees the same cache.
+ * Failures are logged and ignored - the local maps are still usable on their own.
+ * @param {string[]} tileIds - Tiles needed for the current viewport
+ * @param {string} [clientId] - Client making the request
+ * @returns {Promise<number>} Number of tiles pulled from the store
+ */
+async function syncFromStore(tileIds, clientId) {
+  if (!cacheStore.shared) return 0;
+  
+  const now = Date.now();
+  let pulledTiles = 0;
+  
+  try {
+    // Only ask for tiles this process doesn't hold a fresh copy of
+    const unknownTileIds = tileIds.filter(tileId => {
+      const entry = tileCache.get(tileId);
+      return !entry || isEntryStale(entry, now);
+    });
+    
+    const [sharedTiles, sharedClientTiles] = await Promise.all([
+      cacheStore.fetchTiles(unknownTileIds),
+      clientId ? cacheStore.fetchClientTiles(clientId) : Promise.resolve(null)
+    ]);
+    
+    for (const [tileId, entry] of sharedTiles) {
+      const localEntry = tileCache.get(tileId);
+      if (localEntry && localEntry.timestamp >= entry.timestamp) continue;
+      
+      putTileEntry(tileId, entry);
+      pulledTiles++;
+      
+      // Another process refreshed a tile our clients hold an older copy of
+      if (localEntry && getEntryVersion(localEntry) !== getEntryVersion(entry)) {
+        notifyTileUpdate({
+          tileId,
+          reason: entry.split ? 'split' : 'refresh',
+          clientIds: forgetTileForClients(tileId),
+          newNotable: entry.split ? [] : getNewNotableSightings(localEntry, entry.data || [])
+        });
+      }
+    }
+    
+    // Merge tiles this client was sent by other processes
+    if (clientId && sharedClientTiles && sharedClientTiles.length > 0) {
+      const clientTiles = touchClient(clientId).tiles;
+      for (const tileId of sharedClientTiles) {
+        clientTiles.add(tileId);
+      }
+    }
+    
+    debug.cache(`Synced from ${cacheStore.name} store: ${pulledTiles}/${unknownTileIds.length} tiles pulled${clientId ? `, ${sharedClientTiles ? sharedClientTiles.length : 0} client tiles` : ''}`);
+  } catch (error) {
+    debug.error('Error syncing from cache store:', error);
+  }
+  
+  return pulledTiles;
+}
+
+/**
+ * Checks whether a tile's data can be served without fetching it
+ * Stale tiles count, as they do in getMissingTiles; cache statistics are not touched.
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @returns {boolean} True if the tile is cached and not past its hard TTL
+ */
+function isTileAvailable(tileId) {
+  const entry = tileCache.get(tileId);
+  return Boolean(entry) && Date.now() <= entry.expires;
+}
+
 /**
  * Gets missing tiles from the provided list
  * IMPORTANT: This function now only identifies which tiles need to be fetched,
  * but DOES NOT mark them as seen by the client. That will happen separately
  * after data is collected and ready to be sent to the client.
- * @param {string[]} tileIds - List of tile IDs (tileY:tileX format)
+ * @param {string[]} tileIds - List of tile IDs (z/x/y format)
  * @param {Object} viewport - Viewport with optional clientId
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.recordStats=true] - Count hits and misses; pass false
+ *   when checking again after fetching, so a request is only counted once
  * @returns {Array<{tileId: string}>} List of missing tiles
  */
-function getMissingTiles(tileIds, viewport) {
+function getMissingTiles(tileIds, viewport, options = {}) {
+  const { recordStats = true } = options;
   // Use client ID if provided, otherwise create a temporary one
   const clientId = viewport.clientId || `temp_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   
@@ -289,13 +705,18 @@ function getMissingTiles(tileIds, viewport) {
   const missingTileIds = [];
   
   // Process each tile in one pass
+  const now = Date.now();
   for (const tileId of tileIds) {
-    // Check if in cache (don't check expiration)
-    if (!tileCache.has(tileId)) {
-      cacheMisses++;
+    // Check if in cache - stale tiles still count as present, only
+    // tiles past the hard TTL have to be fetched before responding
+    const entry = tileCache.get(tileId);
+    if (!entry || now > entry.expires) {
+      if (recordStats) cacheMisses++;
       missingTileIds.push(tileId);
-    } else {
+    } else if (recordStats) {
+      // Stale data is still served until the hard TTL, so it counts as a hit
       cacheHits++;
+      if (isEntryStale(entry, now)) staleHits++;
     }
   }
   
@@ -308,6 +729,25 @@ function getMissingTiles(tileIds, viewport) {
   return missingTiles;
 }
 
+/**
+ * Gets tiles from the provided list that are cached but past their soft TTL
+ * These can be served immediately and refreshed in the background
+ * @param {string[]} tileIds - List of tile IDs
+ * @returns {string[]} Stale tile IDs
+ */
+function getStaleTiles(tileIds) {
+  const now = Date.now();
+  const staleTileIds = tileIds.filter(tileId => {
+    const entry = tileCache.get(tileId);
+    return entry && now <= entry.expires && isEntryStale(entry, now);
+  });
+  
+  if (staleTileIds.length > 0) {
+    debug.cache(`Found ${staleTileIds.length} stale tiles out of ${tileIds.length} total`);
+  }
+  return staleTileIds;
+}
+
 /**
  * Gets tiles that a specific client doesn't have yet
  * @param {string} clientId - Client's unique identifier
@@ -340,21 +780,14 @@ function getClientMissingTiles(clientId, tileIds) {
     debug.info(`Client NOT FOUND: ${clientId}`);
   }
   
-  // Ensure client entry exists
-  if (!activeClientTiles.has(clientId)) {
-    debug.info(`Creating new client entry for ${clientId}`);
-    activeClientTiles.set(clientId, { 
-      tiles: new Set(), 
-      lastActive: Date.now() 
-    });
+  // Ensure client entry exists and update its last active timestamp
+  const isNewClient = !activeClientTiles.has(clientId);
+  const clientActiveTiles = touchClient(clientId).tiles;
+  if (isNewClient) {
     debug.info(`New client registered: ${clientId}`);
     return tileIds; // All tiles are new for a new client
   }
   
-  // Update last active timestamp
-  activeClientTiles.get(clientId).lastActive = Date.now();
-  
-  const clientActiveTiles = activeClientTiles.get(clientId).tiles;
   const missingTiles = [];
   
   // Identify tiles the client doesn't have
@@ -377,6 +810,114 @@ function getClientMissingTiles(clientId, tileIds) {
   return missingTiles;
 }
 
+/**
+ * Gets the version of a cache entry
+ * Entries persisted before tiles were versioned fall back to their fetch time.
+ * @param {Object} entry - Cache entry
+ * @returns {string} Version
+ */
+function getEntryVersion(entry) {
+  return entry.version || entry.timestamp.toString(36);
+}
+
+/**
+ * Gets the version of a cached tile
+ * Only changes when a refetch brings different data.
+ * @param {string} tileId - Tile ID (z/x/y)
+ * @returns {string|null} Version, or null if the tile isn't cached
+ */
+function getTileVersion(tileId) {
+  const entry = tileCache.get(tileId);
+  return entry ? getEntryVersion(entry) : null;
+}
+
+/**
+ * Gets the current version of each of a list of tiles
+ * @param {string[]} tileIds - List of tile IDs
+ * @param {string} [versionSuffix=''] - Appended to each version (see reconcileClientTiles)
+ * @returns {Object} Map of tile ID to version for tiles in the cache
+ */
+function getTileVersions(tileIds, versionSuffix = '') {
+  const versions = {};
+  for (const tileId of tileIds) {
+    const version = getTileVersion(tileId);
+    if (version !== null) versions[tileId] = version + versionSuffix;
+  }
+  return versions;
+}
+
+/**
+ * Parses a client's tile digest
+ * The digest is a comma-separated list of "z/x/y@version" entries describing
+ * the tiles the client currently holds. Malformed entries are ignored.
+ * @param {string} digest - Tile digest from the request
+ * @returns {Map<string, string>} Map of tile ID to the version the client holds
+ */
+function parseTileDigest(digest) {
+  const heldTiles = new Map();
+  if (!digest) return heldTiles;
+  
+  const entries = String(digest).split(',');
+  if (entries.length > MAX_DIGEST_TILES) {
+    debug.warn(`Tile digest has ${entries.length} entries, only using the first ${MAX_DIGEST_TILES}`);
+  }
+  
+  for (const entry of entries.slice(0, MAX_DIGEST_TILES)) {
+    const [tileId, version = ''] = entry.split('@');
+    if (parseTileId(tileId)) {
+      heldTiles.set(tileId, version);
+    }
+  }
+  
+  return heldTiles;
+}
+
+/**
+ * Works out which viewport tiles a client needs from the digest of tiles it holds
+ * Unlike getClientMissingTiles this trusts the client's own account of its data,
+ * so tiles it has dropped are sent again and tiles refreshed since it received
+ * them are sent in their new version. The server's record of the client's tiles
+ * is brought in line with the digest.
+ * @param {string|null} clientId - Client's unique identifier, if any
+ * @param {string[]} tileIds - List of all tile IDs for the viewport
+ * @param {string} digest - Tile digest from the request (see parseTileDigest)
+ * @param {string} [versionSuffix=''] - Appended to tile versions when the response
+ *   is filtered, so tiles held under different filters don't count as current
+ * @returns {string[]} Tile IDs the client is missing or holds an old version of
+ */
+function reconcileClientTiles(clientId, tileIds, digest, versionSuffix = '') {
+  const heldTiles = parseTileDigest(digest);
+  const neededTiles = [];
+  const currentTiles = [];
+  
+  for (const tileId of tileIds) {
+    const version = getTileVersion(tileId) + versionSuffix;
+    if (heldTiles.has(tileId) && heldTiles.get(tileId) === version) {
+      currentTiles.push(tileId);
+    } else {
+      neededTiles.push(tileId);
+    }
+  }
+  
+  if (clientId) {
+    const clientTiles = touchClient(clientId).tiles;
+    const forgottenTiles = neededTiles.filter(tileId => clientTiles.delete(tileId));
+    if (forgottenTiles.length > 0) {
+      cacheStore.removeClientTiles(clientId, forgottenTiles);
+      debug.info(`Client ${clientId} no longer holds ${forgottenTiles.length} tiles the server thought it had`);
+    }
+    
+    const rememberedTiles = currentTiles.filter(tileId => !clientTiles.has(tileId));
+    if (rememberedTiles.length > 0) {
+      rememberedTiles.forEach(tileId => clientTiles.add(tileId));
+      cacheStore.addClientTiles(clientId, rememberedTiles);
+    }
+  }
+  
+  debug.info(`Client digest lists ${heldTiles.size} tiles, ${currentTiles.length}/${tileIds.length} viewport tiles are current`);
+  return neededTiles;
+}
+
 /**
  * Merges bird data from multiple tiles, removing duplicates
  * @param {Array[]} tileDataArray - Array of bird data arrays from different tiles
@@ -500,6 +1041,9 @@ function clearAll() {
   const tileSize = tileCache.size;
   
   tileCache.clear();
+  tileSizes.clear();
+  cacheSizeBytes = 0;
+  cacheStore.clear();
   
   debug.info(`Cleared all caches (${tileSize} tile entries removed)`);
   return {
@@ -515,6 +1059,11 @@ function clearAll() {
 function getStats() {
   const now = Date.now();
   let tileExpired = 0;
+  let tileStale = 0;
+  let tileDegraded = 0;
+  let tileNegative = 0;
+  let tileSplit = 0;
+  let tileTruncated = 0;
   let tileTotalSize = 0;
   let oldestTimestamp = now;
   let newestTimestamp = 0;
@@ -543,8 +1092,8 @@ function getStats() {
     large: 0,        // 51-200 birds
     veryLarge: 0     // >200 birds
   };
-  // Track birds by back period
-  const birdsByBack = {};
+  // Track how many tiles (and birds) are held at each zoom level
+  const tilesByZoom = {};
   // Track geographic distribution (simplified)
   const tileCoordinates = [];
   
@@ -553,11 +1102,25 @@ function getStats() {
     // Check if expired
     if (now > entry.expires) {
       tileExpired++;
+    } else if (isEntryStale(entry, now)) {
+      tileStale++;
+    }
+    if (entry.degraded) {
+      tileDegraded++;
+      if (entry.negative) tileNegative++;
+    }
+    if (entry.truncated) {
+      tileTruncated++;
     }
     
     // Very rough estimation of memory usage
-    const entrySize = key.length + JSON.stringify(entry.data).length;
-    tileTotalSize += entrySize;
+    tileTotalSize += tileSizes.get(key) || estimateEntrySize(key, entry);
+    
+    // Split markers hold no data of their own - their children are counted instead
+    if (entry.split) {
+      tileSplit++;
+      continue;
+    }
     
     // Track timestamps
     if (entry.timestamp < oldestTimestamp) {
@@ -655,26 +1218,29 @@ function getStats() {
       sizeDistribution.veryLarge++;
     }
     
-    // Track back period stats
-    const [tileY, tileX, back] = key.split(':');
-    if (!birdsByBack[back]) {
-      birdsByBack[back] = { count: 0, tiles: 0, birds: 0 };
+    // Track zoom level stats
+    const zoom = getTileZoom(key);
+    if (!tilesByZoom[zoom]) {
+      tilesByZoom[zoom] = { count: 0, birds: 0 };
     }
-    birdsByBack[back].count++;
-    birdsByBack[back].birds += birdCount;
+    tilesByZoom[zoom].count++;
+    tilesByZoom[zoom].birds += birdCount;
     
     // Store coordinates for geographic distribution (simplified)
     if (tileCache.size <= 100) { // Only if reasonable number of tiles
+      const center = getTileCenter(key);
       tileCoordinates.push({ 
-        lat: parseFloat(tileY), 
-        lng: parseFloat(tileX),
+        tileId: key,
+        lat: center.lat, 
+        lng: center.lng,
         count: birdCount
       });
     }
   }
   
   // Calculate averages and percentages
-  const avgBirdsPerTile = tileCache.size > 0 ? totalBirdRecords / tileCache.size : 0;
+  const dataTileCount = tileCache.size - tileSplit;
+  const avgBirdsPerTile = dataTileCount > 0 ? totalBirdRecords / dataTileCount : 0;
   const avgSizePerTile = tileCache.size > 0 ? tileTotalSize / tileCache.size : 0;
   const hitRatio = {
     byAge: {
@@ -730,17 +1296,21 @@ function getStats() {
     tileCache: {
       totalEntries: tileCache.size,
       expiredEntries: tileExpired,
+      staleEntries: tileStale,
+      degradedEntries: tileDegraded,
+      negativeEntries: tileNegative,
+      splitEntries: tileSplit,
+      truncatedEntries: tileTruncated,
       validEntries: tileCache.size - tileExpired,
       approximateSizeBytes: tileTotalSize,
-      tileSizeKm: TILE_SIZE_KM,
       emptyTiles: emptyTiles,
-      emptyTilePercentage: tileCache.size > 0 ? (emptyTiles / tileCache.size) * 100 : 0
+      emptyTilePercentage: dataTileCount > 0 ? (emptyTiles / dataTileCount) * 100 : 0
     },
     birdStats: {
       totalBirdRecords,
       averageBirdsPerTile: avgBirdsPerTile,
       maxBirdsInTile,
-      birdRecordDensity: totalBirdRecords / (tileCache.size || 1)
+      birdRecordDensity: totalBirdRecords / (dataTileCount || 1)
     },
     compressionStats: {
       totalOriginalBirds,
@@ -765,6 +1335,18 @@ function getStats() {
       averageSizePerTile: avgSizePerTile,
       sizeInMB: tileTotalSize / (1024 * 1024)
     },
+    evictionStats: {
+      maxEntries: MAX_ENTRIES,
+      maxMemoryMb: MAX_MEMORY_BYTES / (1024 * 1024),
+      currentEntries: tileCache.size,
+      currentSizeBytes: cacheSizeBytes,
+      entryUsagePercent: (tileCache.size / MAX_ENTRIES) * 100,
+      memoryUsagePercent: (cacheSizeBytes / MAX_MEMORY_BYTES) * 100,
+      evictedEntries: evictionCount,
+      evictedBytes,
+      lastEvictionAt,
+      blockedByActiveTiles: evictionBlockedCount
+    },
     ageStats: {
       oldestEntryAge: (now - oldestTimestamp) / 1000, // in seconds
       newestEntryAge: (now - newestTimestamp) / 1000, // in seconds
@@ -772,7 +1354,7 @@ function getStats() {
     },
     distributionStats: {
       sizeDistribution,
-      birdsByBack,
+      tilesByZoom,
       tileCoordinates: tileCoordinates.length > 0 ? tileCoordinates : null
     },
     speciesStats: {
@@ -789,13 +1371,26 @@ function getStats() {
     },
     cacheConfig: {
       ttlMinutes: CACHE_TTL / 60000,
+      hardTtlMinutes: HARD_TTL / 60000,
+      errorRetryMinutes: ERROR_RETRY / 60000,
+      errorMaxRetryMinutes: ERROR_MAX_RETRY / 60000,
       cleanupIntervalMinutes: CLEANUP_INTERVAL / 60000,
-      tileSizeKm: TILE_SIZE_KM,
-      radiusBuffer: parseFloat(process.env.TILE_RADIUS_BUFFER || 1.05)
+      maxEntries: MAX_ENTRIES,
+      maxMemoryMb: MAX_MEMORY_BYTES / (1024 * 1024),
+      rootZoom: ROOT_ZOOM,
+      maxZoom: MAX_ZOOM,
+      splitThreshold: SPLIT_THRESHOLD,
+      radiusBuffer: constants.TILES.RADIUS_BUFFER,
+      storeBackend: cacheStore.name,
+      sharedStore: cacheStore.shared
     },
+    persistenceStats: cacheStore.getInfo(),
     metricsStats: {
       cacheHits,
       cacheMisses,
+      staleHits,
+      backgroundRefreshCount,
+      fetchErrorCount,
       apiRequestCount,
       cacheHitRatio: cacheHits + cacheMisses > 0 ? (cacheHits / (cacheHits + cacheMisses) * 100).toFixed(2) + '%' : '0%',
       apiRequestsPerHour: process.uptime() > 0 ? (apiRequestCount / (process.uptime() / 3600)).toFixed(2) : 0
@@ -809,55 +1404,15 @@ function getStats() {
 }
 
 /**
- * Gets the exact boundary coordinates for a tile
- * @param {string} tileId - The tile ID in format "tileY:tileX"
- * @returns {Object} - Boundary coordinates {minLat, maxLat, minLng, maxLng}
- */
-function getTileBoundaries(tileId) {
-  const [tileY, tileX] = tileId.split(':').map(Number);
-  
-  // Convert tile indices to coordinates
-  const latKmPerDegree = 111;
-  const tileSizeInLatDegrees = TILE_SIZE_KM / latKmPerDegree;
-  
-  const minLat = tileY * tileSizeInLatDegrees;
-  const maxLat = (tileY + 1) * tileSizeInLatDegrees;
-  
-  // Calculate longitude degrees (varies with latitude)
-  const centerLat = (minLat + maxLat) / 2;
-  const lngKmPerDegree = 111 * Math.cos(centerLat * Math.PI / 180);
-  const tileSizeInLngDegrees = lngKmPerDegree === 0 ? 
-    TILE_SIZE_KM / 1 : // Fallback for extreme latitudes
-    TILE_SIZE_KM / lngKmPerDegree;
-  
-  const minLng = tileX * tileSizeInLngDegrees;
-  const maxLng = (tileX + 1) * tileSizeInLngDegrees;
-  
-  return { minLat, maxLat, minLng, maxLng };
-}
-
-/**
- * Clips bird data to the exact boundaries of a tile
- * Uses consistent boundary rules (include lower bound, exclude upper bound)
+ * Clips bird data to a tile
+ * Membership uses the same index math as tile IDs, so a point on a shared
+ * edge belongs to exactly one tile and always to that tile's parent.
  * @param {Array} data - Bird observation data to clip
- * @param {Object} tileBounds - Tile boundaries
+ * @param {string} tileId - Tile ID (z/x/y)
  * @returns {Array} - Clipped data that falls within the tile
  */
-function clipDataToTileBoundaries(data, tileBounds) {
-  const { minLat, maxLat, minLng, maxLng } = tileBounds;
-  
-  return data.filter(bird => {
-    // For points exactly on the boundary, we need consistent rules:
-    // - Include lower bounds (>=)
-    // - Exclude upper bounds (<)
-    // This ensures a point on the boundary belongs to exactly one tile
-    return (
-      bird.lat >= minLat && 
-      bird.lat < maxLat && 
-      bird.lng >= minLng && 
-      bird.lng < maxLng
-    );
-  });
+function clipDataToTile(data, tileId) {
+  return data.filter(bird => isPointInTile(bird.lat, bird.lng, tileId));
 }
 
 /**
@@ -870,24 +1425,15 @@ function markTilesAsSeen(clientId, tileIds) {
   
   debug.info(`Marking ${tileIds.length} tiles as seen by client ${clientId}`);
   
-  // Ensure client entry exists
-  if (!activeClientTiles.has(clientId)) {
-    activeClientTiles.set(clientId, { 
-      tiles: new Set(), 
-      lastActive: Date.now() 
-    });
-  }
-  
-  const clientActiveTiles = activeClientTiles.get(clientId).tiles;
+  // Ensure client entry exists and update its last active timestamp
+  const clientActiveTiles = touchClient(clientId).tiles;
   const beforeCount = clientActiveTiles.size;
   
   // Mark all tiles as seen by this client
   for (const tileId of tileIds) {
     clientActiveTiles.add(tileId);
   }
-  
-  // Update last active timestamp
-  activeClientTiles.get(clientId).lastActive = Date.now();
+  cacheStore.addClientTiles(clientId, tileIds);
   
   debug.info(`Client ${clientId} tiles: ${beforeCount} → ${clientActiveTiles.size}`);
 }
@@ -903,9 +1449,118 @@ function releaseTiles(clientId, tileIds) {
   
   const clientActiveTiles = clientData.tiles;
   tileIds.forEach(id => clientActiveTiles.delete(id));
+  cacheStore.removeClientTiles(clientId, tileIds);
   
   // Update last active timestamp
+  touchClient(clientId);
+}
+
+/**
+ * Gets a client's tracking entry, registering the client if it is new
+ * Marks the client as just active and moves it to the end of the activity
+ * order. Registering a client beyond MAX_CLIENTS drops the longest idle one.
+ * @param {string} clientId - Unique identifier for the client
+ * @returns {Object} Client entry { tiles: Set, lastActive: timestamp }
+ */
+function touchClient(clientId) {
+  let clientData = activeClientTiles.get(clientId);
+  
+  if (clientData) {
+    activeClientTiles.delete(clientId);
+  } else {
+    clientData = { tiles: new Set(), lastActive: 0 };
+    clientsRegistered++;
+    
+    if (activeClientTiles.size >= MAX_CLIENTS) {
+      const idlestClientId = activeClientTiles.keys().next().value;
+      removeClient(idlestClientId);
+      clientsDropped++;
+      debug.warn(`Tracking ${MAX_CLIENTS} clients, dropped longest idle client ${idlestClientId}`);
+    }
+  }
+  
   clientData.lastActive = Date.now();
+  activeClientTiles.set(clientId, clientData);
+  return clientData;
+}
+
+/**
+ * Forgets this process's tracking entry for a client
+ * The client's seen tiles in a shared store are left alone: another worker may
+ * still be serving the client, and the store expires them once it goes idle.
+ * @param {string} clientId - Unique identifier for the client
+ * @returns {boolean} True if the client was being tracked
+ */
+function removeClient(clientId) {
+  return activeClientTiles.delete(clientId);
+}
+
+/**
+ * Marks a tracked client as active without registering unknown ones
+ * Used for clients that are still connected but not requesting tiles.
+ * @param {string} clientId - Unique identifier for the client
+ * @returns {boolean} True if the client is being tracked
+ */
+function keepClientAlive(clientId) {
+  if (!activeClientTiles.has(clientId)) return false;
+  touchClient(clientId);
+  return true;
+}
+
+/**
+ * Ends a client session when the client goes away (e.g. the page is closed)
+ * Unlike idle expiry this also clears the client's state in the shared store.
+ * @param {string} clientId - Unique identifier for the client
+ * @returns {boolean} True if the client was being tracked
+ */
+function releaseClient(clientId) {
+  const released = removeClient(clientId);
+  cacheStore.removeClient(clientId);
+  if (released) {
+    clientsReleased++;
+    debug.info(`Released client ${clientId}`);
+  }
+  return released;
+}
+
+/**
+ * Forgets clients that have been idle longer than CLIENT_IDLE_MINUTES
+ * Clients are kept in activity order, so this stops at the first active one.
+ * @returns {number} Number of clients removed
+ */
+function expireIdleClients() {
+  const cutoff = Date.now() - CLIENT_IDLE_TIMEOUT;
+  let expired = 0;
+  
+  for (const [clientId, clientData] of activeClientTiles) {
+    if (clientData.lastActive > cutoff) break;
+    
+    removeClient(clientId);
+    expired++;
+  }
+  
+  if (expired > 0) {
+    clientsExpired += expired;
+    debug.info(`Expired ${expired} idle clients (${activeClientTiles.size} remaining)`);
+  }
+  
+  return expired;
+}
+
+/**
+ * Gets client session counts
+ * @returns {Object} Client session statistics
+ */
+function getClientStats() {
+  return {
+    activeClients: activeClientTiles.size,
+    maxClients: MAX_CLIENTS,
+    idleTimeoutMinutes: CLIENT_IDLE_TIMEOUT / 60000,
+    registered: clientsRegistered,
+    released: clientsReleased,
+    expiredIdle: clientsExpired,
+    droppedOverLimit: clientsDropped
+  };
 }
 
 /**
@@ -932,7 +1587,8 @@ function clearExpired() {
   // STEP 1: Identify and remove expired tiles in a single pass
   for (const [tileId, entry] of tileCache.entries()) {
     if (now > entry.expires) {
-      tileCache.delete(tileId);
+      removeTileEntry(tileId);
+      cacheStore.remove(tileId);
       expiredTileIds.push(tileId);
       removedTilesCount++;
     }
@@ -960,6 +1616,7 @@ function clearExpired() {
     
     if (clientTileRemovalCount > 0) {
       removedTileRefsCount += clientTileRemovalCount;
+      cacheStore.removeClientTiles(clientId, expiredTileIds);
       debug.cache(`Removed ${clientTileRemovalCount} expired tile references from client ${clientId}`);
     }
   }
@@ -969,11 +1626,25 @@ function clearExpired() {
 }
 
 // Start periodic cleanup
-const cleanupInterval = setInterval(clearExpired, CLEANUP_INTERVAL);
+const cleanupInterval = setInterval(() => {
+  clearExpired();
+  expireIdleClients();
+}, CLEANUP_INTERVAL);
 
 // Ensure we don't prevent Node process from exiting
 cleanupInterval.unref();
 
+/**
+ * Stops periodic cleanup and closes the cache store
+ * Call on shutdown: the file store writes out its buffered appends, which would
+ * otherwise be lost when the process is stopped by a signal.
+ * @returns {Promise<void>} Resolves once the store is closed
+ */
+async function closeCacheStore() {
+  clearInterval(cleanupInterval);
+  await cacheStore.close();
+}
+
 /**
  * Increments the API request counter
  * @param {number} count - Number of API requests to add
@@ -983,24 +1654,48 @@ function incrementApiRequestCount(count = 1) {
   debug.cache(`API request count increased by ${count} to ${apiRequestCount}`);
 }
 
+/**
+ * Increments the background refresh counter
+ * @param {number} count - Number of tiles refreshed in the background
+ */
+function incrementBackgroundRefreshCount(count = 1) {
+  backgroundRefreshCount += count;
+}
+
 module.exports = {
   // Tile-based caching
   getTileId,
   getTileCenter,
   getTilesForViewport,
   setTileCache,
+  setTileError,
   getTileCache,
   getMissingTiles,
+  isTileAvailable,
+  getStaleTiles,
+  getDegradedTiles,
+  getTruncatedTiles,
+  syncFromStore,
   
   // New improved cache functions
   getTileBoundaries,
-  clipDataToTileBoundaries,
+  clipDataToTile,
+  shouldSplitTile,
+  setTileSplit,
   markTilesAsSeen,
   releaseTiles,
   isTileActive,
   
   // Client-specific tile optimization
   getClientMissingTiles,
+  reconcileClientTiles,
+  getTileVersions,
+  computeContentVersion,
+  releaseClient,
+  keepClientAlive,
+  expireIdleClients,
+  getClientStats,
+  onTileUpdate,
   
   // Cache internals
   tileCache,
@@ -1008,9 +1703,11 @@ module.exports = {
   
   // Cache metrics
   incrementApiRequestCount,
+  incrementBackgroundRefreshCount,
   
   // Cache management
   clearExpired,
   clearAll,
+  closeCacheStore,
   getStats
 };
\ No newline at end of file
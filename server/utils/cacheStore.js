@@ -0,0 +1,604 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Backend stores for the tile cache. Every store exposes the same
+ * interface so the cache manager can write through on every update without
+ * knowing where the data lives:
+ *   - load, write, remove, clear, compact: tile persistence
+ *   - fetchTiles: pull tiles written by other processes (shared stores only)
+ *   - fetchClientTiles, addClientTiles, removeClientTiles, removeClient: client-seen state
+ *   - getInfo, close
+ * The memory and file stores belong to a single process; the Redis store is
+ * shared, so several Node workers see the same tiles and client state.
+ *
+ * Dependencies: debug.js, redisProtocol.js, fs, path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { debug } = require('./debug');
+const { createRespClient, createRespServer } = require('./redisProtocol');
+
+// Client-state operations for stores that only serve a single process,
+// where the cache manager's own maps are the source of truth
+const localClientState = {
+  fetchTiles: () => Promise.resolve([]),
+  fetchClientTiles: () => Promise.resolve(null),
+  addClientTiles: () => {},
+  removeClientTiles: () => {},
+  removeClient: () => {},
+  close: () => {}
+};
+
+/**
+ * Creates a store that keeps nothing beyond the process lifetime
+ * Used when persistence is disabled (the original in-memory behaviour)
+ * @returns {Object} Cache store
+ */
+function createMemoryStore() {
+  return {
+    ...localClientState,
+    name: 'memory',
+    shared: false,
+    load: () => [],
+    write: () => {},
+    remove: () => {},
+    clear: () => {},
+    compact: () => {},
+    getInfo: () => ({
+      backend: 'memory',
+      persistent: false
+    })
+  };
+}
+
+/**
+ * Creates an append-only file store
+ * Each line of the file is a JSON record: either a tile write
+ * ({ op: 'set', tileId, entry }) or a tombstone ({ op: 'del', tileId }).
+ * Records are buffered and appended asynchronously in batches, so request
+ * handling never waits on the disk. On load the log is replayed, expired tiles
+ * are dropped and the file is compacted so it only contains live tiles; it is
+ * compacted again whenever compactAfterWrites records have been appended.
+ * @param {string} filePath - Path of the log file
+ * @param {Object} [options] - Store options
+ * @param {number} [options.compactAfterWrites=1000] - Appends allowed before the log is compacted
+ * @param {number} [options.flushIntervalMs=1000] - How long records are buffered before being appended
+ * @param {Function} [options.getEntries] - Returns the live [tileId, entry] pairs the
+ *   log is compacted to; without it the log is only compacted on load
+ * @returns {Object} Cache store
+ */
+function createFileStore(filePath, options = {}) {
+  const { compactAfterWrites = 1000, flushIntervalMs = 1000, getEntries = null } = options;
+
+  // Records waiting to be appended, and the timer that flushes them
+  let bufferedLines = [];
+  let flushTimer = null;
+
+  // Appends and compactions run one at a time, in the order they were queued
+  let writeQueue = Promise.resolve();
+  let compacting = false;
+
+  let writesSinceCompaction = 0;
+  let totalWrites = 0;
+  let totalRemoves = 0;
+  let loadedEntries = 0;
+  let droppedOnLoad = 0;
+  let lastCompaction = null;
+  let lastError = null;
+
+  // Make sure the directory exists before the first append
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  } catch (error) {
+    lastError = error.message;
+    debug.error(`Unable to create tile store directory for ${filePath}:`, error.message);
+  }
+
+  /**
+   * Queues a file operation behind every operation queued before it
+   * @param {string} label - Operation name for error messages
+   * @param {Function} task - Async function doing the work
+   * @returns {Promise<void>} Resolves once the operation has run; never rejects
+   */
+  function enqueue(label, task) {
+    writeQueue = writeQueue.then(task).catch(error => {
+      // Persistence problems must never break request handling
+      lastError = error.message;
+      debug.error(`Tile store ${label} failed (${filePath}):`, error.message);
+    });
+    return writeQueue;
+  }
+
+  /**
+   * Buffers a single record for the next append
+   * @param {Object} record - Record to append
+   */
+  function append(record) {
+    bufferedLines.push(JSON.stringify(record) + '\n');
+    writesSinceCompaction++;
+
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+      flushTimer.unref();
+    }
+  }
+
+  /**
+   * Appends every buffered record, then compacts the log if enough have piled up
+   * @returns {Promise<void>} Resolves once everything queued so far is on disk
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    if (bufferedLines.length > 0) {
+      const chunk = bufferedLines.join('');
+      bufferedLines = [];
+      enqueue('append', () => fs.promises.appendFile(filePath, chunk));
+    }
+
+    if (getEntries && !compacting && writesSinceCompaction >= compactAfterWrites) {
+      return compact(getEntries());
+    }
+    return writeQueue;
+  }
+
+  /**
+   * Rewrites the log so it only contains the given entries
+   * The entries already reflect every buffered record, so the buffer is dropped.
+   * Writes to a temporary file first so a crash never leaves a truncated log.
+   * @param {Iterable<[string, Object]>} entries - Live [tileId, entry] pairs
+   * @returns {Promise<void>} Resolves once the log has been rewritten
+   */
+  function compact(entries) {
+    const tempPath = `${filePath}.tmp`;
+    const lines = [];
+    for (const [tileId, entry] of entries) {
+      lines.push(JSON.stringify({ op: 'set', tileId, entry }) + '\n');
+    }
+
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    bufferedLines = [];
+    writesSinceCompaction = 0;
+    compacting = true;
+
+    return enqueue('compaction', async () => {
+      try {
+        await fs.promises.writeFile(tempPath, lines.join(''));
+        await fs.promises.rename(tempPath, filePath);
+        lastCompaction = Date.now();
+        debug.cache(`Compacted tile store ${filePath} to ${lines.length} entries`);
+      } finally {
+        compacting = false;
+      }
+    });
+  }
+
+  // Records still buffered when the process exits are written synchronously. A
+  // signal skips this, so the server closes the store on SIGTERM/SIGINT as well
+  process.on('exit', () => {
+    if (bufferedLines.length === 0) return;
+    try {
+      fs.appendFileSync(filePath, bufferedLines.join(''));
+    } catch (error) {
+      debug.error(`Tile store final append failed (${filePath}):`, error.message);
+    }
+  });
+
+  /**
+   * Replays the log and returns all tiles that have not expired
+   * @param {number} [now=Date.now()] - Reference time for expiry checks
+   * @returns {Array<[string, Object]>} Live [tileId, entry] pairs
+   */
+  function load(now = Date.now()) {
+    if (!fs.existsSync(filePath)) {
+      debug.info(`No tile store found at ${filePath}, starting with an empty cache`);
+      return [];
+    }
+
+    const startTime = Date.now();
+    const tiles = new Map();
+    let corruptLines = 0;
+
+    try {
+      const contents = fs.readFileSync(filePath, 'utf8');
+
+      for (const line of contents.split('\n')) {
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // A crash mid-append can leave a partial last line - skip it
+          corruptLines++;
+          continue;
+        }
+
+        if (record.op === 'set' && record.tileId && record.entry) {
+          tiles.set(record.tileId, record.entry);
+        } else if (record.op === 'del' && record.tileId) {
+          tiles.delete(record.tileId);
+        } else if (record.op === 'clear') {
+          tiles.clear();
+        }
+      }
+    } catch (error) {
+      lastError = error.message;
+      debug.error(`Failed to read tile store ${filePath}:`, error.message);
+      return [];
+    }
+
+    // Drop anything that expired while the server was down
+    const live = [];
+    droppedOnLoad = 0;
+    for (const [tileId, entry] of tiles.entries()) {
+      if (entry.expires && now > entry.expires) {
+        droppedOnLoad++;
+      } else {
+        live.push([tileId, entry]);
+      }
+    }
+    loadedEntries = live.length;
+
+    if (corruptLines > 0) {
+      debug.warn(`Skipped ${corruptLines} corrupt lines in tile store ${filePath}`);
+    }
+
+    // Rewrite the log so it doesn't keep growing across restarts
+    compact(live);
+
+    debug.perf(`Loaded ${live.length} tiles from ${filePath} (${droppedOnLoad} expired) in ${Date.now() - startTime}ms`);
+    return live;
+  }
+
+  return {
+    ...localClientState,
+    name: 'file',
+    shared: false,
+    load,
+    compact,
+
+    /**
+     * Persists a tile entry
+     * @param {string} tileId - Tile ID
+     * @param {Object} entry - Cache entry
+     */
+    write(tileId, entry) {
+      totalWrites++;
+      append({ op: 'set', tileId, entry });
+    },
+
+    /**
+     * Persists removal of a tile
+     * @param {string} tileId - Tile ID
+     */
+    remove(tileId) {
+      totalRemoves++;
+      append({ op: 'del', tileId });
+    },
+
+    /**
+     * Removes every tile from the store
+     * @returns {Promise<void>} Resolves once the log is empty
+     */
+    clear() {
+      return compact([]);
+    },
+
+    /**
+     * Writes every buffered record to disk
+     * @returns {Promise<void>} Resolves once everything written so far is on disk
+     */
+    close() {
+      return flush();
+    },
+
+    /**
+     * Describes the store for cache statistics
+     * @returns {Object} Store information
+     */
+    getInfo() {
+      let fileSizeBytes = 0;
+      try {
+        fileSizeBytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      } catch (error) {
+        // Size is informational only
+      }
+
+      return {
+        backend: 'file',
+        persistent: true,
+        filePath,
+        fileSizeBytes,
+        loadedEntries,
+        droppedOnLoad,
+        totalWrites,
+        totalRemoves,
+        bufferedRecords: bufferedLines.length,
+        writesSinceCompaction,
+        lastCompaction: lastCompaction ? new Date(lastCompaction).toISOString() : null,
+        lastError
+      };
+    }
+  };
+}
+
+/**
+ * Creates a store backed by a Redis-protocol server shared between processes
+ * Tiles are stored as JSON strings that expire with the tile, and each client's
+ * seen tiles are kept in a set. Nothing is loaded at startup - tiles are pulled
+ * on demand through fetchTiles. All operations are best-effort: when the server
+ * is unreachable they are skipped and the local cache keeps working on its own.
+ * @param {string} url - Server URL (redis://[:password@]host:port[/db])
+ * @param {Object} [options] - Store options
+ * @param {string} [options.keyPrefix='birdmap:'] - Prefix for every key
+ * @param {number} [options.clientTtlMs] - Idle time after which client state expires
+ * @param {boolean} [options.standIn=false] - Host an in-process stand-in server on the URL's port
+ * @returns {Object} Cache store
+ */
+function createRedisStore(url, options = {}) {
+  const { keyPrefix = 'birdmap:', clientTtlMs = 4 * 60 * 60 * 1000, standIn = false } = options;
+  const parsedUrl = new URL(url);
+
+  let client = null;
+  let standInServer = null;
+  let totalWrites = 0;
+  let totalRemoves = 0;
+  let tilesFetched = 0;
+  let skippedOperations = 0;
+  let lastError = null;
+
+  const tileKey = tileId => `${keyPrefix}tile:${tileId}`;
+  const clientKey = clientId => `${keyPrefix}client:${clientId}`;
+
+  /**
+   * Connects the client, first starting the stand-in server when requested
+   * When several workers start a stand-in on the same port, the first one to
+   * bind hosts it and the rest simply connect to it.
+   */
+  async function start() {
+    if (standIn) {
+      try {
+        standInServer = await createRespServer({
+          host: parsedUrl.hostname || '127.0.0.1',
+          port: parseInt(parsedUrl.port, 10) || 6379
+        });
+      } catch (error) {
+        if (error.code === 'EADDRINUSE') {
+          debug.info(`Redis stand-in already running on ${parsedUrl.host}, connecting to it`);
+        } else {
+          lastError = error.message;
+          debug.error('Failed to start in-process Redis stand-in:', error.message);
+        }
+      }
+    }
+    client = createRespClient(url);
+  }
+
+  const ready = start();
+
+  /**
+   * Runs a command, skipping it when the store is unavailable
+   * @param {...(string|number)} args - Command and arguments
+   * @returns {Promise<*>} Reply, or null if the command was skipped or failed
+   */
+  async function run(...args) {
+    if (!client || !client.isConnected()) {
+      skippedOperations++;
+      return null;
+    }
+    try {
+      return await client.command(...args);
+    } catch (error) {
+      lastError = error.message;
+      debug.warn(`Redis store ${args[0]} failed:`, error.message);
+      return null;
+    }
+  }
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    /**
+     * Shared tiles are fetched on demand rather than preloaded
+     * @returns {Array} Always empty
+     */
+    load: () => [],
+
+    /**
+     * Stores a tile entry, expiring it together with the tile
+     * @param {string} tileId - Tile ID
+     * @param {Object} entry - Cache entry
+     */
+    write(tileId, entry) {
+      const ttl = entry.expires - Date.now();
+      if (ttl <= 0) return;
+      totalWrites++;
+      run('SET', tileKey(tileId), JSON.stringify(entry), 'PX', Math.ceil(ttl));
+    },
+
+    /**
+     * Removes a tile entry
+     * @param {string} tileId - Tile ID
+     */
+    remove(tileId) {
+      totalRemoves++;
+      run('DEL', tileKey(tileId));
+    },
+
+    /**
+     * Removes every key under this store's prefix
+     * @returns {Promise<void>} Resolves when all keys are deleted
+     */
+    async clear() {
+      let cursor = '0';
+      do {
+        const reply = await run('SCAN', cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 500);
+        if (!reply) return;
+        const [nextCursor, keys] = reply;
+        if (keys.length > 0) {
+          await run('DEL', ...keys);
+        }
+        cursor = nextCursor;
+      } while (cursor !== '0');
+    },
+
+    // Expiry is handled by the server, so there is no log to rewrite
+    compact: () => {},
+
+    /**
+     * Pulls tile entries written by any process
+     * @param {string[]} tileIds - Tiles to fetch
+     * @returns {Promise<Array<[string, Object]>>} Live [tileId, entry] pairs
+     */
+    async fetchTiles(tileIds) {
+      if (tileIds.length === 0) return [];
+
+      const values = await run('MGET', ...tileIds.map(tileKey));
+      if (!values) return [];
+
+      const now = Date.now();
+      const entries = [];
+      values.forEach((value, index) => {
+        if (!value) return;
+        try {
+          const entry = JSON.parse(value);
+          if (!entry.expires || now <= entry.expires) {
+            entries.push([tileIds[index], entry]);
+          }
+        } catch (error) {
+          debug.warn(`Ignoring unreadable shared tile ${tileIds[index]}`);
+        }
+      });
+
+      tilesFetched += entries.length;
+      return entries;
+    },
+
+    /**
+     * Reads the tiles a client has been sent by any process
+     * @param {string} clientId - Client identifier
+     * @returns {Promise<string[]|null>} Tile IDs, or null if unavailable
+     */
+    async fetchClientTiles(clientId) {
+      return run('SMEMBERS', clientKey(clientId));
+    },
+
+    /**
+     * Records tiles as sent to a client and refreshes its expiry
+     * @param {string} clientId - Client identifier
+     * @param {string[]} tileIds - Tiles sent
+     */
+    addClientTiles(clientId, tileIds) {
+      if (tileIds.length === 0) return;
+      run('SADD', clientKey(clientId), ...tileIds)
+        .then(() => run('PEXPIRE', clientKey(clientId), clientTtlMs));
+    },
+
+    /**
+     * Forgets tiles for a client
+     * @param {string} clientId - Client identifier
+     * @param {string[]} tileIds - Tiles to forget
+     */
+    removeClientTiles(clientId, tileIds) {
+      if (tileIds.length === 0) return;
+      run('SREM', clientKey(clientId), ...tileIds);
+    },
+
+    /**
+     * Forgets everything a client has been sent
+     * @param {string} clientId - Client identifier
+     */
+    removeClient(clientId) {
+      run('DEL', clientKey(clientId));
+    },
+
+    /**
+     * Describes the store for cache statistics
+     * @returns {Object} Store information
+     */
+    getInfo() {
+      return {
+        backend: 'redis',
+        persistent: true,
+        shared: true,
+        server: `${parsedUrl.hostname}:${parsedUrl.port || 6379}`,
+        keyPrefix,
+        hostingStandIn: standInServer !== null,
+        standIn: standInServer ? standInServer.getInfo() : null,
+        connection: client ? client.getInfo() : null,
+        totalWrites,
+        totalRemoves,
+        tilesFetched,
+        skippedOperations,
+        lastError
+      };
+    },
+
+    /**
+     * Closes the connection and any stand-in server this process hosts
+     * @returns {Promise<void>} Resolves once closed
+     */
+    async close() {
+      await ready;
+      if (client) client.close();
+      if (standInServer) await standInServer.close();
+    }
+  };
+}
+
+/**
+ * Creates the cache store configured for this server
+ * Unknown store types fall back to memory so a typo never stops the server
+ * @param {string} type - Store type ('memory', 'file' or 'redis')
+ * @param {Object} [options] - Store options
+ * @param {string} [options.filePath] - Log file path for the file store
+ * @param {number} [options.compactAfterWrites] - Compaction threshold for the file store
+ * @param {number} [options.flushIntervalMs] - Append buffering delay for the file store
+ * @param {Function} [options.getEntries] - Live tiles the file store log is compacted to
+ * @param {string} [options.redisUrl] - Server URL for the Redis store
+ * @param {string} [options.keyPrefix] - Key prefix for the Redis store
+ * @param {number} [options.clientTtlMs] - Client state expiry for the Redis store
+ * @param {boolean} [options.standIn] - Host an in-process Redis stand-in
+ * @returns {Object} Cache store
+ */
+function createCacheStore(type, options = {}) {
+  switch (type) {
+    case 'file':
+      debug.info(`Using file cache store at ${options.filePath}`);
+      return createFileStore(options.filePath, options);
+    case 'redis':
+      debug.info(`Using Redis cache store at ${new URL(options.redisUrl).host}${options.standIn ? ' (in-process stand-in)' : ''}`);
+      return createRedisStore(options.redisUrl, options);
+    case 'memory':
+      return createMemoryStore();
+    default:
+      debug.warn(`Unknown cache store type "${type}", falling back to memory`);
+      return createMemoryStore();
+  }
+}
+
+module.exports = {
+  createCacheStore,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore
+};
@@ -0,0 +1,140 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Small in-memory cache for data kept apart from the tile cache
+ * (species layer, hotspots, checklists, region notable sightings). Cells
+ * expire after a fixed time, the least recently used are evicted beyond a size
+ * limit, concurrent requests for a cell share one fetch, and a failed fetch
+ * falls back to the last good copy.
+ *
+ * Dependencies: debug.js
+ */
+
+const { debug } = require('./debug');
+
+/**
+ * Creates a cell cache
+ * @param {Object} options - Cache options
+ * @param {string} options.name - Label for log messages
+ * @param {number} options.ttlMs - How long a fetched cell is used before it is fetched again
+ * @param {number} options.retryMs - How long a failed fetch is remembered before retrying
+ * @param {number} options.maxEntries - Most cells kept; least recently used go first
+ * @returns {{getCell: Function, getStats: Function}} Cache functions
+ */
+function createCellCache({ name, ttlMs, retryMs, maxEntries }) {
+  // Cached cells by key. Insertion order is kept as least-recently-used order,
+  // so the first key is evicted first
+  const cells = new Map();
+
+  // Pending fetches by key, shared by every request that needs the cell
+  const inFlightCells = new Map();
+
+  let cellHits = 0;
+  let cellFetches = 0;
+  let cellFailures = 0;
+  let cellEvictions = 0;
+
+  /**
+   * Stores a cell, evicting the least recently used cells beyond maxEntries
+   * @param {string} key - Cell key
+   * @param {Object} entry - Cell entry
+   */
+  function putCell(key, entry) {
+    cells.delete(key);
+    cells.set(key, entry);
+
+    while (cells.size > maxEntries) {
+      cells.delete(cells.keys().next().value);
+      cellEvictions++;
+    }
+  }
+
+  /**
+   * Gets a cell, fetching it when missing or expired
+   * When the fetch fails, the last good copy is kept (marked degraded) until the
+   * retry time; a cell that never loaded is cached as empty until then.
+   * @param {string} key - Cell key
+   * @param {Function} fetchCell - Async function resolving to the cell's
+   *   {data, ...} (any further properties are kept on the entry)
+   * @returns {Promise<Object>} Cell entry {data, fetchedAt, expires, degraded, unavailable}
+   */
+  function getCell(key, fetchCell) {
+    const entry = cells.get(key);
+
+    if (entry && Date.now() <= entry.expires) {
+      cellHits++;
+      putCell(key, entry);
+      return Promise.resolve(entry);
+    }
+
+    const pendingFetch = inFlightCells.get(key);
+    if (pendingFetch) return pendingFetch;
+
+    cellFetches++;
+
+    const fetchPromise = fetchCell()
+      .then(result => {
+        const now = Date.now();
+        const newEntry = { ...result, fetchedAt: now, expires: now + ttlMs, degraded: false, unavailable: false };
+        putCell(key, newEntry);
+        return newEntry;
+      })
+      .catch(error => {
+        cellFailures++;
+        const retryAt = Date.now() + retryMs;
+        const hasData = entry && !entry.unavailable;
+        debug.warn(`${name} cell ${key} fetch failed${hasData ? ', serving stale copy' : ''}: ${error.message}`);
+
+        const failedEntry = hasData
+          ? { ...entry, expires: retryAt, degraded: true }
+          : { data: [], fetchedAt: null, expires: retryAt, degraded: true, unavailable: true };
+        putCell(key, failedEntry);
+        return failedEntry;
+      })
+      .finally(() => {
+        inFlightCells.delete(key);
+      });
+
+    inFlightCells.set(key, fetchPromise);
+    return fetchPromise;
+  }
+
+  /**
+   * Gets cache statistics
+   * @returns {Object} Cache size and counters
+   */
+  function getStats() {
+    const totalRequests = cellHits + cellFetches;
+
+    return {
+      cachedCells: cells.size,
+      maxEntries,
+      cellHits,
+      cellFetches,
+      hitRate: totalRequests > 0 ? (cellHits / totalRequests * 100).toFixed(2) + '%' : '0%',
+      cellFailures,
+      cellEvictions,
+      inFlightCells: inFlightCells.size
+    };
+  }
+
+  return { getCell, getStats };
+}
+
+module.exports = {
+  createCellCache
+};
@@ -0,0 +1,338 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Converts viewport sightings into standard formats for use
+ * outside the map (GIS tools, other Leaflet apps, GPS units, Google Earth,
+ * feed readers)
+ *
+ * Dependencies: none
+ */
+
+// Formats the viewport endpoint can respond with (ndjson is streamed per tile)
+const VIEWPORT_FORMATS = ['json', 'geojson', 'ndjson'];
+
+/**
+ * Groups sightings by location, like the map does before placing markers
+ * Invalid observations are left out, as they are on the map.
+ * @param {Array} birds - Sightings (already compressed per species and location)
+ * @returns {Array<Object>} Locations {lat, lng, locId, locName, birds}
+ */
+function groupSightingsByLocation(birds) {
+  const locations = new Map();
+
+  for (const bird of birds) {
+    if (bird.obsValid !== true) continue;
+
+    const key = `${bird.lat},${bird.lng}`;
+    if (!locations.has(key)) {
+      locations.set(key, {
+        lat: Number(bird.lat),
+        lng: Number(bird.lng),
+        locId: bird.locId,
+        locName: bird.locName,
+        birds: []
+      });
+    }
+    locations.get(key).birds.push(bird);
+  }
+
+  return Array.from(locations.values());
+}
+
+/**
+ * Converts sightings to a GeoJSON FeatureCollection
+ * Each location becomes a Point feature listing the species seen there.
+ * @param {Array} birds - Sightings from getBirdDataForViewport
+ * @param {Object} [metadata] - Response metadata, included as a foreign member
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function toGeoJson(birds, metadata) {
+  const features = groupSightingsByLocation(birds).map(location => {
+    const species = location.birds.map(bird => ({
+      speciesCode: bird.speciesCode,
+      comName: bird.comName,
+      sciName: bird.sciName,
+      howMany: bird.howMany === undefined ? null : bird.howMany,
+      obsDt: bird.obsDt,
+      isNotable: Boolean(bird.isNotable),
+      subIds: bird.subIds || []
+    }));
+    const latestObsDt = species.reduce((latest, bird) => (bird.obsDt > latest ? bird.obsDt : latest), '');
+
+    return {
+      type: 'Feature',
+      id: location.locId || `${location.lat},${location.lng}`,
+      geometry: {
+        type: 'Point',
+        coordinates: [location.lng, location.lat]
+      },
+      properties: {
+        locId: location.locId || null,
+        locName: location.locName || null,
+        speciesCount: species.length,
+        notableCount: species.filter(bird => bird.isNotable).length,
+        latestObsDt: latestObsDt || null,
+        species
+      }
+    };
+  });
+
+  const collection = {
+    type: 'FeatureCollection',
+    features
+  };
+  if (metadata) {
+    collection.metadata = metadata;
+  }
+
+  return collection;
+}
+
+/**
+ * Escapes text for use in XML content or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break
+ * Text starting with =, +, -, @, a tab or a carriage return is prefixed with an
+ * apostrophe so spreadsheets show it instead of running it as a formula (location
+ * names are user-entered). Numbers such as negative coordinates are left as-is.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeCsv(value) {
+  let text = String(value === undefined || value === null ? '' : value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Describes one species at a location in a single line
+ * @param {Object} bird - Sighting
+ * @returns {string} e.g. "American Robin (3), last seen 2025-04-01 08:15 - notable"
+ */
+function describeSighting(bird) {
+  const count = bird.howMany ? ` (${bird.howMany})` : '';
+  const notable = bird.isNotable ? ' - notable' : '';
+  return `${bird.comName}${count}, last seen ${bird.obsDt}${notable}`;
+}
+
+/**
+ * Gets a display name for a location
+ * @param {Object} location - Location from groupSightingsByLocation
+ * @returns {string} Location name, or its coordinates if eBird gave none
+ */
+function getLocationName(location) {
+  return location.locName || `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`;
+}
+
+/**
+ * Converts sightings to CSV with one row per species and location
+ * @param {Array} birds - Sightings from getBirdDataForViewport
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(birds) {
+  const columns = ['comName', 'sciName', 'speciesCode', 'howMany', 'obsDt', 'isNotable', 'locName', 'locId', 'lat', 'lng', 'subIds'];
+  const rows = [columns.join(',')];
+
+  for (const location of groupSightingsByLocation(birds)) {
+    for (const bird of location.birds) {
+      rows.push([
+        bird.comName,
+        bird.sciName,
+        bird.speciesCode,
+        bird.howMany,
+        bird.obsDt,
+        Boolean(bird.isNotable),
+        location.locName,
+        location.locId,
+        location.lat,
+        location.lng,
+        (bird.subIds || []).join(' ')
+      ].map(escapeCsv).join(','));
+    }
+  }
+
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Converts sightings to GPX waypoints, one per location
+ * The description lists every species seen there.
+ * @param {Array} birds - Sightings from getBirdDataForViewport
+ * @returns {string} GPX 1.1 document
+ */
+function toGpx(birds) {
+  const waypoints = groupSightingsByLocation(birds).map(location => {
+    const description = location.birds.map(describeSighting).join('\n');
+    return [
+      `  <wpt lat="${location.lat}" lon="${location.lng}">`,
+      `    <name>${escapeXml(getLocationName(location))}</name>`,
+      `    <desc>${escapeXml(description)}</desc>`,
+      `    <type>${location.birds.some(bird => bird.isNotable) ? 'Notable sighting' : 'Sighting'}</type>`,
+      '  </wpt>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="bird-sightings-map" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts sightings to KML placemarks for Google Earth, one per location
+ * Locations with notable sightings use a separate style.
+ * @param {Array} birds - Sightings from getBirdDataForViewport
+ * @returns {string} KML 2.2 document
+ */
+function toKml(birds) {
+  const placemarks = groupSightingsByLocation(birds).map(location => {
+    const description = location.birds.map(describeSighting).join('\n');
+    const style = location.birds.some(bird => bird.isNotable) ? '#notable' : '#sighting';
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(getLocationName(location))}</name>`,
+      `      <description>${escapeXml(description)}</description>`,
+      `      <styleUrl>${style}</styleUrl>`,
+      `      <Point><coordinates>${location.lng},${location.lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Bird sightings</name>',
+    '    <Style id="sighting"><IconStyle><color>ff0f9a2e</color></IconStyle></Style>',
+    '    <Style id="notable"><IconStyle><color>ff1c39e7</color></IconStyle></Style>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts an eBird observation date to an RFC 3339 timestamp
+ * eBird gives the observer's local time without a zone, so it is labelled as
+ * UTC; readers only use it to order entries.
+ * @param {string} obsDt - "YYYY-MM-DD" or "YYYY-MM-DD HH:mm"
+ * @returns {string} Timestamp, e.g. "2025-04-01T08:15:00Z"
+ */
+function toAtomDate(obsDt) {
+  const [date, time = '00:00'] = String(obsDt).split(' ');
+  return `${date}T${time}:00Z`;
+}
+
+/**
+ * Converts notable sightings to an Atom feed with one entry per species and location
+ * Entries link to the map centered on the location and to the eBird checklists
+ * the species was reported on.
+ * @param {Array} birds - Sightings from getBirdDataForViewport
+ * @param {Object} feed - Feed details
+ * @param {string} feed.id - Feed URL, used as its ID and self link
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.mapUrl - Address of the map
+ * @param {number} [feed.maxEntries] - Most entries to include, newest first
+ * @returns {string} Atom 1.0 document
+ */
+function toAtom(birds, feed) {
+  const sightings = groupSightingsByLocation(birds)
+    .flatMap(location => location.birds.map(bird => ({ bird, location })))
+    .sort((a, b) => (a.bird.obsDt < b.bird.obsDt ? 1 : a.bird.obsDt > b.bird.obsDt ? -1 : 0))
+    .slice(0, feed.maxEntries || Infinity);
+
+  const entries = sightings.map(({ bird, location }) => {
+    const mapLink = `${feed.mapUrl}/?lat=${location.lat}&lng=${location.lng}&zoom=15&species=rare`;
+    const checklistLinks = (bird.subIds || []).map(subId => `https://ebird.org/checklist/${encodeURIComponent(subId)}`);
+    const count = bird.howMany ? `${bird.howMany} reported` : 'Reported';
+    const content = [
+      `<p>${escapeXml(count)} at ${escapeXml(getLocationName(location))}, last seen ${escapeXml(bird.obsDt)}.</p>`,
+      `<p><a href="${escapeXml(mapLink)}">View on the map</a></p>`,
+      checklistLinks.length > 0
+        ? `<ul>${checklistLinks.map((link, i) => `<li><a href="${escapeXml(link)}">Checklist ${escapeXml(bird.subIds[i])}</a></li>`).join('')}</ul>`
+        : ''
+    ].join('');
+
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(`${feed.id}#${bird.speciesCode}/${location.locId || `${location.lat},${location.lng}`}`)}</id>`,
+      `    <title>${escapeXml(`${bird.comName} at ${getLocationName(location)}`)}</title>`,
+      `    <updated>${toAtomDate(bird.obsDt)}</updated>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(mapLink)}"/>`,
+      ...checklistLinks.map(link => `    <link rel="related" type="text/html" href="${escapeXml(link)}"/>`),
+      `    <category term="${escapeXml(bird.speciesCode)}" label="${escapeXml(bird.comName)}"/>`,
+      `    <summary>${escapeXml(describeSighting(bird))}</summary>`,
+      `    <content type="html">${escapeXml(content)}</content>`,
+      '  </entry>'
+    ].join('\n');
+  });
+
+  // The newest sighting dates the feed, so an unchanged feed renders identically
+  const updated = sightings.length > 0 ? toAtomDate(sightings[0].bird.obsDt) : '1970-01-01T00:00:00Z';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.id)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.mapUrl)}/"/>`,
+    '  <author><name>bird-sightings-map</name></author>',
+    '  <generator>bird-sightings-map</generator>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+// Download formats for the export endpoint
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv', serialize: toCsv },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', serialize: toGpx },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', serialize: toKml }
+};
+
+module.exports = {
+  VIEWPORT_FORMATS,
+  EXPORT_FORMATS,
+  groupSightingsByLocation,
+  toGeoJson,
+  toCsv,
+  toGpx,
+  toKml,
+  toAtom,
+  escapeXml
+};
@@ -0,0 +1,564 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Minimal Redis protocol (RESP2) support for the shared cache store.
+ * Provides a small promise-based client that works with Redis, Valkey, KeyDB and
+ * other protocol-compatible servers, plus an in-process stand-in server that
+ * implements the handful of commands the cache uses, for local development and
+ * multi-worker testing without a real Redis instance.
+ *
+ * Dependencies: debug.js, net
+ */
+
+const net = require('net');
+const { debug } = require('./debug');
+
+/**
+ * Encodes a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command name followed by its arguments
+ * @returns {Buffer} Encoded command
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Encodes a reply value for the stand-in server
+ * @param {*} value - Reply (null, number, string, Error, array or { status })
+ * @returns {string} Encoded reply
+ */
+function encodeReply(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  if (typeof value === 'object' && value.status) return `+${value.status}\r\n`;
+  const str = String(value);
+  return `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+}
+
+/**
+ * Parses one RESP value from a buffer
+ * @param {Buffer} buffer - Buffer holding received bytes
+ * @param {number} offset - Position to start parsing from
+ * @returns {{value: *, offset: number}|null} Parsed value and next offset, or null if incomplete
+ */
+function parseValue(buffer, offset) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(line);
+      error.isRespError = true;
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseValue(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type byte "${type}"`);
+  }
+}
+
+/**
+ * Creates a promise-based client for a Redis-protocol server
+ * Commands issued while disconnected (or still authenticating) fail fast instead
+ * of queueing, so callers can treat the shared store as best-effort and fall
+ * back to local data. Replies are matched to commands by order, so a command
+ * that times out drops the connection rather than leave its late reply to be
+ * taken for the next command's.
+ * @param {string} url - Server URL (redis://[:password@]host:port[/db])
+ * @param {Object} [options] - Client options
+ * @param {number} [options.commandTimeoutMs=2000] - Timeout for a single command
+ * @param {number} [options.reconnectDelayMs=1000] - Initial reconnect delay
+ * @returns {Object} Client with command(), isConnected(), getInfo() and close()
+ */
+function createRespClient(url, options = {}) {
+  const { commandTimeoutMs = 2000, reconnectDelayMs = 1000 } = options;
+  const parsedUrl = new URL(url);
+  const host = parsedUrl.hostname || '127.0.0.1';
+  const port = parseInt(parsedUrl.port, 10) || 6379;
+  const password = parsedUrl.password ? decodeURIComponent(parsedUrl.password) : null;
+  const db = parsedUrl.pathname && parsedUrl.pathname.length > 1 ? parsedUrl.pathname.slice(1) : null;
+
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let commandsSent = 0;
+  let commandErrors = 0;
+  let lastError = null;
+
+  /**
+   * Rejects every command still waiting for a reply
+   * @param {Error} error - Reason for the rejection
+   */
+  function failPending(error) {
+    const waiting = pending;
+    pending = [];
+    for (const entry of waiting) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  /**
+   * Parses as many replies as are available and resolves their commands
+   */
+  function drainReplies() {
+    let offset = 0;
+    while (offset < buffer.length) {
+      let parsed;
+      try {
+        parsed = parseValue(buffer, offset);
+      } catch (error) {
+        // Protocol corruption - drop the connection and start over
+        debug.error('Redis protocol error:', error.message);
+        buffer = Buffer.alloc(0);
+        socket.destroy(error);
+        return;
+      }
+      if (!parsed) break;
+      offset = parsed.offset;
+
+      const entry = pending.shift();
+      if (!entry) continue;
+      clearTimeout(entry.timer);
+      if (parsed.value instanceof Error) {
+        commandErrors++;
+        entry.reject(parsed.value);
+      } else {
+        entry.resolve(parsed.value);
+      }
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  /**
+   * Writes a command to the socket and tracks its reply
+   * @param {Array<string|number>} args - Command and arguments
+   * @returns {Promise<*>} Reply value
+   */
+  function send(args) {
+    const connection = socket;
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+      entry.timer = setTimeout(() => {
+        commandErrors++;
+        lastError = `Redis command ${args[0]} timed out after ${commandTimeoutMs}ms`;
+        debug.warn(`${lastError}, reconnecting`);
+        reject(new Error(lastError));
+
+        // Its reply may still arrive and would be matched to the next command,
+        // so start over; the close handler fails every other waiting command
+        if (connection === socket) connected = false;
+        connection.destroy();
+      }, commandTimeoutMs);
+
+      pending.push(entry);
+      commandsSent++;
+      connection.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Authenticates and selects the database if configured, then accepts commands
+   * @async
+   * @param {net.Socket} connection - Newly opened socket
+   */
+  async function setUpConnection(connection) {
+    try {
+      if (password) {
+        const username = parsedUrl.username ? decodeURIComponent(parsedUrl.username) : null;
+        await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+      if (db) {
+        await send(['SELECT', db]);
+      }
+    } catch (error) {
+      lastError = error.message;
+      debug.error('Redis connection setup failed:', error.message);
+      connection.destroy();
+      return;
+    }
+
+    if (connection !== socket || connection.destroyed) return;
+
+    connected = true;
+    reconnectAttempts = 0;
+    debug.info(`Connected to Redis-protocol store at ${host}:${port}`);
+  }
+
+  /**
+   * Opens the connection and sets it up once it is established
+   */
+  function connect() {
+    if (closed) return;
+
+    socket = net.createConnection({ host, port });
+    socket.setNoDelay(true);
+
+    const connection = socket;
+    socket.on('connect', () => setUpConnection(connection));
+
+    socket.on('data', (chunk) => {
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+      drainReplies();
+    });
+
+    socket.on('error', (error) => {
+      lastError = error.message;
+      debug.warn(`Redis-protocol store error (${host}:${port}):`, error.message);
+    });
+
+    socket.on('close', () => {
+      const wasConnected = connected;
+      connected = false;
+      buffer = Buffer.alloc(0);
+      failPending(new Error('Redis connection closed'));
+
+      if (closed) return;
+
+      // Reconnect with capped exponential backoff
+      const delay = Math.min(reconnectDelayMs * Math.pow(2, reconnectAttempts), 30000);
+      reconnectAttempts++;
+      if (wasConnected) {
+        debug.warn(`Lost connection to Redis-protocol store, reconnecting in ${delay}ms`);
+      }
+      reconnectTimer = setTimeout(connect, delay);
+      reconnectTimer.unref();
+    });
+
+    // Never keep the process alive just for an idle cache connection
+    // (pending command timers keep it alive while a reply is outstanding)
+    socket.unref();
+  }
+
+  connect();
+
+  return {
+    /**
+     * Sends a command to the server
+     * @param {...(string|number)} args - Command name and arguments
+     * @returns {Promise<*>} Reply value
+     */
+    command(...args) {
+      if (!connected) {
+        return Promise.reject(new Error('Redis store not connected'));
+      }
+      return send(args);
+    },
+
+    /**
+     * Whether the client currently has an open connection
+     * @returns {boolean} Connection state
+     */
+    isConnected() {
+      return connected;
+    },
+
+    /**
+     * Describes the connection for cache statistics
+     * @returns {Object} Connection information
+     */
+    getInfo() {
+      return {
+        host,
+        port,
+        db: db || '0',
+        connected,
+        pendingCommands: pending.length,
+        commandsSent,
+        commandErrors,
+        lastError
+      };
+    },
+
+    /**
+     * Closes the connection and stops reconnecting
+     */
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      failPending(new Error('Redis client closed'));
+      if (socket) socket.end();
+    }
+  };
+}
+
+/**
+ * Converts a glob-style MATCH pattern to a regular expression
+ * @param {string} pattern - Pattern using * and ? wildcards
+ * @returns {RegExp} Equivalent expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Creates an in-process stand-in for a Redis server
+ * Implements only the commands used by the cache store (strings, sets, expiry
+ * and SCAN). Several Node workers on one machine can share it by pointing their
+ * store URL at the same port; the first process to bind the port hosts it.
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @returns {Promise<Object>} Server handle with port, getInfo() and close()
+ *   (which also drops every open connection)
+ */
+function createRespServer(options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+
+  // key -> { type: 'string'|'set', value, expiresAt }
+  const data = new Map();
+  let commandsHandled = 0;
+
+  /**
+   * Returns a live record, lazily removing expired keys
+   * @param {string} key - Key to read
+   * @returns {Object|undefined} Stored record
+   */
+  function getRecord(key) {
+    const record = data.get(key);
+    if (record && record.expiresAt && Date.now() >= record.expiresAt) {
+      data.delete(key);
+      return undefined;
+    }
+    return record;
+  }
+
+  /**
+   * Returns the set stored at key, creating it if needed
+   * @param {string} key - Key to read
+   * @returns {Set<string>|Error} Set or WRONGTYPE error
+   */
+  function getSet(key) {
+    let record = getRecord(key);
+    if (!record) {
+      record = { type: 'set', value: new Set(), expiresAt: null };
+      data.set(key, record);
+    }
+    if (record.type !== 'set') {
+      return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return record.value;
+  }
+
+  const handlers = {
+    PING: () => ({ status: 'PONG' }),
+    AUTH: () => ({ status: 'OK' }),
+    SELECT: () => ({ status: 'OK' }),
+    QUIT: () => ({ status: 'OK' }),
+
+    GET: ([key]) => {
+      const record = getRecord(key);
+      if (!record) return null;
+      return record.type === 'string' ? record.value : new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    },
+
+    MGET: (keys) => keys.map(key => {
+      const record = getRecord(key);
+      return record && record.type === 'string' ? record.value : null;
+    }),
+
+    SET: ([key, value, ...rest]) => {
+      let expiresAt = null;
+      for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i].toUpperCase();
+        if (flag === 'PX') expiresAt = Date.now() + parseInt(rest[++i], 10);
+        else if (flag === 'EX') expiresAt = Date.now() + parseInt(rest[++i], 10) * 1000;
+      }
+      data.set(key, { type: 'string', value, expiresAt });
+      return { status: 'OK' };
+    },
+
+    DEL: (keys) => keys.reduce((count, key) => count + (getRecord(key) && data.delete(key) ? 1 : 0), 0),
+
+    EXISTS: (keys) => keys.filter(key => getRecord(key)).length,
+
+    PEXPIRE: ([key, ms]) => {
+      const record = getRecord(key);
+      if (!record) return 0;
+      record.expiresAt = Date.now() + parseInt(ms, 10);
+      return 1;
+    },
+
+    PTTL: ([key]) => {
+      const record = getRecord(key);
+      if (!record) return -2;
+      return record.expiresAt ? Math.max(0, record.expiresAt - Date.now()) : -1;
+    },
+
+    SADD: ([key, ...members]) => {
+      const set = getSet(key);
+      if (set instanceof Error) return set;
+      let added = 0;
+      for (const member of members) {
+        if (!set.has(member)) {
+          set.add(member);
+          added++;
+        }
+      }
+      return added;
+    },
+
+    SREM: ([key, ...members]) => {
+      const record = getRecord(key);
+      if (!record) return 0;
+      if (record.type !== 'set') return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+      let removed = 0;
+      for (const member of members) {
+        if (record.value.delete(member)) removed++;
+      }
+      if (record.value.size === 0) data.delete(key);
+      return removed;
+    },
+
+    SMEMBERS: ([key]) => {
+      const record = getRecord(key);
+      if (!record) return [];
+      return record.type === 'set' ? Array.from(record.value) : new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    },
+
+    SCARD: ([key]) => {
+      const record = getRecord(key);
+      return record && record.type === 'set' ? record.value.size : 0;
+    },
+
+    // Single-pass SCAN: returns every match with cursor 0
+    SCAN: ([, ...rest]) => {
+      let matcher = null;
+      for (let i = 0; i < rest.length; i++) {
+        if (rest[i].toUpperCase() === 'MATCH') matcher = globToRegExp(rest[++i]);
+        else if (rest[i].toUpperCase() === 'COUNT') i++;
+      }
+      const keys = [];
+      for (const key of Array.from(data.keys())) {
+        if (getRecord(key) && (!matcher || matcher.test(key))) keys.push(key);
+      }
+      return ['0', keys];
+    },
+
+    FLUSHALL: () => {
+      data.clear();
+      return { status: 'OK' };
+    },
+
+    DBSIZE: () => data.size
+  };
+
+  // Open connections, dropped when the server is closed
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    socket.on('data', (chunk) => {
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+      let offset = 0;
+      const replies = [];
+
+      while (offset < buffer.length) {
+        let parsed;
+        try {
+          parsed = parseValue(buffer, offset);
+        } catch (error) {
+          socket.destroy();
+          return;
+        }
+        if (!parsed) break;
+        offset = parsed.offset;
+
+        const [name, ...args] = Array.isArray(parsed.value) ? parsed.value : [];
+        const handler = name ? handlers[name.toUpperCase()] : null;
+        commandsHandled++;
+        replies.push(encodeReply(handler ? handler(args) : new Error(`ERR unknown command '${name}'`)));
+      }
+
+      buffer = buffer.subarray(offset);
+      if (replies.length > 0) socket.write(replies.join(''));
+    });
+
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      server.unref();
+      const address = server.address();
+      debug.info(`In-process Redis stand-in listening on ${address.address}:${address.port}`);
+
+      resolve({
+        port: address.port,
+        host: address.address,
+        getInfo: () => ({ keys: data.size, commandsHandled }),
+        close: () => new Promise(done => {
+          server.close(() => done());
+          sockets.forEach(socket => socket.destroy());
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  encodeCommand,
+  parseValue,
+  createRespClient,
+  createRespServer
+};
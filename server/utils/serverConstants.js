@@ -18,20 +18,66 @@
  * Description: Server-side constants and configuration values
  */
 
+const path = require('path');
+
 const serverConstants = {
   // Cache settings
   CACHE: {
-    // How long cached data remains valid (in minutes)
+    // How long cached data is considered fresh (in minutes). Older tiles are still
+    // served but trigger a background refresh (stale-while-revalidate)
     TTL_MINUTES: parseInt(process.env.CACHE_TTL_MINUTES, 10) || 240,
+    // How long stale data may still be served before it is dropped (in minutes)
+    HARD_TTL_MINUTES: parseInt(process.env.CACHE_HARD_TTL_MINUTES, 10) || 1440,
+    // How long a failed tile fetch is remembered before eBird is tried again (in minutes).
+    // Repeated failures double the delay up to ERROR_MAX_RETRY_MINUTES
+    ERROR_RETRY_MINUTES: parseFloat(process.env.CACHE_ERROR_RETRY_MINUTES) || 2,
+    ERROR_MAX_RETRY_MINUTES: parseFloat(process.env.CACHE_ERROR_MAX_RETRY_MINUTES) || 30,
     // How often to check and clear expired cache entries (in minutes)
-    CLEANUP_INTERVAL_MINUTES: parseInt(process.env.CACHE_CLEANUP_INTERVAL_MINUTES, 10) || 15
+    CLEANUP_INTERVAL_MINUTES: parseInt(process.env.CACHE_CLEANUP_INTERVAL_MINUTES, 10) || 15,
+
+    // Memory budget for cached tiles. When either limit is exceeded the least
+    // recently used tiles are evicted, except those clients are currently viewing
+    MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 20000,
+    MAX_MEMORY_MB: parseFloat(process.env.CACHE_MAX_MEMORY_MB) || 256,
+
+    // Clients that haven't requested anything for this long are forgotten (in minutes)
+    CLIENT_IDLE_MINUTES: parseFloat(process.env.CACHE_CLIENT_IDLE_MINUTES) || 60,
+
+    // Most clients tracked at once; the longest idle client is dropped beyond this
+    MAX_CLIENTS: parseInt(process.env.CACHE_MAX_CLIENTS, 10) || 5000,
+
+    // Where tiles are persisted: 'memory' (lost on restart), 'file' (append-only log)
+    // or 'redis' (shared between server processes)
+    STORE: process.env.CACHE_STORE || 'memory',
+
+    // Log file used by the file store
+    STORE_PATH: process.env.CACHE_STORE_PATH || path.join(__dirname, '..', 'data', 'tile-cache.jsonl'),
+
+    // Number of appends after which the file store log is compacted
+    STORE_COMPACT_AFTER_WRITES: parseInt(process.env.CACHE_STORE_COMPACT_AFTER_WRITES, 10) || 1000,
+
+    // How long the file store buffers writes before appending them (in milliseconds)
+    STORE_FLUSH_INTERVAL_MS: parseInt(process.env.CACHE_STORE_FLUSH_INTERVAL_MS, 10) || 1000,
+
+    // Redis-protocol server used by the redis store (Redis, Valkey, KeyDB, ...)
+    STORE_REDIS_URL: process.env.CACHE_REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+
+    // Prefix for all keys written by the redis store
+    STORE_REDIS_PREFIX: process.env.CACHE_REDIS_PREFIX || 'birdmap:',
+
+    // Host an in-process stand-in server on the redis URL's port (local development only)
+    STORE_REDIS_STANDIN: process.env.CACHE_REDIS_STANDIN === 'true'
   },
 
   // Tile-based caching settings
   TILES: {
-    // Size of each tile in kilometers
-    SIZE_KM: parseFloat(process.env.TILE_SIZE_KM) || 2,
-    
+    // Tiles are slippy-map XYZ tiles ("z/x/y"). Every area starts at ROOT_ZOOM
+    // (~39 km wide at the equator for zoom 10) and tiles holding SPLIT_THRESHOLD
+    // or more records are subdivided into four children, down to MAX_ZOOM
+    ROOT_ZOOM: parseInt(process.env.TILE_ROOT_ZOOM, 10) || 10,
+    MAX_ZOOM: parseInt(process.env.TILE_MAX_ZOOM, 10) || 14,
+    SPLIT_THRESHOLD: parseInt(process.env.TILE_SPLIT_THRESHOLD, 10) || 250,
+
     // Buffer multiplier for tile radius to ensure data at boundaries
     RADIUS_BUFFER: parseFloat(process.env.TILE_RADIUS_BUFFER) || 1.1,
     
@@ -39,17 +85,162 @@ const serverConstants = {
     VIEWPORT_BUFFER: parseFloat(process.env.TILE_VIEWPORT_BUFFER) || 0.1
   },
 
+  // Live tile updates pushed to clients over Server-Sent Events
+  UPDATES: {
+    // How often an idle stream gets a keep-alive comment (in seconds), so proxies
+    // don't close it. Connected clients are also kept from expiring
+    HEARTBEAT_SECONDS: parseInt(process.env.UPDATES_HEARTBEAT_SECONDS, 10) || 25,
+
+    // Most update streams open at once; further connections are turned away
+    MAX_STREAMS: parseInt(process.env.UPDATES_MAX_STREAMS, 10) || 1000
+  },
+
+  // Species layer: sightings of one species from eBird's per-species geo query,
+  // covering a much wider area than the map's tiles
+  SPECIES_LAYER: {
+    // Zoom level of the cells species sightings are cached in (~78 km wide at the
+    // equator for zoom 9). Cells too large for one eBird search circle are queried
+    // as their four children instead
+    CELL_ZOOM: parseInt(process.env.SPECIES_LAYER_CELL_ZOOM, 10) || 9,
+
+    // Minutes before a cached cell is fetched again
+    TTL_MINUTES: parseInt(process.env.SPECIES_LAYER_TTL_MINUTES, 10) || 120,
+
+    // Most cells kept in memory across all species; least recently used go first
+    MAX_ENTRIES: parseInt(process.env.SPECIES_LAYER_MAX_ENTRIES, 10) || 5000,
+
+    // Largest area one request may cover (in degrees lat/lng)
+    MAX_VIEWPORT_SIZE_DEG: parseFloat(process.env.SPECIES_LAYER_MAX_VIEWPORT_SIZE_DEG) || 12
+  },
+
+  // eBird hotspots shown as their own map layer
+  HOTSPOTS: {
+    // Zoom level of the cells hotspots are cached in (~156 km wide at the equator
+    // for zoom 8); eBird's hotspot query allows a 500 km circle, so one request
+    // covers a cell
+    CELL_ZOOM: parseInt(process.env.HOTSPOTS_CELL_ZOOM, 10) || 8,
+
+    // Largest search circle eBird accepts for hotspot queries (in km)
+    MAX_DIST_KM: 500,
+
+    // Minutes before a cached cell of hotspots is fetched again. Hotspots change rarely
+    TTL_MINUTES: parseInt(process.env.HOTSPOTS_TTL_MINUTES, 10) || 1440,
+
+    // Most hotspot cells kept in memory; least recently used go first
+    MAX_ENTRIES: parseInt(process.env.HOTSPOTS_MAX_ENTRIES, 10) || 1000,
+
+    // Largest area one request may cover (in degrees lat/lng)
+    MAX_VIEWPORT_SIZE_DEG: parseFloat(process.env.HOTSPOTS_MAX_VIEWPORT_SIZE_DEG) || 3,
+
+    // Minutes before a hotspot's recent species list is fetched again
+    RECENT_TTL_MINUTES: parseInt(process.env.HOTSPOTS_RECENT_TTL_MINUTES, 10) || 30,
+
+    // Most hotspot species lists kept in memory
+    RECENT_MAX_ENTRIES: parseInt(process.env.HOTSPOTS_RECENT_MAX_ENTRIES, 10) || 2000
+  },
+
+  // Region-wide notable sightings for the map's region mode
+  REGION_NOTABLE: {
+    // Minutes before a region's cached notable sightings are fetched again
+    TTL_MINUTES: parseInt(process.env.REGION_NOTABLE_TTL_MINUTES, 10) || 15,
+
+    // Most regions kept in memory; least recently used go first
+    MAX_ENTRIES: parseInt(process.env.REGION_NOTABLE_MAX_ENTRIES, 10) || 200
+  },
+
+  // Checklists shown in the popup's checklist viewer
+  CHECKLISTS: {
+    // Minutes before a cached checklist is fetched again. Checklists are
+    // rarely edited once submitted
+    TTL_MINUTES: parseInt(process.env.CHECKLISTS_TTL_MINUTES, 10) || 360,
+
+    // Most checklists kept in memory; least recently used go first
+    MAX_ENTRIES: parseInt(process.env.CHECKLISTS_MAX_ENTRIES, 10) || 2000
+  },
+
+  // Rare bird alerts for saved areas, delivered to webhooks
+  ALERTS: {
+    // How often saved areas are checked for new notable sightings (in minutes)
+    CHECK_INTERVAL_MINUTES: parseFloat(process.env.ALERTS_CHECK_INTERVAL_MINUTES) || 15,
+
+    // File holding saved alerts and the sightings already sent for each
+    STORE_PATH: process.env.ALERTS_STORE_PATH || path.join(__dirname, '..', 'data', 'alerts.json'),
+
+    // Most alerts that can be saved at once
+    MAX_ALERTS: parseInt(process.env.ALERTS_MAX_ALERTS, 10) || 500,
+
+    // Most saved alerts per client IP address, and alerts one address can
+    // create per hour (deleting an alert frees its slot but not its creation)
+    MAX_ALERTS_PER_CLIENT: parseInt(process.env.ALERTS_MAX_PER_CLIENT, 10) || 10,
+    CREATE_LIMIT_PER_HOUR: parseInt(process.env.ALERTS_CREATE_LIMIT_PER_HOUR, 10) || 20,
+
+    // Largest radius for a radius area (in kilometers)
+    MAX_RADIUS_KM: 50,
+
+    // Sightings remembered per alert so they aren't sent twice
+    MAX_SENT_KEYS: 5000,
+
+    // Abort a webhook delivery after this long
+    WEBHOOK_TIMEOUT_MS: parseInt(process.env.ALERTS_WEBHOOK_TIMEOUT_MS, 10) || 10000,
+
+    // Webhooks on localhost or private networks are refused unless this is 'true'
+    // (for testing against a local receiver)
+    ALLOW_PRIVATE_WEBHOOKS: process.env.ALERTS_ALLOW_PRIVATE_WEBHOOKS === 'true'
+  },
+
+  // Atom feeds of notable sightings
+  FEEDS: {
+    // Radius used when a feed request gives no dist (in kilometers)
+    DEFAULT_DIST_KM: 25,
+
+    // Largest radius a feed can cover (in kilometers, eBird's own limit)
+    MAX_DIST_KM: 50,
+
+    // Most entries in a feed, newest first
+    MAX_ENTRIES: 100,
+
+    // Address of the map that feed entries link to
+    // (defaults to this server, which serves the map in production)
+    MAP_URL: process.env.FEEDS_MAP_URL || null
+  },
+
   // API request settings
   API: {
     // Maximum number of parallel API requests
     MAX_PARALLEL_REQUESTS: parseInt(process.env.MAX_PARALLEL_REQUESTS, 10) || 8,
     
-    // Maximum initial batches to fetch immediately (remaining batches fetch in background)
-    // Set to a very high number to force fetching all tiles synchronously (no background loading)
-    MAX_INITIAL_BATCHES: parseInt(process.env.MAX_INITIAL_BATCHES, 10) || 1000,
-    
     // Maximum number of days to look back for bird data
-    MAX_BACK_DAYS: parseInt(process.env.MAX_BACK_DAYS, 10) || 14
+    MAX_BACK_DAYS: parseInt(process.env.MAX_BACK_DAYS, 10) || 14,
+
+    // Most reports kept per species and location for the popup's checklist history
+    MAX_CHECKLIST_HISTORY: parseInt(process.env.MAX_CHECKLIST_HISTORY, 10) || 20
+  },
+
+  // eBird API client settings
+  EBIRD: {
+    BASE_URL: process.env.EBIRD_API_BASE_URL || 'https://api.ebird.org/v2',
+
+    // Largest search radius the geo endpoints accept (in kilometers)
+    MAX_DIST_KM: 50,
+
+    // Most observations requested from a geo endpoint at once. A response this
+    // long is assumed to be truncated and the tile is re-queried in smaller pieces
+    MAX_RESULTS: Math.min(parseInt(process.env.EBIRD_MAX_RESULTS, 10) || 10000, 10000),
+
+    // Abort a single request after this long
+    TIMEOUT_MS: parseInt(process.env.EBIRD_TIMEOUT_MS, 10) || 15000,
+
+    // Retries for network errors, timeouts, 429 and 5xx responses
+    MAX_RETRIES: parseInt(process.env.EBIRD_MAX_RETRIES, 10) || 3,
+    RETRY_BASE_DELAY_MS: parseInt(process.env.EBIRD_RETRY_BASE_DELAY_MS, 10) || 500,
+    RETRY_MAX_DELAY_MS: parseInt(process.env.EBIRD_RETRY_MAX_DELAY_MS, 10) || 10000,
+
+    // Longest Retry-After we will wait out inside a request; longer ones fail immediately
+    MAX_RATE_LIMIT_WAIT_MS: parseInt(process.env.EBIRD_MAX_RATE_LIMIT_WAIT_MS, 10) || 30000,
+
+    // Consecutive failed requests that trip the circuit breaker, and how long it stays open
+    CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.EBIRD_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    CIRCUIT_COOLDOWN_MS: parseInt(process.env.EBIRD_CIRCUIT_COOLDOWN_MS, 10) || 30000
   },
 
   // Geographic constraints
@@ -0,0 +1,145 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Server-side filtering of cached sightings by species, notable
+ * status and observation date. Tiles are always cached with the full
+ * MAX_BACK_DAYS window; filters only narrow what a response contains.
+ *
+ * Dependencies: debug.js, serverConstants.js
+ */
+
+const { debug } = require('./debug');
+const constants = require('./serverConstants');
+
+const MAX_BACK_DAYS = constants.API.MAX_BACK_DAYS;
+
+// eBird species codes, e.g. "amerob" or "x00001"
+const SPECIES_CODE_PATTERN = /^[a-z0-9]+$/i;
+
+// Dates as eBird reports them ("YYYY-MM-DD" or "YYYY-MM-DD HH:mm"); ISO "T" is accepted too
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2})?$/;
+
+/**
+ * Formats a date as "YYYY-MM-DD" in server local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string comparable with eBird's obsDt
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses filter query parameters
+ * `back` is resolved to a start date here (same rule as the map: today and the
+ * previous `back` days), so the result fully describes what a response holds.
+ * @param {Object} query - Request query parameters
+ * @param {string} [query.species] - Comma-separated species codes ("all" for no filter)
+ * @param {string} [query.notableOnly] - "true" or "1" to keep only notable sightings
+ * @param {string} [query.back] - Days to look back (1 to MAX_BACK_DAYS)
+ * @param {string} [query.since] - Earliest observation date ("YYYY-MM-DD" or "YYYY-MM-DD HH:mm")
+ * @returns {Object|null} Filters {species, notableOnly, since}, with absent filters
+ *   left out, or null if a parameter is invalid
+ */
+function parseSightingFilters(query) {
+  const filters = {};
+
+  if (query.species !== undefined && query.species !== '' && query.species !== 'all') {
+    const species = String(query.species).split(',').map(code => code.trim()).filter(Boolean);
+    if (species.length === 0 || !species.every(code => SPECIES_CODE_PATTERN.test(code))) {
+      debug.debug('Invalid filters: malformed species code');
+      return null;
+    }
+    filters.species = [...new Set(species)].sort();
+  }
+
+  if (query.notableOnly !== undefined) {
+    if (!['true', 'false', '1', '0'].includes(query.notableOnly)) {
+      debug.debug('Invalid filters: notableOnly must be true or false');
+      return null;
+    }
+    if (query.notableOnly === 'true' || query.notableOnly === '1') {
+      filters.notableOnly = true;
+    }
+  }
+
+  const sinceDates = [];
+
+  if (query.back !== undefined) {
+    const back = parseInt(query.back, 10);
+    if (isNaN(back) || String(back) !== String(query.back).trim() || back < 1 || back > MAX_BACK_DAYS) {
+      debug.debug(`Invalid filters: back must be between 1 and ${MAX_BACK_DAYS}`);
+      return null;
+    }
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - back);
+    sinceDates.push(formatLocalDate(cutoff));
+  }
+
+  if (query.since !== undefined) {
+    if (!DATE_PATTERN.test(query.since) || isNaN(new Date(query.since.replace(' ', 'T')).getTime())) {
+      debug.debug('Invalid filters: since must be a date (YYYY-MM-DD or YYYY-MM-DD HH:mm)');
+      return null;
+    }
+    sinceDates.push(query.since.replace('T', ' '));
+  }
+
+  // With both back and since, the later start date wins
+  if (sinceDates.length > 0) {
+    filters.since = sinceDates.sort().pop();
+  }
+
+  return filters;
+}
+
+/**
+ * Checks whether any filter is set
+ * @param {Object|null|undefined} filters - Filters from parseSightingFilters
+ * @returns {boolean} True if filtering would remove anything
+ */
+function hasSightingFilters(filters) {
+  return Boolean(filters) && Object.keys(filters).length > 0;
+}
+
+/**
+ * Keeps the sightings that match every filter
+ * Cached records are grouped per species and location with the most recent
+ * observation's date, so `since` keeps a record if it was seen at all since then.
+ * @param {Array} birds - Sightings to filter
+ * @param {Object} filters - Filters from parseSightingFilters
+ * @returns {Array} Matching sightings
+ */
+function filterSightings(birds, filters) {
+  if (!birds || !hasSightingFilters(filters)) return birds;
+
+  const species = filters.species ? new Set(filters.species) : null;
+
+  return birds.filter(bird => {
+    if (species && !species.has(bird.speciesCode)) return false;
+    if (filters.notableOnly && !bird.isNotable) return false;
+    // String comparison works because both sides use eBird's date format
+    if (filters.since && !(bird.obsDt && bird.obsDt >= filters.since)) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  parseSightingFilters,
+  hasSightingFilters,
+  filterSightings
+};
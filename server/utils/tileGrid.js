@@ -0,0 +1,268 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Hierarchical slippy-map (XYZ) tile math used by the tile cache.
+ * Tile IDs have the form "z/x/y"; each tile covers exactly its four children.
+ *
+ * Dependencies: debug.js, serverConstants.js, viewportUtils.js
+ */
+
+const { debug } = require('./debug');
+const constants = require('./serverConstants');
+const { haversineDistance } = require('./viewportUtils');
+
+const ROOT_ZOOM = constants.TILES.ROOT_ZOOM;
+const MAX_LATITUDE = constants.GEO.MAX_LATITUDE;
+
+/**
+ * Converts a longitude to its fractional position across the world (0 to 1)
+ * Tile indices at any zoom are this value scaled by 2^zoom, which is exact in
+ * floating point, so a point always lands in the parent of its child tile.
+ * @param {number} lng - Longitude coordinate
+ * @returns {number} Fractional x position
+ */
+function lngToFraction(lng) {
+  return (lng + 180) / 360;
+}
+
+/**
+ * Converts a latitude to its fractional Web Mercator position (0 at the top)
+ * @param {number} lat - Latitude coordinate (clamped to MAX_LATITUDE)
+ * @returns {number} Fractional y position
+ */
+function latToFraction(lat) {
+  const clampedLat = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE);
+  const latRad = clampedLat * Math.PI / 180;
+  return (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2;
+}
+
+/**
+ * Converts a fractional position to a tile index, keeping it on the grid
+ * @param {number} fraction - Fractional position (0 to 1)
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile index
+ */
+function fractionToIndex(fraction, zoom) {
+  const tileCount = Math.pow(2, zoom);
+  return Math.max(0, Math.min(Math.floor(fraction * tileCount), tileCount - 1));
+}
+
+/**
+ * Gets the longitude of a tile's west edge
+ * @param {number} x - Tile column
+ * @param {number} zoom - Zoom level
+ * @returns {number} Longitude
+ */
+function tileXToLng(x, zoom) {
+  return x / Math.pow(2, zoom) * 360 - 180;
+}
+
+/**
+ * Gets the latitude of a tile's north edge
+ * @param {number} y - Tile row
+ * @param {number} zoom - Zoom level
+ * @returns {number} Latitude
+ */
+function tileYToLat(y, zoom) {
+  const n = Math.PI * (1 - 2 * y / Math.pow(2, zoom));
+  return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+}
+
+/**
+ * Builds a tile ID
+ * @param {number} zoom - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {string} Tile ID in format "z/x/y"
+ */
+function formatTileId(zoom, x, y) {
+  return `${zoom}/${x}/${y}`;
+}
+
+/**
+ * Parses a tile ID
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {Object|null} {z, x, y} or null if the ID isn't a valid tile
+ */
+function parseTileId(tileId) {
+  const match = /^(\d+)\/(\d+)\/(\d+)$/.exec(tileId);
+  if (!match) return null;
+
+  const z = parseInt(match[1], 10);
+  const x = parseInt(match[2], 10);
+  const y = parseInt(match[3], 10);
+  const tileCount = Math.pow(2, z);
+
+  if (x >= tileCount || y >= tileCount) return null;
+  return { z, x, y };
+}
+
+/**
+ * Converts a coordinate to the ID of the tile containing it
+ * @param {number} lat - Latitude coordinate
+ * @param {number} lng - Longitude coordinate
+ * @param {number} [zoom=ROOT_ZOOM] - Zoom level
+ * @returns {string} Tile ID in format "z/x/y"
+ */
+function getTileId(lat, lng, zoom = ROOT_ZOOM) {
+  const x = fractionToIndex(lngToFraction(parseFloat(lng)), zoom);
+  const y = fractionToIndex(latToFraction(parseFloat(lat)), zoom);
+  return formatTileId(zoom, x, y);
+}
+
+/**
+ * Gets the exact boundary coordinates for a tile
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {Object} Boundary coordinates {minLat, maxLat, minLng, maxLng}
+ */
+function getTileBoundaries(tileId) {
+  const { z, x, y } = parseTileId(tileId);
+
+  return {
+    minLat: tileYToLat(y + 1, z),
+    maxLat: tileYToLat(y, z),
+    minLng: tileXToLng(x, z),
+    maxLng: tileXToLng(x + 1, z)
+  };
+}
+
+/**
+ * Calculates the center coordinates for a tile
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {Object} Center coordinates {lat, lng}
+ */
+function getTileCenter(tileId) {
+  const { minLat, maxLat, minLng, maxLng } = getTileBoundaries(tileId);
+  const center = {
+    lat: (minLat + maxLat) / 2,
+    lng: (minLng + maxLng) / 2
+  };
+
+  debug.tile(`Tile ${tileId} center: (${center.lat.toFixed(4)}, ${center.lng.toFixed(4)})`);
+  return center;
+}
+
+/**
+ * Gets the distance from a tile's center to its farthest corner
+ * A search circle of this radius around the center covers the whole tile.
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {number} Radius in kilometers
+ */
+function getTileRadiusKm(tileId) {
+  const { minLat, maxLat, minLng, maxLng } = getTileBoundaries(tileId);
+  const center = getTileCenter(tileId);
+  const R = constants.GEO.EARTH_RADIUS_KM;
+
+  return Math.max(
+    haversineDistance(center.lat, center.lng, minLat, minLng, R),
+    haversineDistance(center.lat, center.lng, minLat, maxLng, R),
+    haversineDistance(center.lat, center.lng, maxLat, minLng, R),
+    haversineDistance(center.lat, center.lng, maxLat, maxLng, R)
+  );
+}
+
+/**
+ * Gets the zoom level of a tile
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {number} Zoom level
+ */
+function getTileZoom(tileId) {
+  return parseTileId(tileId).z;
+}
+
+/**
+ * Gets the four child tiles one zoom level down
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {string[]} Child tile IDs (NW, NE, SW, SE)
+ */
+function getChildTileIds(tileId) {
+  const { z, x, y } = parseTileId(tileId);
+
+  return [
+    formatTileId(z + 1, x * 2, y * 2),
+    formatTileId(z + 1, x * 2 + 1, y * 2),
+    formatTileId(z + 1, x * 2, y * 2 + 1),
+    formatTileId(z + 1, x * 2 + 1, y * 2 + 1)
+  ];
+}
+
+/**
+ * Checks whether a point lies in a tile
+ * Uses the same index math as getTileId, so every point belongs to exactly
+ * one tile per zoom level and always to that tile's ancestors.
+ * @param {number} lat - Latitude coordinate
+ * @param {number} lng - Longitude coordinate
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @returns {boolean} True if the point is in the tile
+ */
+function isPointInTile(lat, lng, tileId) {
+  return getTileId(lat, lng, getTileZoom(tileId)) === tileId;
+}
+
+/**
+ * Checks whether a tile overlaps a bounding box
+ * @param {string} tileId - Tile ID in format "z/x/y"
+ * @param {Object} bounds - Bounds {minLat, maxLat, minLng, maxLng}
+ * @returns {boolean} True if the tile and bounds overlap
+ */
+function tileIntersectsBounds(tileId, bounds) {
+  const tileBounds = getTileBoundaries(tileId);
+
+  return (
+    tileBounds.minLat <= bounds.maxLat &&
+    tileBounds.maxLat >= bounds.minLat &&
+    tileBounds.minLng <= bounds.maxLng &&
+    tileBounds.maxLng >= bounds.minLng
+  );
+}
+
+/**
+ * Gets every tile at a zoom level that overlaps a bounding box
+ * @param {Object} bounds - Bounds {minLat, maxLat, minLng, maxLng}
+ * @param {number} zoom - Zoom level
+ * @returns {string[]} Tile IDs
+ */
+function getTileIdsInBounds(bounds, zoom) {
+  // Tile rows count down from the north edge
+  const minX = fractionToIndex(lngToFraction(bounds.minLng), zoom);
+  const maxX = fractionToIndex(lngToFraction(bounds.maxLng), zoom);
+  const minY = fractionToIndex(latToFraction(bounds.maxLat), zoom);
+  const maxY = fractionToIndex(latToFraction(bounds.minLat), zoom);
+
+  const tileIds = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      tileIds.push(formatTileId(zoom, x, y));
+    }
+  }
+
+  return tileIds;
+}
+
+module.exports = {
+  formatTileId,
+  parseTileId,
+  getTileId,
+  getTileBoundaries,
+  getTileCenter,
+  getTileRadiusKm,
+  getTileZoom,
+  getChildTileIds,
+  isPointInTile,
+  tileIntersectsBounds,
+  getTileIdsInBounds
+};
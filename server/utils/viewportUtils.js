@@ -23,14 +23,69 @@
 const { debug } = require('./debug');
 const constants = require('./serverConstants');
 
+/**
+ * Wraps a longitude into the range [-180, 180)
+ * @param {number} lng - Longitude, possibly outside the normal range
+ * @returns {number} Equivalent longitude
+ */
+function wrapLongitude(lng) {
+  return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Gets the east-west extent of a viewport in degrees
+ * A viewport whose minLng is greater than its maxLng crosses the antimeridian
+ * (e.g. minLng=170, maxLng=-170 spans 20 degrees around Fiji).
+ * @param {number} minLng - Western edge
+ * @param {number} maxLng - Eastern edge
+ * @returns {number} Longitude span in degrees
+ */
+function getLongitudeSpan(minLng, maxLng) {
+  return maxLng >= minLng ? maxLng - minLng : maxLng - minLng + 360;
+}
+
+/**
+ * Splits a viewport that crosses the antimeridian into parts that don't
+ * Accepts the crossing form (minLng > maxLng) as well as edges outside
+ * [-180, 180], such as a viewport widened by a buffer.
+ * @param {Object} viewport - Viewport bounds
+ * @returns {Object[]} One or two viewports with -180 <= minLng <= maxLng <= 180
+ */
+function splitViewportAtAntimeridian(viewport) {
+  const minLat = parseFloat(viewport.minLat);
+  const maxLat = parseFloat(viewport.maxLat);
+  const minLng = parseFloat(viewport.minLng);
+  const span = getLongitudeSpan(minLng, parseFloat(viewport.maxLng));
+  
+  if (span >= 360) {
+    return [{ minLat, maxLat, minLng: -180, maxLng: 180 }];
+  }
+  
+  const west = wrapLongitude(minLng);
+  const east = west + span;
+  
+  if (east <= 180) {
+    return [{ minLat, maxLat, minLng: west, maxLng: east }];
+  }
+  
+  debug.debug(`Viewport crosses the antimeridian, splitting at 180° (${west.toFixed(4)} to ${(east - 360).toFixed(4)})`);
+  return [
+    { minLat, maxLat, minLng: west, maxLng: 180 },
+    { minLat, maxLat, minLng: -180, maxLng: east - 360 }
+  ];
+}
+
 /**
  * Calculates the center point of a viewport
  * @param {Object} viewport - Viewport bounds
  * @returns {Object} Center coordinates {lat, lng}
  */
 function calculateViewportCenter(viewport) {
+  const minLng = parseFloat(viewport.minLng);
+  const lngSpan = getLongitudeSpan(minLng, parseFloat(viewport.maxLng));
+  
   const centerLat = (parseFloat(viewport.minLat) + parseFloat(viewport.maxLat)) / 2;
-  const centerLng = (parseFloat(viewport.minLng) + parseFloat(viewport.maxLng)) / 2;
+  const centerLng = wrapLongitude(minLng + lngSpan / 2);
   
   debug.debug('Calculated viewport center:', { lat: centerLat, lng: centerLng });
   return { lat: centerLat, lng: centerLng };
@@ -64,6 +119,26 @@ function calculateViewportRadius(viewport) {
   return Math.min(radius, 25);
 }
 
+/**
+ * Calculates the viewport covering a circle
+ * @param {number} lat - Latitude of the center
+ * @param {number} lng - Longitude of the center
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {Object} Viewport bounds, crossing the antimeridian if the circle does
+ */
+function calculateRadiusViewport(lat, lng, radiusKm) {
+  // One degree of latitude is about 111.32km; degrees of longitude shrink towards the poles
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
+  
+  return {
+    minLat: Math.max(lat - latDelta, -constants.GEO.MAX_LATITUDE),
+    maxLat: Math.min(lat + latDelta, constants.GEO.MAX_LATITUDE),
+    minLng: wrapLongitude(lng - lngDelta),
+    maxLng: wrapLongitude(lng + lngDelta)
+  };
+}
+
 /**
  * Calculates distance between two points using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -89,9 +164,11 @@ function haversineDistance(lat1, lng1, lat2, lng2, r) {
 /**
  * Validates viewport parameters
  * @param {Object} viewport - Viewport parameters
+ * @param {number} [maxViewportSizeDeg] - Largest allowed extent in degrees
+ *   (defaults to GEO.MAX_VIEWPORT_SIZE_DEG)
  * @returns {boolean} True if valid, false otherwise 
  */
-function isValidViewport(viewport) {
+function isValidViewport(viewport, maxViewportSizeDeg = constants.GEO.MAX_VIEWPORT_SIZE_DEG) {
   if (!viewport) return false;
   
   // Check if all required parameters exist
@@ -127,15 +204,15 @@ function isValidViewport(viewport) {
   }
   
   // Check if min is less than max
-  if (minLat > maxLat || minLng > maxLng) {
+  // (minLng greater than maxLng is allowed - the viewport crosses the antimeridian)
+  if (minLat > maxLat) {
     debug.debug('Invalid viewport: min greater than max');
     return false;
   }
   
   // Check if viewport size exceeds maximum allowed size
   const latitudeDelta = maxLat - minLat;
-  const longitudeDelta = maxLng - minLng;
-  const maxViewportSizeDeg = constants.GEO.MAX_VIEWPORT_SIZE_DEG;
+  const longitudeDelta = getLongitudeSpan(minLng, maxLng);
   
   if (latitudeDelta > maxViewportSizeDeg) {
     debug.warn(`Viewport latitude range (${latitudeDelta.toFixed(2)}°) exceeds maximum allowed (${maxViewportSizeDeg}°)`);
@@ -158,8 +235,12 @@ function isValidViewport(viewport) {
 }
 
 module.exports = {
+  wrapLongitude,
+  getLongitudeSpan,
+  splitViewportAtAntimeridian,
   calculateViewportCenter,
   calculateViewportRadius,
+  calculateRadiusViewport,
   haversineDistance,
   isValidViewport
 };
\ No newline at end of file